@@ -0,0 +1,978 @@
+/**
+ * @fileoverview Auth API Adapters
+ *
+ * Pluggable backends for AuthManager. Every adapter implements the same
+ * promise-based interface, so AuthManager and AuthModal never need to know
+ * whether they talk to a real server or to the local mock:
+ *
+ * A user is `{ name, email, bio, avatarUrl, createdAt, mfaEnabled,
+ * emailVerified, plan, roles }`; `createdAt` is the registration date (ISO
+ * string) and never changes. `avatarUrl` is an https URL or a small image
+ * data URL produced by the avatar cropper. New accounts start with
+ * `emailVerified: false` until the link from the confirmation mail is opened.
+ * `plan` is 'free', 'starter', 'professional' or 'enterprise'; `roles` is a
+ * list such as `['member']` or `['admin', 'member']`.
+ *
+ * A session is `{ accessToken, refreshToken, expiresIn, refreshExpiresIn }`
+ * with lifetimes in seconds; AuthManager turns them into absolute
+ * timestamps and refreshes before the access token expires.
+ *
+ *   login({ email, password })          → { user, session }
+ *                                         (rejects with 'mfa_required' and
+ *                                         `details.mfaToken` if 2FA is on)
+ *   verifyMfa({ mfaToken, code })       → { user, session } (TOTP or recovery code)
+ *   register({ name, email, password }) → { user, session, verification: { expiresIn } }
+ *   logout(session)                     → void
+ *   refresh(session)                    → { session }
+ *   fetchProfile(session)               → { user }
+ *   updateProfile(session, { name, bio, avatarUrl }) → { user }
+ *   deleteAccount(session)              → { deleted } (false: no endpoint configured)
+ *   verifyEmail({ token })              → { user }
+ *   resendVerification(session)         → { expiresIn }
+ *   requestPasswordReset({ email })     → { expiresIn }
+ *   confirmPasswordReset({ email, token, password }) → void
+ *   startMfaSetup(session)              → { secret, uri }
+ *   enableMfa(session, { code })        → { user, recoveryCodes }
+ *   disableMfa(session, { code })       → { user }
+ *   regenerateRecoveryCodes(session, { code }) → { recoveryCodes }
+ *   changePlan(session, { plan, billingCycle, paymentId }) → { user }
+ *
+ * Failures are always rejected with an AuthApiError carrying a stable
+ * `code` (e.g. 'invalid_credentials', 'email_taken', 'account_locked'),
+ * so the UI can map them to messages without parsing server text.
+ *
+ * Adapters:
+ * - HttpAuthAdapter: JSON over fetch() against a configurable base URL
+ * - MockAuthAdapter: In-process fake backend persisted in localStorage.
+ *   Also used by tools/mock-server.js to back the local stub server.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * Default user-facing messages per error code
+ * @type {Object<string, string>}
+ */
+const AUTH_ERROR_MESSAGES = {
+  invalid_credentials: 'E-Mail oder Passwort ist falsch',
+  email_taken: 'Diese E-Mail-Adresse ist bereits registriert',
+  account_locked: 'Dieses Konto ist vorübergehend gesperrt',
+  validation_failed: 'Bitte überprüfen Sie Ihre Eingaben',
+  unauthorized: 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+  network_error: 'Keine Verbindung zum Server. Bitte versuchen Sie es später erneut.',
+  timeout: 'Der Server antwortet nicht. Bitte versuchen Sie es später erneut.',
+  rate_limited: 'Zu viele Anfragen. Bitte warten Sie einen Moment.',
+  token_invalid: 'Der Code ist ungültig',
+  token_expired: 'Der Code ist abgelaufen. Bitte fordern Sie einen neuen an.',
+  server_error: 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.',
+  sso_failed: 'Die Anmeldung über SSO ist fehlgeschlagen',
+  sso_cancelled: 'Die Anmeldung über SSO wurde abgebrochen',
+  sso_invalid_response: 'Die Antwort des Identitätsanbieters ist ungültig. Bitte versuchen Sie es erneut.',
+  mfa_required: 'Bitte geben Sie den Code aus Ihrer Authenticator-App ein',
+  mfa_invalid: 'Der Bestätigungscode ist ungültig',
+  mfa_expired: 'Die Anmeldung hat zu lange gedauert. Bitte melden Sie sich erneut an.',
+  mfa_not_enabled: 'Die Zwei-Faktor-Authentifizierung ist nicht aktiviert',
+  email_unverified: 'Bitte bestätigen Sie zuerst Ihre E-Mail-Adresse',
+  already_verified: 'Ihre E-Mail-Adresse ist bereits bestätigt',
+  plan_unavailable: 'Dieser Plan kann nicht online gebucht werden',
+  payment_required: 'Für diesen Plan ist eine Zahlung erforderlich'
+};
+
+/**
+ * AuthApiError - Error type for all adapter failures
+ *
+ * @class AuthApiError
+ * @extends Error
+ */
+class AuthApiError extends Error {
+  /**
+   * @constructor
+   * @param {string} code - Stable error code (see AUTH_ERROR_MESSAGES)
+   * @param {string} [message] - Human readable message, defaults per code
+   * @param {Object} [details={}] - Extra data (status, field, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message || AUTH_ERROR_MESSAGES[code] || AUTH_ERROR_MESSAGES.server_error);
+    this.name = 'AuthApiError';
+    this.code = code || 'server_error';
+    this.status = details.status || 0;
+    this.details = details;
+  }
+}
+
+/**
+ * HttpAuthAdapter - Talks to a JSON auth API
+ *
+ * Expected server contract:
+ * - Requests and responses are JSON
+ * - Authenticated requests send `Authorization: Bearer <accessToken>`
+ * - Errors respond with a non-2xx status and
+ *   `{ "error": { "code": "...", "message": "...", "details": {} } }`
+ *   (rate limits put `retryAfter` in seconds into `details` or send a
+ *   `Retry-After` header; lockouts put `lockedUntil` into `details`)
+ * - Endpoint overrides may be absolute URLs, e.g. a separate reset service
+ * - Account deletion is only called when `endpoints.accountDelete` is set
+ *
+ * @class HttpAuthAdapter
+ */
+class HttpAuthAdapter {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {string} [options.baseUrl=''] - Prefix for all endpoints
+   * @param {Object} [options.endpoints={}] - Per-endpoint path overrides
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this.endpoints = Object.assign({
+      login: '/auth/login',
+      register: '/auth/register',
+      logout: '/auth/logout',
+      refresh: '/auth/refresh',
+      profile: '/auth/me',
+      profileUpdate: '/auth/me',
+      accountDelete: null,
+      emailVerify: '/auth/verify-email',
+      emailVerifyResend: '/auth/verify-email/resend',
+      passwordResetRequest: '/auth/password-reset',
+      passwordResetConfirm: '/auth/password-reset/confirm',
+      mfaVerify: '/auth/mfa/verify',
+      mfaSetup: '/auth/mfa/setup',
+      mfaEnable: '/auth/mfa/enable',
+      mfaDisable: '/auth/mfa/disable',
+      mfaRecoveryCodes: '/auth/mfa/recovery-codes',
+      planChange: '/auth/me/plan'
+    }, options.endpoints || {});
+  }
+
+  /**
+   * resolveUrl() - Builds the URL for an endpoint key
+   * @param {string} endpoint - Key in this.endpoints
+   * @returns {string}
+   */
+  resolveUrl(endpoint) {
+    const path = this.endpoints[endpoint];
+    return /^https?:\/\//.test(path) ? path : this.baseUrl + path;
+  }
+
+  /**
+   * request() - Sends a JSON request and normalizes errors
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Key in this.endpoints
+   * @param {Object} [body] - JSON body
+   * @param {Object} [session] - Session with accessToken for auth header
+   * @returns {Promise<Object>} - Parsed JSON response (empty object for 204)
+   */
+  async request(method, endpoint, body, session) {
+    const headers = { 'Accept': 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (session?.accessToken) headers['Authorization'] = `Bearer ${session.accessToken}`;
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    let response;
+    try {
+      response = await fetch(this.resolveUrl(endpoint), {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        credentials: 'same-origin',
+        signal: controller?.signal
+      });
+    } catch (e) {
+      if (e?.name === 'AbortError') throw new AuthApiError('timeout');
+      throw new AuthApiError('network_error', undefined, { cause: e });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    let data = {};
+    if (response.status !== 204) {
+      try {
+        data = await response.json();
+      } catch (e) {
+        data = {};
+      }
+    }
+
+    if (!response.ok) {
+      const error = data?.error || {};
+      const code = error.code || (response.status === 401 ? 'unauthorized'
+        : response.status === 429 ? 'rate_limited' : 'server_error');
+      const details = { status: response.status };
+      // Standard Retry-After header (seconds); details from the body win
+      const retryAfter = Number(response.headers?.get('Retry-After'));
+      if (retryAfter > 0) details.retryAfter = retryAfter;
+      throw new AuthApiError(code, error.message, Object.assign(details, error.details || {}));
+    }
+
+    return data || {};
+  }
+
+  login(credentials) {
+    return this.request('POST', 'login', credentials);
+  }
+
+  register(data) {
+    return this.request('POST', 'register', data);
+  }
+
+  logout(session) {
+    return this.request('POST', 'logout', {}, session);
+  }
+
+  refresh(session) {
+    return this.request('POST', 'refresh', { refreshToken: session?.refreshToken });
+  }
+
+  fetchProfile(session) {
+    return this.request('GET', 'profile', undefined, session);
+  }
+
+  updateProfile(session, changes) {
+    return this.request('PATCH', 'profileUpdate', changes, session);
+  }
+
+  async deleteAccount(session) {
+    if (!this.endpoints.accountDelete) return { deleted: false };
+    await this.request('DELETE', 'accountDelete', undefined, session);
+    return { deleted: true };
+  }
+
+  verifyEmail(data) {
+    return this.request('POST', 'emailVerify', data);
+  }
+
+  resendVerification(session) {
+    return this.request('POST', 'emailVerifyResend', {}, session);
+  }
+
+  requestPasswordReset(data) {
+    return this.request('POST', 'passwordResetRequest', data);
+  }
+
+  confirmPasswordReset(data) {
+    return this.request('POST', 'passwordResetConfirm', data);
+  }
+
+  verifyMfa(data) {
+    return this.request('POST', 'mfaVerify', data);
+  }
+
+  startMfaSetup(session) {
+    return this.request('POST', 'mfaSetup', {}, session);
+  }
+
+  enableMfa(session, data) {
+    return this.request('POST', 'mfaEnable', data, session);
+  }
+
+  disableMfa(session, data) {
+    return this.request('POST', 'mfaDisable', data, session);
+  }
+
+  regenerateRecoveryCodes(session, data) {
+    return this.request('POST', 'mfaRecoveryCodes', data, session);
+  }
+
+  changePlan(session, data) {
+    return this.request('POST', 'planChange', data, session);
+  }
+}
+
+/**
+ * MockAuthAdapter - In-process fake backend
+ *
+ * Keeps accounts and sessions in a storage object (localStorage in the
+ * browser, an in-memory shim in tools/mock-server.js) and reproduces the
+ * server-side error states so the UI can be exercised without a backend.
+ *
+ * Seeded accounts:
+ * - demo@kernwerk-systems.de   / kernwerk2026  (works, Starter plan)
+ * - admin@kernwerk-systems.de  / kernwerk2026  (Enterprise plan, admin role)
+ * - locked@kernwerk-systems.de / kernwerk2026  (always locked)
+ *
+ * New accounts get the 'free' plan and the 'member' role. Starter can be
+ * booked without payment; Professional needs a `paymentId` from the payment
+ * provider; Enterprise is sold through sales only.
+ *
+ * After 5 wrong passwords an account is locked for 15 minutes.
+ * Access tokens live 15 minutes, refresh tokens 7 days (both configurable
+ * via KERNWERK_CONFIG.auth.mock to exercise expiry quickly).
+ *
+ * Password reset codes are 6 digits, valid for 15 minutes and 5 attempts,
+ * and limited to 3 requests per 10 minutes. Since there is no mail delivery, the code is
+ * returned as `debugToken` and logged to the console.
+ *
+ * New accounts must confirm their email address. The link token is valid
+ * for 24 hours; a new mail can be requested once per minute. Like reset
+ * codes, the token is returned as `debugToken` and logged. Seeded accounts
+ * count as verified. 2FA setup requires a verified address.
+ *
+ * Two-factor authentication uses real TOTP (totp.js), so any authenticator
+ * app works. A login challenge (`mfaToken`) is valid for 5 minutes and
+ * 5 attempts; each time step and each recovery code is accepted only once.
+ *
+ * @class MockAuthAdapter
+ */
+class MockAuthAdapter {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {Storage} [options.storage=localStorage] - Persistence backend
+   * @param {number} [options.delay=300] - Simulated latency in ms
+   * @param {number} [options.accessTokenTtl=900] - Access token lifetime in s
+   * @param {number} [options.refreshTokenTtl=604800] - Refresh token lifetime in s
+   * @param {number} [options.resetTokenTtl=900] - Reset code lifetime in s
+   * @param {number} [options.totpWindow=1] - Accepted TOTP clock skew in steps
+   * @param {number} [options.verificationTtl=86400] - Verification link lifetime in s
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || window.localStorage;
+    this.delay = options.delay ?? 300;
+    this.storageKey = 'kernwerk_mock_backend';
+    this.maxFailedAttempts = 5;
+    this.lockDuration = 15 * 60 * 1000;
+    this.accessTokenTtl = options.accessTokenTtl || 15 * 60;
+    this.refreshTokenTtl = options.refreshTokenTtl || 7 * 24 * 60 * 60;
+    this.resetTokenTtl = options.resetTokenTtl || 15 * 60;
+    this.resetRateLimit = { max: 3, window: 10 * 60 * 1000 };
+    this.maxResetAttempts = 5;
+    this.maxAvatarLength = 200 * 1024;
+    this.totpWindow = options.totpWindow ?? Totp.DEFAULTS.window;
+    this.mfaChallengeTtl = 5 * 60 * 1000;
+    this.maxMfaAttempts = 5;
+    this.verificationTtl = options.verificationTtl || 24 * 60 * 60;
+    this.verificationCooldown = 60 * 1000;
+  }
+
+  /**
+   * loadDb() - Loads the mock database, seeding it on first use
+   * @returns {Promise<Object>}
+   */
+  async loadDb() {
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      if (stored) return JSON.parse(stored);
+    } catch (e) {
+      console.warn('Mock backend storage corrupt, reseeding:', e);
+    }
+
+    const createdAt = new Date().toISOString();
+    const passwordHash = await this.hashPassword('kernwerk2026');
+    const db = {
+      accounts: {
+        'demo@kernwerk-systems.de': {
+          name: 'Demo Nutzer', email: 'demo@kernwerk-systems.de',
+          passwordHash, createdAt, failedAttempts: 0, lockedUntil: null,
+          plan: 'starter', roles: ['member']
+        },
+        'admin@kernwerk-systems.de': {
+          name: 'Demo Admin', email: 'admin@kernwerk-systems.de',
+          passwordHash, createdAt, failedAttempts: 0, lockedUntil: null,
+          plan: 'enterprise', roles: ['admin', 'member']
+        },
+        'locked@kernwerk-systems.de': {
+          name: 'Gesperrter Nutzer', email: 'locked@kernwerk-systems.de',
+          passwordHash, createdAt, failedAttempts: 0, lockedUntil: '9999-12-31T00:00:00.000Z'
+        }
+      },
+      sessions: {}
+    };
+    this.saveDb(db);
+    return db;
+  }
+
+  saveDb(db) {
+    this.storage.setItem(this.storageKey, JSON.stringify(db));
+  }
+
+  /**
+   * hashPassword() - SHA-256 digest so no plain-text passwords end up in storage
+   * @param {string} password
+   * @returns {Promise<string>} - Hex digest
+   */
+  async hashPassword(password) {
+    const data = new TextEncoder().encode(`kernwerk-mock:${password}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * wait() - Simulates network latency
+   * @returns {Promise<void>}
+   */
+  wait() {
+    return new Promise(resolve => setTimeout(resolve, this.delay));
+  }
+
+  /**
+   * createToken() - Generates a random opaque token
+   * @param {string} prefix
+   * @returns {string}
+   */
+  createToken(prefix) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return `${prefix}_${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * publicUser() - Strips internal fields from an account
+   * @param {Object} account
+   * @returns {Object}
+   */
+  publicUser(account) {
+    return {
+      name: account.name,
+      email: account.email,
+      bio: account.bio || '',
+      avatarUrl: account.avatarUrl || null,
+      createdAt: account.createdAt,
+      mfaEnabled: Boolean(account.mfa?.enabled),
+      emailVerified: account.emailVerified !== false,
+      plan: account.plan || 'free',
+      roles: Array.isArray(account.roles) ? account.roles.slice() : ['member']
+    };
+  }
+
+  /**
+   * createSession() - Opens a new session for an account
+   * @param {Object} db
+   * @param {string} email
+   * @returns {Object} - Session
+   */
+  createSession(db, email) {
+    const now = Date.now();
+    Object.keys(db.sessions).forEach(key => {
+      if (db.sessions[key].refreshExpiresAt <= now) delete db.sessions[key];
+    });
+
+    const session = {
+      accessToken: this.createToken('mock_at'),
+      refreshToken: this.createToken('mock_rt'),
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl
+    };
+    db.sessions[session.accessToken] = {
+      email,
+      refreshToken: session.refreshToken,
+      expiresAt: now + this.accessTokenTtl * 1000,
+      refreshExpiresAt: now + this.refreshTokenTtl * 1000
+    };
+    return session;
+  }
+
+  /**
+   * findAccount() - Resolves an access token to its account
+   * @param {Object} db
+   * @param {Object} session
+   * @returns {Object} - Account
+   */
+  findAccount(db, session) {
+    const entry = session?.accessToken && Object.hasOwn(db.sessions, session.accessToken) && db.sessions[session.accessToken];
+    const account = entry && entry.expiresAt > Date.now() && this.getAccount(db, entry.email);
+    if (!account) throw new AuthApiError('unauthorized', undefined, { status: 401 });
+    return account;
+  }
+
+  /**
+   * accountKey() - Normalizes an email address to its account key
+   * @param {*} email
+   * @returns {string|null} - Lowercased address, null if it is no email address
+   */
+  accountKey(email) {
+    const key = String(email || '').toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key) ? key : null;
+  }
+
+  /**
+   * getAccount() - Own-property lookup, so keys like "__proto__" or
+   * "constructor" never resolve to Object.prototype members
+   * @param {Object} db
+   * @param {string|null} key - Account key (see accountKey())
+   * @returns {Object|null}
+   */
+  getAccount(db, key) {
+    return key && Object.hasOwn(db.accounts, key) ? db.accounts[key] : null;
+  }
+
+  async login({ email, password } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.getAccount(db, this.accountKey(email));
+
+    if (!account) {
+      throw new AuthApiError('invalid_credentials', undefined, { status: 401 });
+    }
+
+    if (account.lockedUntil && new Date(account.lockedUntil) > new Date()) {
+      throw new AuthApiError('account_locked', undefined, { status: 423, lockedUntil: account.lockedUntil });
+    }
+
+    if (account.passwordHash !== await this.hashPassword(password || '')) {
+      account.failedAttempts = (account.failedAttempts || 0) + 1;
+      if (account.failedAttempts >= this.maxFailedAttempts) {
+        account.failedAttempts = 0;
+        account.lockedUntil = new Date(Date.now() + this.lockDuration).toISOString();
+        this.saveDb(db);
+        throw new AuthApiError('account_locked', 'Zu viele Fehlversuche – das Konto ist für 15 Minuten gesperrt', {
+          status: 423, lockedUntil: account.lockedUntil
+        });
+      }
+      this.saveDb(db);
+      throw new AuthApiError('invalid_credentials', undefined, { status: 401 });
+    }
+
+    account.failedAttempts = 0;
+    account.lockedUntil = null;
+
+    if (account.mfa?.enabled) {
+      const mfaToken = this.createMfaChallenge(db, account.email);
+      this.saveDb(db);
+      throw new AuthApiError('mfa_required', undefined, {
+        status: 401, mfaToken, expiresIn: this.mfaChallengeTtl / 1000
+      });
+    }
+
+    const session = this.createSession(db, account.email);
+    this.saveDb(db);
+    return { user: this.publicUser(account), session };
+  }
+
+  /**
+   * createMfaChallenge() - Remembers a passed password check until the second factor
+   * @param {Object} db
+   * @param {string} email
+   * @returns {string} - mfaToken
+   */
+  createMfaChallenge(db, email) {
+    const now = Date.now();
+    db.mfaChallenges = db.mfaChallenges || {};
+    Object.keys(db.mfaChallenges).forEach(key => {
+      if (db.mfaChallenges[key].expiresAt <= now) delete db.mfaChallenges[key];
+    });
+
+    const mfaToken = this.createToken('mock_mfa');
+    db.mfaChallenges[mfaToken] = { email, expiresAt: now + this.mfaChallengeTtl, attempts: 0 };
+    return mfaToken;
+  }
+
+  /**
+   * checkSecondFactor() - Accepts a current TOTP code or an unused recovery code
+   * Consumes the code (time step or recovery code) on success.
+   * @param {Object} account
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async checkSecondFactor(account, code) {
+    const mfa = account.mfa;
+    if (!mfa?.enabled) return false;
+
+    const step = await Totp.verify(code, mfa.secret, { window: this.totpWindow });
+    if (step !== null) {
+      if (mfa.lastUsedStep !== undefined && step <= mfa.lastUsedStep) return false;
+      mfa.lastUsedStep = step;
+      return true;
+    }
+
+    const normalized = Totp.normalizeRecoveryCode(code);
+    if (!normalized) return false;
+    const hash = await this.hashPassword(`recovery:${normalized}`);
+    const index = (mfa.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    mfa.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * issueRecoveryCodes() - New set of recovery codes, stored as hashes only
+   * @param {Object} account
+   * @returns {Promise<string[]>} - Plain codes (shown once)
+   */
+  async issueRecoveryCodes(account) {
+    const codes = Totp.generateRecoveryCodes();
+    account.mfa.recoveryCodes = await Promise.all(
+      codes.map(code => this.hashPassword(`recovery:${Totp.normalizeRecoveryCode(code)}`))
+    );
+    return codes;
+  }
+
+  async verifyMfa({ mfaToken, code } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const challenge = db.mfaChallenges && Object.hasOwn(db.mfaChallenges, mfaToken) ? db.mfaChallenges[mfaToken] : null;
+
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+      if (challenge) delete db.mfaChallenges[mfaToken];
+      this.saveDb(db);
+      throw new AuthApiError('mfa_expired', undefined, { status: 401 });
+    }
+
+    const account = this.getAccount(db, challenge.email);
+    if (!account || !await this.checkSecondFactor(account, code)) {
+      challenge.attempts += 1;
+      if (challenge.attempts >= this.maxMfaAttempts) {
+        delete db.mfaChallenges[mfaToken];
+        this.saveDb(db);
+        throw new AuthApiError('mfa_expired', 'Zu viele Fehlversuche. Bitte melden Sie sich erneut an.', { status: 401 });
+      }
+      this.saveDb(db);
+      throw new AuthApiError('mfa_invalid', undefined, { status: 401, field: 'code' });
+    }
+
+    delete db.mfaChallenges[mfaToken];
+    const session = this.createSession(db, account.email);
+    this.saveDb(db);
+    return {
+      user: this.publicUser(account),
+      session,
+      recoveryCodesLeft: account.mfa.recoveryCodes.length
+    };
+  }
+
+  async register({ name, email, password } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const key = this.accountKey(email);
+
+    if (!name || !password) {
+      throw new AuthApiError('validation_failed', undefined, { status: 422 });
+    }
+    if (!key) {
+      throw new AuthApiError('validation_failed', undefined, { status: 422, field: 'email' });
+    }
+
+    if (this.getAccount(db, key)) {
+      throw new AuthApiError('email_taken', undefined, { status: 409, field: 'email' });
+    }
+
+    db.accounts[key] = {
+      name,
+      email: key,
+      passwordHash: await this.hashPassword(password),
+      createdAt: new Date().toISOString(),
+      failedAttempts: 0,
+      lockedUntil: null,
+      emailVerified: false,
+      plan: 'free',
+      roles: ['member']
+    };
+    const debugToken = this.issueVerification(db.accounts[key]);
+    const session = this.createSession(db, key);
+    this.saveDb(db);
+    return {
+      user: this.publicUser(db.accounts[key]),
+      session,
+      verification: { expiresIn: this.verificationTtl, debugToken }
+    };
+  }
+
+  /**
+   * issueVerification() - New verification link token ("sends" the mail)
+   * @param {Object} account
+   * @returns {string} - Token (only exposed as debugToken by the mock)
+   */
+  issueVerification(account) {
+    const token = this.createToken('verify');
+    account.verification = { token, expiresAt: Date.now() + this.verificationTtl * 1000, sentAt: Date.now() };
+    console.info(`[MockAuthAdapter] Verification link for ${account.email}: /?verify=${token}`);
+    return token;
+  }
+
+  async verifyEmail({ token } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = token && Object.values(db.accounts).find(item => item.verification?.token === token);
+
+    if (!account) {
+      throw new AuthApiError('token_invalid', 'Der Bestätigungslink ist ungültig oder wurde bereits verwendet', { status: 400 });
+    }
+    if (account.verification.expiresAt <= Date.now()) {
+      throw new AuthApiError('token_expired', 'Der Bestätigungslink ist abgelaufen. Bitte fordern Sie einen neuen an.', { status: 410 });
+    }
+
+    account.emailVerified = true;
+    delete account.verification;
+    this.saveDb(db);
+    return { user: this.publicUser(account) };
+  }
+
+  async resendVerification(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    if (account.emailVerified !== false) {
+      throw new AuthApiError('already_verified', undefined, { status: 409 });
+    }
+    const sentAt = account.verification?.sentAt || 0;
+    if (sentAt + this.verificationCooldown > Date.now()) {
+      const retryAfter = Math.ceil((sentAt + this.verificationCooldown - Date.now()) / 1000);
+      throw new AuthApiError('rate_limited', undefined, { status: 429, retryAfter });
+    }
+
+    const debugToken = this.issueVerification(account);
+    this.saveDb(db);
+    return { expiresIn: this.verificationTtl, debugToken };
+  }
+
+  async logout(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    if (session?.accessToken) {
+      delete db.sessions[session.accessToken];
+      this.saveDb(db);
+    }
+  }
+
+  async refresh(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    const token = Object.keys(db.sessions).find(key => db.sessions[key].refreshToken === session?.refreshToken);
+    if (!token || db.sessions[token].refreshExpiresAt <= Date.now()) {
+      if (token) delete db.sessions[token];
+      this.saveDb(db);
+      throw new AuthApiError('unauthorized', undefined, { status: 401 });
+    }
+
+    const { email } = db.sessions[token];
+    delete db.sessions[token];
+    const next = this.createSession(db, email);
+    this.saveDb(db);
+    return { session: next };
+  }
+
+  async fetchProfile(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    return { user: this.publicUser(this.findAccount(db, session)) };
+  }
+
+  async updateProfile(session, changes = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    if (changes.name !== undefined) {
+      const name = String(changes.name).trim();
+      if (name.length < 2 || name.length > 60) {
+        throw new AuthApiError('validation_failed', 'Der Name muss 2 bis 60 Zeichen lang sein', { status: 422, field: 'name' });
+      }
+      account.name = name;
+    }
+
+    if (changes.bio !== undefined) {
+      const bio = String(changes.bio || '').trim();
+      if (bio.length > 280) {
+        throw new AuthApiError('validation_failed', 'Die Beschreibung darf höchstens 280 Zeichen lang sein', { status: 422, field: 'bio' });
+      }
+      account.bio = bio;
+    }
+
+    if (changes.avatarUrl !== undefined) {
+      const avatarUrl = changes.avatarUrl ? String(changes.avatarUrl).trim() : null;
+      const isImageUrl = /^https:\/\/\S+$/.test(avatarUrl) || /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/.test(avatarUrl);
+      if (avatarUrl && !isImageUrl) {
+        throw new AuthApiError('validation_failed', 'Das Profilbild hat ein ungültiges Format', { status: 422, field: 'avatarUrl' });
+      }
+      if (avatarUrl && avatarUrl.length > this.maxAvatarLength) {
+        throw new AuthApiError('validation_failed', 'Das Profilbild ist zu groß', { status: 413, field: 'avatarUrl' });
+      }
+      account.avatarUrl = avatarUrl;
+    }
+
+    this.saveDb(db);
+    return { user: this.publicUser(account) };
+  }
+
+  async deleteAccount(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    delete db.accounts[account.email];
+    Object.keys(db.sessions).forEach(key => {
+      if (db.sessions[key].email === account.email) delete db.sessions[key];
+    });
+    if (db.resetRequests) delete db.resetRequests[account.email];
+    Object.keys(db.mfaChallenges || {}).forEach(key => {
+      if (db.mfaChallenges[key].email === account.email) delete db.mfaChallenges[key];
+    });
+    this.saveDb(db);
+    return { deleted: true };
+  }
+
+  async requestPasswordReset({ email } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const key = this.accountKey(email);
+    const now = Date.now();
+
+    if (!key) {
+      throw new AuthApiError('validation_failed', undefined, { status: 422, field: 'email' });
+    }
+
+    db.resetRequests = db.resetRequests || {};
+    const recent = (db.resetRequests[key] || []).filter(t => t > now - this.resetRateLimit.window);
+    if (recent.length >= this.resetRateLimit.max) {
+      const retryAfter = Math.ceil((recent[0] + this.resetRateLimit.window - now) / 1000);
+      throw new AuthApiError('rate_limited', undefined, { status: 429, retryAfter });
+    }
+    db.resetRequests[key] = recent.concat(now);
+
+    // Unknown addresses get the same response (no account enumeration)
+    const account = this.getAccount(db, key);
+    let debugToken;
+    if (account) {
+      debugToken = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+      account.reset = { token: debugToken, expiresAt: now + this.resetTokenTtl * 1000, attempts: 0 };
+      console.info(`[MockAuthAdapter] Password reset code for ${key}: ${debugToken}`);
+    }
+    this.saveDb(db);
+    return { expiresIn: this.resetTokenTtl, debugToken };
+  }
+
+  async startMfaSetup(session) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+    if (account.emailVerified === false) {
+      throw new AuthApiError('email_unverified', undefined, { status: 403 });
+    }
+
+    // Until the first code is confirmed, an existing setup stays active
+    const secret = Totp.generateSecret();
+    account.mfaPending = { secret, createdAt: Date.now() };
+    this.saveDb(db);
+    return { secret, uri: Totp.buildUri({ secret, account: account.email }) };
+  }
+
+  async enableMfa(session, { code } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+    const pending = account.mfaPending;
+
+    if (!pending) {
+      throw new AuthApiError('mfa_not_enabled', 'Bitte starten Sie die Einrichtung erneut', { status: 409 });
+    }
+    const step = await Totp.verify(code, pending.secret, { window: this.totpWindow });
+    if (step === null) {
+      throw new AuthApiError('mfa_invalid', undefined, { status: 422, field: 'code' });
+    }
+
+    account.mfa = { enabled: true, secret: pending.secret, lastUsedStep: step, enabledAt: new Date().toISOString() };
+    delete account.mfaPending;
+    const recoveryCodes = await this.issueRecoveryCodes(account);
+    this.saveDb(db);
+    return { user: this.publicUser(account), recoveryCodes };
+  }
+
+  async disableMfa(session, { code } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    if (!account.mfa?.enabled) throw new AuthApiError('mfa_not_enabled', undefined, { status: 409 });
+    if (!await this.checkSecondFactor(account, code)) {
+      this.saveDb(db);
+      throw new AuthApiError('mfa_invalid', undefined, { status: 422, field: 'code' });
+    }
+
+    delete account.mfa;
+    this.saveDb(db);
+    return { user: this.publicUser(account) };
+  }
+
+  async regenerateRecoveryCodes(session, { code } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    if (!account.mfa?.enabled) throw new AuthApiError('mfa_not_enabled', undefined, { status: 409 });
+    if (!await this.checkSecondFactor(account, code)) {
+      this.saveDb(db);
+      throw new AuthApiError('mfa_invalid', undefined, { status: 422, field: 'code' });
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(account);
+    this.saveDb(db);
+    return { recoveryCodes };
+  }
+
+  async changePlan(session, { plan, billingCycle = 'monthly', paymentId } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.findAccount(db, session);
+
+    if (!['free', 'starter', 'professional'].includes(plan)) {
+      throw new AuthApiError(plan === 'enterprise' ? 'plan_unavailable' : 'validation_failed', undefined, { status: 422, field: 'plan' });
+    }
+    if (!['monthly', 'yearly'].includes(billingCycle)) {
+      throw new AuthApiError('validation_failed', undefined, { status: 422, field: 'billingCycle' });
+    }
+    if (plan === 'professional' && !/^pay_[0-9a-f]+$/.test(paymentId || '')) {
+      throw new AuthApiError('payment_required', undefined, { status: 402 });
+    }
+
+    account.plan = plan;
+    account.subscription = { plan, billingCycle, paymentId: paymentId || null, startedAt: new Date().toISOString() };
+    this.saveDb(db);
+    return { user: this.publicUser(account) };
+  }
+
+  async confirmPasswordReset({ email, token, password } = {}) {
+    await this.wait();
+    const db = await this.loadDb();
+    const account = this.getAccount(db, this.accountKey(email));
+    const reset = account?.reset;
+
+    if (!password) {
+      throw new AuthApiError('validation_failed', undefined, { status: 422, field: 'password' });
+    }
+    if (!reset || reset.token !== String(token || '').trim()) {
+      if (reset) {
+        reset.attempts = (reset.attempts || 0) + 1;
+        if (reset.attempts >= this.maxResetAttempts) {
+          delete account.reset;
+          this.saveDb(db);
+          throw new AuthApiError('token_expired', 'Zu viele Fehlversuche. Bitte fordern Sie einen neuen Code an.', { status: 410, field: 'token' });
+        }
+        this.saveDb(db);
+      }
+      throw new AuthApiError('token_invalid', undefined, { status: 400, field: 'token' });
+    }
+    if (reset.expiresAt <= Date.now()) {
+      delete account.reset;
+      this.saveDb(db);
+      throw new AuthApiError('token_expired', undefined, { status: 410, field: 'token' });
+    }
+
+    account.passwordHash = await this.hashPassword(password);
+    account.failedAttempts = 0;
+    account.lockedUntil = null;
+    delete account.reset;
+
+    // Revoke every session of this account
+    Object.keys(db.sessions).forEach(key => {
+      if (db.sessions[key].email === account.email) delete db.sessions[key];
+    });
+    this.saveDb(db);
+  }
+}
+
+/**
+ * createAuthAdapter() - Builds the adapter selected in the config
+ * @param {Object} [config={}] - `auth` section of KERNWERK_CONFIG
+ * @returns {HttpAuthAdapter|MockAuthAdapter}
+ */
+function createAuthAdapter(config = {}) {
+  if (config.adapter === 'http') {
+    return new HttpAuthAdapter(config);
+  }
+  return new MockAuthAdapter(config.mock || {});
+}
@@ -4,10 +4,19 @@
  * ============================================
  * 
  * Verwaltet:
- * - Benutzer-Login/-Logout
+ * - Benutzer-Login/-Registrierung/-Logout über einen Auth-Adapter
+ *   (siehe auth-api.js, konfigurierbar via KERNWERK_CONFIG.auth)
  * - LocalStorage Persistierung
+ * - Token-Sitzungen mit Ablaufzeit und stiller Erneuerung (Refresh)
+ * - Single Sign-On über OpenID Connect (oidc-client.js), falls konfiguriert
+ * - Mehrere gemerkte Konten mit Kontowechsel (z.B. geteilte Rechner)
+ * - E-Mail-Bestätigung neuer Konten (Status "unbestätigt", Link-Token)
+ * - Plan und Rollen des Benutzers; Elemente mit `data-requires-plan` /
+ *   `data-requires-role` werden bei jedem updateNavigation() ein-,
+ *   ausgeblendet oder gesperrt (mit Upgrade-Hinweis beim Klick)
+ * - Tab-übergreifende Synchronisation via `storage` Event
  * - Navigation UI Updates
- * - Toast Notifications
+ * - Benachrichtigungen über window.notifications (notifications.js)
  */
 
 class AuthManager {
@@ -15,8 +24,26 @@ class AuthManager {
    * Konstruktor - Initialisiert AuthManager
    */
   constructor() {
-    this.storageKey = 'kernwerk_auth';  // LocalStorage Schlüssel
-    this.user = null;                    // Aktueller Benutzer
+    this.storageKey = 'kernwerk_auth';            // LocalStorage Schlüssel
+    this.sessionKey = 'kernwerk_session';         // LocalStorage Schlüssel für Tokens
+    this.accountsKey = 'kernwerk_accounts';       // LocalStorage Schlüssel für weitere Konten
+    this.maxAccounts = 5;                          // Gemerkte Konten inkl. aktivem
+    this.user = null;                              // Aktueller Benutzer
+    this.session = null;                           // Aktuelle Sitzung (Tokens)
+    this.accounts = [];                            // Weitere Konten: [{ user, session }]
+    this.adapter = createAuthAdapter(window.KERNWERK_CONFIG?.auth);
+    this.oidc = window.KERNWERK_CONFIG?.auth?.oidc?.issuer  // SSO-Client (optional)
+      ? new OidcClient(window.KERNWERK_CONFIG.auth.oidc)
+      : null;
+    this.refreshMargin = 60 * 1000;                // Refresh 60s vor Ablauf
+    this.refreshRetryDelay = 30 * 1000;            // Retry bei Netzwerkfehler
+    this.refreshTimer = null;                      // Geplanter Refresh
+    this.refreshPromise = null;                    // Laufender Refresh
+    this.refreshLockName = 'kernwerk_session_refresh';  // Web Lock: nur ein Tab erneuert
+    this.maxTimerDelay = 2 ** 31 - 1;              // Größere Werte feuert setTimeout sofort
+    this.plans = ['free', 'starter', 'professional', 'enterprise'];  // Aufsteigend, höherer Plan enthält niedrigere
+    this.planLabels = { free: 'Kostenlos', starter: 'Starter', professional: 'Professional', enterprise: 'Enterprise' };
+    this.roleLabels = { admin: 'Administrator', member: 'Mitglied' };
     this.init();
   }
 
@@ -31,6 +58,9 @@ class AuthManager {
       this.loadUser();
       this.updateNavigation();
       this.setupLogoutHandler();
+      this.setupAccessGuard();
+      this.setupStorageSync();
+      this.scheduleRefresh();
       console.log('AuthManager initialized');
     } catch (e) {
       console.error('Auth manager initialization failed:', e);
@@ -43,28 +73,159 @@ class AuthManager {
   loadUser() {
     try {
       const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        this.user = JSON.parse(stored);
+      const storedSession = localStorage.getItem(this.sessionKey);
+      this.user = stored ? JSON.parse(stored) : null;
+      this.session = storedSession ? JSON.parse(storedSession) : null;
+
+      // Ohne gültige Sitzung kein Login (z.B. Altbestand ohne Tokens);
+      // SSO-Sitzungen ohne Refresh-Token gelten bis zum Ablauf des Access-Tokens
+      const usable = this.session?.refreshToken || (this.session?.accessToken && this.session.expiresAt > Date.now());
+      if (this.user && !usable) {
+        console.log('Stored user has no session, ignoring');
+        this.user = null;
+        this.session = null;
+      }
+
+      // Altbestand: loginTime → lastLoginAt
+      if (this.user && this.user.loginTime && !this.user.lastLoginAt) {
+        this.user.lastLoginAt = this.user.loginTime;
+        delete this.user.loginTime;
+      }
+
+      if (this.user) {
         console.log('User loaded from storage:', this.user.email);
       }
     } catch (e) {
       console.warn('Failed to load user from storage:', e);
       this.user = null;
+      this.session = null;
+    }
+    this.loadAccounts();
+  }
+
+  /**
+   * loadAccounts() - Lädt die weiteren (nicht aktiven) Konten aus localStorage
+   */
+  loadAccounts() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.accountsKey) || '[]');
+      this.accounts = Array.isArray(stored)
+        ? stored.filter(entry => entry?.user?.email && entry?.session?.accessToken && entry.user.email !== this.user?.email)
+        : [];
+    } catch (e) {
+      console.warn('Failed to load accounts from storage:', e);
+      this.accounts = [];
+    }
+  }
+
+  /**
+   * saveAccounts() - Speichert die weiteren Konten
+   */
+  saveAccounts() {
+    if (this.accounts.length) {
+      localStorage.setItem(this.accountsKey, JSON.stringify(this.accounts));
+    } else {
+      localStorage.removeItem(this.accountsKey);
     }
   }
 
   /**
-   * saveUser() - Speichert Benutzerdaten in localStorage
-   * @param {Object} userData - Benutzerdaten (name, email)
+   * takeAccount() - Entfernt ein weiteres Konto aus der Liste
+   * @param {string} email
+   * @returns {Object|null} - { user, session } oder null
+   */
+  takeAccount(email) {
+    const index = this.accounts.findIndex(entry => entry.user.email === email);
+    if (index === -1) return null;
+    const [entry] = this.accounts.splice(index, 1);
+    this.saveAccounts();
+    return entry;
+  }
+
+  /**
+   * parkActiveAccount() - Merkt das aktive Konto als weiteres Konto vor
+   * Überzählige Konten werden beim Server abgemeldet.
+   */
+  parkActiveAccount() {
+    if (!this.isLoggedIn() || !this.session) return;
+
+    this.accounts = this.accounts.filter(entry => entry.user.email !== this.user.email);
+    this.accounts.unshift({ user: this.user, session: this.session });
+
+    this.accounts.splice(this.maxAccounts - 1).forEach(entry => {
+      this.revokeSession(entry.session);
+    });
+    this.saveAccounts();
+  }
+
+  /**
+   * activateAccount() - Macht ein gemerktes Konto zum aktiven Konto
+   * @param {Object} entry - { user, session }
+   */
+  activateAccount(entry) {
+    this.user = entry.user;
+    this.storeSession(entry.session);
+    localStorage.setItem(this.storageKey, JSON.stringify(this.user));
+    this.updateNavigation();
+  }
+
+  /**
+   * endActiveSession() - Beendet das aktive Konto lokal
+   * Gibt es weitere Konten, wird direkt zum zuletzt genutzten gewechselt
+   * (ohne Zwischenzustand "abgemeldet"), sonst wird alles geleert.
+   * @returns {Object|null} - Neuer aktiver Benutzer oder null
+   */
+  endActiveSession() {
+    const next = this.accounts.shift();
+    if (!next) {
+      this.clearSession();
+      return null;
+    }
+    this.saveAccounts();
+    this.activateAccount(next);
+    return this.user;
+  }
+
+  /**
+   * buildUser() - Übernimmt die bekannten Profilfelder vom Server
+   * @param {Object} userData - Benutzer vom Auth-Adapter
+   * @param {string|null} lastLoginAt - Zeitpunkt der letzten Anmeldung
+   * @returns {Object} - { name, email, bio, avatarUrl, createdAt, lastLoginAt, provider, mfaEnabled, emailVerified, plan, roles }
+   */
+  buildUser(userData, lastLoginAt) {
+    // Nur das eigene, bereits bekannte Konto behält sein Datum; ein neu angemeldetes anderes Konto nicht
+    const knownCreatedAt = this.user?.email === userData.email ? this.user.createdAt : null;
+    return {
+      name: userData.name,
+      email: userData.email,
+      bio: userData.bio || '',
+      avatarUrl: userData.avatarUrl || null,
+      createdAt: userData.createdAt || knownCreatedAt || new Date().toISOString(),
+      lastLoginAt: lastLoginAt || null,
+      provider: userData.provider || 'password',  // 'password' | 'oidc'
+      mfaEnabled: Boolean(userData.mfaEnabled),
+      emailVerified: userData.emailVerified !== false,  // Ältere Einträge ohne Feld gelten als bestätigt
+      plan: this.plans.includes(userData.plan) ? userData.plan : 'free',
+      roles: Array.isArray(userData.roles) ? userData.roles.filter(role => typeof role === 'string') : []
+    };
+  }
+
+  /**
+   * saveUser() - Speichert Benutzerdaten nach Login/Registrierung in localStorage
+   * @param {Object} userData - Benutzerdaten vom Auth-Adapter
+   * @param {Object} [session] - Sitzung vom Auth-Adapter (Tokens)
    * @returns {boolean} - Erfolgreich gespeichert
    */
-  saveUser(userData) {
+  saveUser(userData, session = null) {
     try {
-      this.user = {
-        name: userData.name,
-        email: userData.email,
-        loginTime: new Date().toISOString()
-      };
+      // Anderes Konto angemeldet → bisheriges aktives Konto merken
+      if (this.user && this.user.email !== userData.email) {
+        this.parkActiveAccount();
+      }
+      this.takeAccount(userData.email);
+      this.user = this.buildUser(userData, new Date().toISOString());
+      // Sitzung zuerst schreiben, damit andere Tabs nie einen Benutzer ohne Tokens sehen
+      this.storeSession(session);
       localStorage.setItem(this.storageKey, JSON.stringify(this.user));
       this.updateNavigation();
       console.log('User saved:', this.user.email);
@@ -76,18 +237,675 @@ class AuthManager {
   }
 
   /**
-   * logout() - Meldet Benutzer ab
-   * - Löscht Benutzerdaten
-   * - Aktualisiert Navigation
-   * - Zeigt Toast-Benachrichtigung
+   * updateStoredUser() - Aktualisiert das Profil ohne neue Anmeldung
+   * (lastLoginAt und Sitzung bleiben unverändert)
+   * @param {Object} userData - Benutzerdaten vom Auth-Adapter
+   */
+  updateStoredUser(userData) {
+    if (!this.isLoggedIn()) return;
+    this.user = this.buildUser(Object.assign({ provider: this.user.provider }, userData), this.user.lastLoginAt);
+    localStorage.setItem(this.storageKey, JSON.stringify(this.user));
+    this.updateNavigation();
+  }
+
+  /**
+   * normalizeSession() - Wandelt Laufzeiten (Sekunden) in absolute Zeitstempel
+   * @param {Object} session - Sitzung vom Adapter
+   * @returns {Object|null} - { accessToken, refreshToken, expiresAt, refreshExpiresAt, provider }
+   */
+  normalizeSession(session) {
+    if (!session) return null;
+    const now = Date.now();
+    return {
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: session.expiresAt || (session.expiresIn ? now + session.expiresIn * 1000 : null),
+      refreshExpiresAt: session.refreshExpiresAt || (session.refreshExpiresIn ? now + session.refreshExpiresIn * 1000 : null),
+      provider: session.provider || 'password'
+    };
+  }
+
+  /**
+   * storeSession() - Speichert die Sitzung und plant den nächsten Refresh
+   * @param {Object|null} session - Sitzung vom Adapter
+   */
+  storeSession(session) {
+    this.session = this.normalizeSession(session);
+    if (this.session) {
+      localStorage.setItem(this.sessionKey, JSON.stringify(this.session));
+    } else {
+      localStorage.removeItem(this.sessionKey);
+    }
+    this.scheduleRefresh();
+  }
+
+  /**
+   * scheduleRefresh() - Plant den stillen Refresh kurz vor Ablauf des Access-Tokens
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (!this.isLoggedIn() || !this.session?.expiresAt) return;
+
+    const delay = Math.min(this.maxTimerDelay, Math.max(0, this.session.expiresAt - Date.now() - this.refreshMargin));
+    this.refreshTimer = setTimeout(() => {
+      this.refreshSession().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * refreshSession() - Erneuert die Sitzung mit dem Refresh-Token
+   * - Parallele Aufrufe teilen sich einen Request
+   * - Über alle Tabs erneuert immer nur einer (Web Lock); die anderen
+   *   übernehmen danach dessen Sitzung, statt das schon rotierte
+   *   Refresh-Token erneut zu senden
+   * - Schlägt der Refresh fehl, wird der Benutzer abgemeldet
+   * @returns {Promise<Object>} - Neue Sitzung
+   */
+  refreshSession() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    const previous = this.session;
+    this.refreshPromise = (async () => {
+      try {
+        return await this.withRefreshLock(async () => {
+          // Anderer Tab hat erneuert, während dieser gewartet hat
+          if (this.adoptStoredSession(previous, { fresh: true })) return this.session;
+
+          if (previous?.refreshExpiresAt && previous.refreshExpiresAt <= Date.now()) {
+            throw new AuthApiError('unauthorized');
+          }
+          const { session } = previous?.provider === 'oidc'
+            ? await this.refreshOidcSession(previous)
+            : await this.adapter.refresh(previous);
+
+          // Während des Refresh das Konto gewechselt → erneuerte Sitzung dem gemerkten Konto geben
+          if (this.session?.refreshToken !== previous?.refreshToken) {
+            const parked = this.accounts.find(entry => entry.session.refreshToken === previous?.refreshToken);
+            if (parked) {
+              parked.session = this.normalizeSession(session);
+              this.saveAccounts();
+            }
+            return this.session;
+          }
+
+          this.storeSession(session);
+          console.log('Session refreshed');
+          return this.session;
+        });
+      } catch (e) {
+        // Refresh-Token abgelehnt (unauthorized / invalid_grant), weil ein anderer
+        // Tab es schon rotiert hat → dessen Sitzung übernehmen statt abzumelden
+        if (this.adoptStoredSession(previous)) return this.session;
+
+        const accessStillValid = previous?.expiresAt && previous.expiresAt > Date.now();
+        if ((e?.code === 'network_error' || e?.code === 'timeout') && accessStillValid) {
+          console.warn('Session refresh failed, retrying:', e);
+          clearTimeout(this.refreshTimer);
+          this.refreshTimer = setTimeout(() => this.refreshSession().catch(() => {}), this.refreshRetryDelay);
+          throw e;
+        }
+
+        console.warn('Session refresh failed, logging out:', e);
+        this.forceLogout('Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.');
+        throw e;
+      } finally {
+        this.refreshPromise = null;
+      }
+    })();
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * withRefreshLock() - Führt einen Refresh unter einer tabübergreifenden Sperre aus
+   * Ohne Web Locks API (sehr alte Browser) läuft er ohne Sperre; ein
+   * verlorenes Rennen fängt dann adoptStoredSession() im Fehlerfall ab.
+   * @param {Function} task - async () => Sitzung
+   * @returns {Promise<Object>}
+   */
+  withRefreshLock(task) {
+    if (!navigator.locks?.request) return task();
+    return navigator.locks.request(this.refreshLockName, task);
+  }
+
+  /**
+   * adoptStoredSession() - Übernimmt eine von einem anderen Tab erneuerte Sitzung
+   * @param {Object|null} previous - Sitzung vor dem Refresh
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh=false] - Nur übernehmen, wenn sie nicht
+   *   selbst schon erneuert werden müsste
+   * @returns {boolean} - Übernommen
+   */
+  adoptStoredSession(previous, { fresh = false } = {}) {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.sessionKey) || 'null');
+    } catch (e) {
+      return false;
+    }
+    if (!stored?.accessToken || stored.refreshToken === previous?.refreshToken) return false;
+    if (fresh && stored.expiresAt && stored.expiresAt - Date.now() <= this.refreshMargin) return false;
+
+    this.loadUser();
+    this.scheduleRefresh();
+    this.updateNavigation();
+    return true;
+  }
+
+  /**
+   * refreshOidcSession() - Erneuert eine SSO-Sitzung beim Identitätsanbieter
+   * @param {Object} session
+   * @returns {Promise<{session: Object}>}
+   */
+  refreshOidcSession(session) {
+    if (!this.oidc) return Promise.reject(new AuthApiError('unauthorized'));
+    return this.oidc.refresh(session);
+  }
+
+  /**
+   * revokeSession() - Beendet eine Sitzung beim Server (im Hintergrund)
+   * SSO-Sitzungen werden nur lokal beendet; die Sitzung beim
+   * Identitätsanbieter bleibt bestehen.
+   * @param {Object} session
+   */
+  revokeSession(session) {
+    if (!session || session.provider === 'oidc') return;
+    this.adapter.logout(session).catch(e => console.warn('Server logout failed:', e));
+  }
+
+  /**
+   * getValidSession() - Liefert eine Sitzung mit gültigem Access-Token
+   * @returns {Promise<Object|null>} - Sitzung oder null wenn nicht angemeldet
+   */
+  async getValidSession() {
+    if (!this.isLoggedIn()) return null;
+    if (this.session?.expiresAt && this.session.expiresAt - Date.now() <= this.refreshMargin) {
+      return this.refreshSession();
+    }
+    return this.session;
+  }
+
+  /**
+   * setupStorageSync() - Übernimmt Login/Logout aus anderen Tabs
+   * Das `storage` Event feuert nur in den jeweils anderen Tabs.
+   */
+  setupStorageSync() {
+    window.addEventListener('storage', (e) => {
+      try {
+        // key === null: localStorage.clear() in einem anderen Tab
+        if (e.key !== null && ![this.storageKey, this.sessionKey, this.accountsKey].includes(e.key)) return;
+        this.loadUser();
+        this.scheduleRefresh();
+        this.updateNavigation();
+      } catch (err) {
+        console.warn('Storage sync failed:', err);
+      }
+    });
+  }
+
+  /**
+   * login() - Meldet Benutzer über den Auth-Adapter an
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} - Angemeldeter Benutzer
+   * @throws {AuthApiError} - z.B. invalid_credentials, account_locked,
+   *   mfa_required (details.mfaToken → verifyMfa())
+   */
+  async login(credentials) {
+    const { user, session } = await this.adapter.login(credentials);
+    this.saveUser(user, session);
+    return this.user;
+  }
+
+  /**
+   * verifyMfa() - Zweiter Anmeldeschritt mit TOTP- oder Wiederherstellungscode
+   * @param {Object} data - { mfaToken, code }
+   * @returns {Promise<Object>} - Angemeldeter Benutzer
+   * @throws {AuthApiError} - z.B. mfa_invalid, mfa_expired
+   */
+  async verifyMfa(data) {
+    const { user, session } = await this.adapter.verifyMfa(data);
+    this.saveUser(user, session);
+    return this.user;
+  }
+
+  /**
+   * register() - Legt ein neues Konto über den Auth-Adapter an
+   * Das Konto ist bis zur Bestätigung der E-Mail-Adresse "unbestätigt";
+   * der Versand der Bestätigungsmail wird als `auth:verification-sent` gemeldet.
+   * @param {Object} data - { name, email, password }
+   * @returns {Promise<Object>} - Angemeldeter Benutzer
+   * @throws {AuthApiError} - z.B. email_taken, validation_failed
+   */
+  async register(data) {
+    const { user, session, verification } = await this.adapter.register(data);
+    this.saveUser(user, session);
+    if (verification) this.dispatchVerificationSent(verification);
+    return this.user;
+  }
+
+  /**
+   * isEmailVerified() - Ob das aktive Konto seine E-Mail-Adresse bestätigt hat
+   * @returns {boolean}
+   */
+  isEmailVerified() {
+    return Boolean(this.user?.emailVerified);
+  }
+
+  /**
+   * getPlan() - Plan des aktiven Kontos ('free' ohne Anmeldung)
+   * @returns {string}
+   */
+  getPlan() {
+    return this.user?.plan || 'free';
+  }
+
+  /**
+   * hasPlan() - Ob der Plan des aktiven Kontos mindestens dem angegebenen entspricht
+   * @param {string} plan - z.B. 'professional'
+   * @returns {boolean}
+   */
+  hasPlan(plan) {
+    const required = this.plans.indexOf(plan);
+    return required !== -1 && this.plans.indexOf(this.getPlan()) >= required;
+  }
+
+  /**
+   * hasRole() - Ob das aktive Konto eine der Rollen hat
+   * @param {string|string[]} roles - Eine Rolle oder mehrere (eine genügt)
+   * @returns {boolean}
+   */
+  hasRole(roles) {
+    const wanted = Array.isArray(roles) ? roles : [roles];
+    return wanted.some(role => this.user?.roles?.includes(role));
+  }
+
+  /**
+   * checkAccess() - Prüft die Anforderungen eines Elements
+   * `data-requires-plan="professional"` (Mindestplan) und
+   * `data-requires-role="admin"` (mehrere durch Komma: eine genügt)
+   * @param {HTMLElement} element
+   * @returns {{allowed: boolean, reason: string|null, plan: string|null, roles: string[]}}
+   *   reason: 'login' | 'plan' | 'role' | null
+   */
+  checkAccess(element) {
+    const plan = element.dataset.requiresPlan || null;
+    const roles = (element.dataset.requiresRole || '').split(',').map(role => role.trim()).filter(Boolean);
+
+    let reason = null;
+    if (!this.isLoggedIn()) reason = 'login';
+    else if (plan && !this.hasPlan(plan)) reason = 'plan';
+    else if (roles.length && !this.hasRole(roles)) reason = 'role';
+
+    return { allowed: !reason, reason, plan, roles };
+  }
+
+  /**
+   * applyAccessRules() - Blendet gesperrte Elemente aus oder sperrt sie
+   * `data-gate="hide"` blendet aus, sonst bleibt das Element sichtbar und
+   * wird per aria-disabled gesperrt (Klick zeigt einen Upgrade-Hinweis).
+   */
+  applyAccessRules() {
+    document.querySelectorAll('[data-requires-plan], [data-requires-role]').forEach(element => {
+      const { allowed } = this.checkAccess(element);
+
+      // `hidden` gehört hier der Sperre; im Markup vorbelegt vermeidet es ein Aufblitzen
+      if (element.dataset.gate === 'hide') {
+        element.hidden = !allowed;
+        return;
+      }
+
+      if (allowed) {
+        element.removeAttribute('aria-disabled');
+      } else {
+        element.setAttribute('aria-disabled', 'true');
+      }
+    });
+  }
+
+  /**
+   * setupAccessGuard() - Fängt Klicks auf gesperrte Elemente ab
+   * (Capture-Phase, damit der eigentliche Handler nicht ausgeführt wird)
+   */
+  setupAccessGuard() {
+    document.addEventListener('click', (e) => {
+      const element = e.target instanceof Element
+        ? e.target.closest('[data-requires-plan], [data-requires-role]')
+        : null;
+      if (!element) return;
+
+      const access = this.checkAccess(element);
+      if (access.allowed) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.showUpgradePrompt(element, access);
+    }, true);
+  }
+
+  /**
+   * showUpgradePrompt() - Erklärt, warum ein Element gesperrt ist
+   * @param {HTMLElement} element - Gesperrtes Element (`data-gate-label` benennt die Funktion)
+   * @param {Object} access - Ergebnis von checkAccess()
+   */
+  showUpgradePrompt(element, access) {
+    const feature = element.dataset.gateLabel || 'Diese Funktion';
+
+    if (access.reason === 'login') {
+      window.notifications?.info(`${feature} ist nach der Anmeldung verfügbar.`, {
+        action: { label: 'Anmelden', onClick: () => window.authModal?.open('login') }
+      });
+    } else if (access.reason === 'plan') {
+      const plan = this.planLabels[access.plan] || access.plan;
+      window.notifications?.warning(`${feature} ist ab dem Plan ${plan} verfügbar.`, {
+        duration: 6000,
+        action: { label: 'Pläne ansehen', onClick: () => this.showPlans() }
+      });
+    } else {
+      const roles = access.roles.map(role => this.roleLabels[role] || role).join(' oder ');
+      window.notifications?.warning(`${feature} ist nur mit der Rolle ${roles} verfügbar.`);
+    }
+  }
+
+  /**
+   * showPlans() - Schließt offene Dialoge und scrollt zu den Plänen
+   */
+  showPlans() {
+    window.profilePopup?.close();
+    window.authModal?.close();
+    document.getElementById('plans')?.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * requireVerifiedEmail() - Sperre für Funktionen, die eine bestätigte Adresse brauchen
+   * @throws {AuthApiError} - email_unverified
+   */
+  requireVerifiedEmail() {
+    if (this.isLoggedIn() && !this.isEmailVerified()) {
+      throw new AuthApiError('email_unverified', undefined, { status: 403 });
+    }
+  }
+
+  /**
+   * verifyEmail() - Löst den Token aus dem Bestätigungslink ein
+   * Funktioniert auch ohne Anmeldung (Link in anderem Browser geöffnet).
+   * Gehört die Adresse zu einem angemeldeten oder gemerkten Konto, wird es aktualisiert.
+   * @param {string} token - Token aus der URL
+   * @returns {Promise<Object>} - Bestätigter Benutzer (vom Server)
+   * @throws {AuthApiError} - z.B. token_invalid, token_expired
+   */
+  async verifyEmail(token) {
+    const { user } = await this.adapter.verifyEmail({ token });
+
+    if (this.user?.email === user.email) {
+      this.updateStoredUser(user);
+    } else {
+      const entry = this.accounts.find(item => item.user.email === user.email);
+      if (entry) {
+        entry.user = Object.assign({}, entry.user, { emailVerified: true });
+        this.saveAccounts();
+        this.updateNavigation();
+      }
+    }
+    return user;
+  }
+
+  /**
+   * resendVerification() - Sendet die Bestätigungsmail erneut
+   * @returns {Promise<Object>} - { expiresIn, debugToken? }
+   * @throws {AuthApiError} - z.B. rate_limited (details.retryAfter), already_verified
+   */
+  async resendVerification() {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const result = await this.adapter.resendVerification(session);
+    this.dispatchVerificationSent(result);
+    return result;
+  }
+
+  /**
+   * dispatchVerificationSent() - Meldet eine versendete Bestätigungsmail
+   * @param {Object} verification - { expiresIn, debugToken? }
+   */
+  dispatchVerificationSent(verification) {
+    document.dispatchEvent(new CustomEvent('auth:verification-sent', {
+      detail: Object.assign({ email: this.user?.email }, verification)
+    }));
+  }
+
+  /**
+   * loginWithOidc() - Schließt die SSO-Anmeldung nach dem Redirect ab
+   * - Prüft state/nonce und tauscht den Code (oidc-client.js)
+   * - Übergibt die Identität aus dem ID-Token an saveUser()
+   * @param {string} href - Callback-URL mit code und state
+   * @returns {Promise<{user: Object, returnTo: string}>}
+   * @throws {AuthApiError} - z.B. sso_invalid_response, sso_cancelled
+   */
+  async loginWithOidc(href) {
+    if (!this.oidc) throw new AuthApiError('sso_failed', 'SSO ist nicht konfiguriert');
+
+    const { claims, tokens, returnTo } = await this.oidc.handleCallback(href);
+    if (!claims.email) {
+      throw new AuthApiError('sso_invalid_response', 'Der Identitätsanbieter hat keine E-Mail-Adresse übermittelt');
+    }
+
+    this.saveUser({
+      name: claims.name || claims.preferred_username || claims.email,
+      email: String(claims.email).toLowerCase(),
+      avatarUrl: /^https:\/\//.test(claims.picture || '') ? claims.picture : null,
+      provider: 'oidc',
+      emailVerified: claims.email_verified === true,
+      roles: Array.isArray(claims.roles) ? claims.roles : []
+    }, this.oidc.toSession(tokens));
+    return { user: this.user, returnTo };
+  }
+
+  /**
+   * fetchProfile() - Lädt das Profil des angemeldeten Benutzers vom Server
+   * @returns {Promise<Object|null>} - Benutzer oder null wenn nicht angemeldet
+   */
+  async fetchProfile() {
+    const session = await this.getValidSession();
+    if (!session) return null;
+    const { user } = await this.adapter.fetchProfile(session);
+    this.updateStoredUser(user);
+    return this.user;
+  }
+
+  /**
+   * updateProfile() - Speichert Profiländerungen beim Server
+   * @param {Object} changes - { name?, bio?, avatarUrl? }
+   * @returns {Promise<Object>} - Aktualisierter Benutzer
+   * @throws {AuthApiError} - z.B. validation_failed (details.field), unauthorized
+   */
+  async updateProfile(changes) {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const { user } = await this.adapter.updateProfile(session, changes);
+    this.updateStoredUser(user);
+    return this.user;
+  }
+
+  /**
+   * startMfaSetup() - Erzeugt ein neues TOTP-Geheimnis für die Einrichtung
+   * Aktiv wird es erst nach enableMfa() mit einem gültigen Code.
+   * @returns {Promise<Object>} - { secret, uri }
+   * @throws {AuthApiError} - z.B. unauthorized, email_unverified
+   */
+  async startMfaSetup() {
+    this.requireVerifiedEmail();
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    return this.adapter.startMfaSetup(session);
+  }
+
+  /**
+   * enableMfa() - Bestätigt die Einrichtung mit dem ersten Code
+   * @param {string} code - 6-stelliger TOTP-Code
+   * @returns {Promise<string[]>} - Wiederherstellungscodes (nur einmal sichtbar)
+   * @throws {AuthApiError} - z.B. mfa_invalid
+   */
+  async enableMfa(code) {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const { user, recoveryCodes } = await this.adapter.enableMfa(session, { code });
+    this.updateStoredUser(user);
+    return recoveryCodes;
+  }
+
+  /**
+   * disableMfa() - Schaltet die Zwei-Faktor-Authentifizierung ab
+   * @param {string} code - TOTP- oder Wiederherstellungscode
+   * @returns {Promise<Object>} - Aktualisierter Benutzer
+   * @throws {AuthApiError} - z.B. mfa_invalid
+   */
+  async disableMfa(code) {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const { user } = await this.adapter.disableMfa(session, { code });
+    this.updateStoredUser(user);
+    return this.user;
+  }
+
+  /**
+   * regenerateRecoveryCodes() - Ersetzt alle Wiederherstellungscodes
+   * @param {string} code - TOTP- oder Wiederherstellungscode
+   * @returns {Promise<string[]>} - Neue Codes
+   * @throws {AuthApiError} - z.B. mfa_invalid
+   */
+  async regenerateRecoveryCodes(code) {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const { recoveryCodes } = await this.adapter.regenerateRecoveryCodes(session, { code });
+    return recoveryCodes;
+  }
+
+  /**
+   * changePlan() - Bucht einen Plan für das aktive Konto
+   * Kostenpflichtige Pläne brauchen die Zahlungs-ID des Zahlungsanbieters.
+   * Gesperrte Elemente werden danach neu bewertet (updateNavigation).
+   * @param {Object} data - { plan, billingCycle, paymentId? }
+   * @returns {Promise<Object>} - Aktualisierter Benutzer
+   * @throws {AuthApiError} - z.B. payment_required, plan_unavailable
+   */
+  async changePlan(data) {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+    const { user } = await this.adapter.changePlan(session, data);
+    this.updateStoredUser(user);
+    return this.user;
+  }
+
+  /**
+   * deleteAccount() - Löscht das aktive Konto und seine lokalen Daten
+   * - Ruft den Lösch-Endpunkt auf, falls konfiguriert (auth.endpoints.accountDelete)
+   * - Schlägt der Server-Aufruf fehl, bleibt lokal alles erhalten
+   * - Entfernt anschließend die `kernwerk_*` Daten dieses Kontos (personal-data.js)
+   * - Weitere gemerkte Konten bleiben angemeldet; das nächste wird aktiv
+   * @returns {Promise<{deleted: boolean}>} - deleted: auch serverseitig gelöscht
+   * @throws {AuthApiError} - z.B. unauthorized, network_error
+   */
+  async deleteAccount() {
+    const session = await this.getValidSession();
+    if (!session) throw new AuthApiError('unauthorized');
+
+    // SSO-Konten werden beim Identitätsanbieter verwaltet
+    const { deleted } = session.provider === 'oidc'
+      ? { deleted: false }
+      : await this.adapter.deleteAccount(session);
+
+    PersonalData.wipe(this.user);
+    this.endActiveSession();
+    console.log('Account deleted, local data wiped');
+    return { deleted: Boolean(deleted) };
+  }
+
+  /**
+   * requestPasswordReset() - Fordert einen Reset-Code per E-Mail an
+   * @param {string} email
+   * @returns {Promise<Object>} - { expiresIn, debugToken? }
+   * @throws {AuthApiError} - z.B. rate_limited (details.retryAfter)
+   */
+  requestPasswordReset(email) {
+    return this.adapter.requestPasswordReset({ email });
+  }
+
+  /**
+   * confirmPasswordReset() - Setzt das Passwort mit dem Reset-Code neu
+   * @param {Object} data - { email, token, password }
+   * @returns {Promise<void>}
+   * @throws {AuthApiError} - z.B. token_invalid, token_expired
+   */
+  confirmPasswordReset(data) {
+    return this.adapter.confirmPasswordReset(data);
+  }
+
+  /**
+   * switchAccount() - Wechselt zu einem gemerkten Konto
+   * Das bisher aktive Konto bleibt gemerkt. Ist das Access-Token des
+   * Zielkontos abgelaufen, wird es sofort erneuert.
+   * @param {string} email - E-Mail des Zielkontos
+   * @returns {Promise<Object|null>} - Neuer aktiver Benutzer
+   * @throws {AuthApiError} - z.B. unauthorized, wenn die Sitzung abgelaufen ist
+   */
+  async switchAccount(email) {
+    if (email === this.user?.email) return this.user;
+    const entry = this.takeAccount(email);
+    if (!entry) throw new AuthApiError('unauthorized');
+
+    this.parkActiveAccount();
+    this.activateAccount(entry);
+    await this.getValidSession();
+    console.log('Switched account:', email);
+    return this.user;
+  }
+
+  /**
+   * getAccounts() - Alle gemerkten Konten, aktives Konto zuerst
+   * @returns {Array<Object>} - Benutzer mit `active` Flag
+   */
+  getAccounts() {
+    const accounts = this.accounts.map(entry => Object.assign({}, entry.user, { active: false }));
+    if (this.user) accounts.unshift(Object.assign({}, this.user, { active: true }));
+    return accounts;
+  }
+
+  /**
+   * logout() - Meldet ein Konto ab
+   * - Ohne E-Mail (oder mit der aktiven): aktives Konto abmelden,
+   *   danach zum nächsten gemerkten Konto wechseln
+   * - Mit E-Mail eines weiteren Kontos: nur dieses Konto entfernen
+   * - Beendet die Sitzung sofort beim Server, damit nach dem Schließen
+   *   des Tabs keine gültigen Tokens zurückbleiben
+   * - Zeigt Benachrichtigung mit "Rückgängig" bzw. "Erneut anmelden"
+   *   (aktives Konto, siehe logoutAction())
+   * @param {string} [email] - Abzumeldendes Konto
    * @returns {boolean} - Erfolgreich abgemeldet
    */
-  logout() {
+  logout(email) {
     try {
-      this.user = null;
-      localStorage.removeItem(this.storageKey);
-      this.updateNavigation();
-      this.showToast('Erfolgreich abgemeldet', 'success');
+      if (email && email !== this.user?.email) {
+        const entry = this.takeAccount(email);
+        if (!entry) return false;
+        this.updateNavigation();
+        this.revokeSession(entry.session);
+        window.notifications?.success(`${entry.user.name} wurde abgemeldet`);
+        return true;
+      }
+
+      const user = this.user;
+      const session = this.session;
+      const next = this.endActiveSession();
+      this.revokeSession(session);
+
+      const message = next && user
+        ? `${user.name} abgemeldet – aktiv ist jetzt ${next.name}`
+        : 'Erfolgreich abgemeldet';
+      window.notifications?.success(message, {
+        duration: 6000,
+        action: user && session ? this.logoutAction(user, session) : null
+      });
       console.log('User logged out');
       return true;
     } catch (e) {
@@ -96,6 +914,96 @@ class AuthManager {
     }
   }
 
+  /**
+   * logoutAll() - Meldet alle gemerkten Konten ab (ohne "Rückgängig")
+   * @returns {boolean} - Erfolgreich abgemeldet
+   */
+  logoutAll() {
+    try {
+      const sessions = this.accounts.map(entry => entry.session);
+      if (this.session) sessions.unshift(this.session);
+
+      this.accounts = [];
+      this.saveAccounts();
+      this.clearSession();
+
+      sessions.forEach(session => {
+        this.revokeSession(session);
+      });
+      window.notifications?.success('Von allen Konten abgemeldet');
+      console.log('All accounts logged out');
+      return true;
+    } catch (e) {
+      console.error('Logout of all accounts failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * forceLogout() - Abmeldung ohne Zutun des Benutzers (z.B. Refresh fehlgeschlagen)
+   * Weitere gemerkte Konten bleiben erhalten; das nächste wird aktiv.
+   * @param {string} message - Hinweis für den Benutzer
+   */
+  forceLogout(message) {
+    try {
+      this.endActiveSession();
+      window.notifications?.error(message, { duration: 8000 });
+      console.log('User logged out (forced)');
+    } catch (e) {
+      console.error('Forced logout failed:', e);
+    }
+  }
+
+  /**
+   * logoutAction() - Aktion in der Benachrichtigung nach dem Logout
+   * Nur SSO-Sitzungen wurden lokal beendet und lassen sich mit "Rückgängig"
+   * wiederherstellen. Andere Sitzungen sind beim Server bereits widerrufen;
+   * "Erneut anmelden" öffnet den Login-Dialog mit der E-Mail-Adresse.
+   * @param {Object} user - Benutzer vor dem Logout
+   * @param {Object} session - Sitzung vor dem Logout
+   * @returns {{label: string, onClick: Function}}
+   */
+  logoutAction(user, session) {
+    if (session.provider === 'oidc') {
+      return { label: 'Rückgängig', onClick: () => this.restoreSession(user, session) };
+    }
+    return { label: 'Erneut anmelden', onClick: () => window.authModal?.openLogin(user.email) };
+  }
+
+  /**
+   * restoreSession() - Stellt eine lokal beendete SSO-Sitzung wieder her ("Rückgängig")
+   * Ein inzwischen aktives anderes Konto bleibt als weiteres Konto gemerkt.
+   * @param {Object} user - Benutzer vor dem Logout
+   * @param {Object} session - Sitzung vor dem Logout
+   */
+  restoreSession(user, session) {
+    try {
+      if (this.user && this.user.email !== user.email) {
+        this.parkActiveAccount();
+      }
+      this.takeAccount(user.email);
+      this.activateAccount({ user, session });
+      window.notifications?.info(`Willkommen zurück, ${user.name}!`);
+      console.log('Logout undone:', user.email);
+    } catch (e) {
+      console.error('Restoring session failed:', e);
+    }
+  }
+
+  /**
+   * clearSession() - Entfernt aktiven Benutzer und Sitzung lokal
+   * (weitere gemerkte Konten bleiben erhalten)
+   */
+  clearSession() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.user = null;
+    this.session = null;
+    localStorage.removeItem(this.storageKey);
+    localStorage.removeItem(this.sessionKey);
+    this.updateNavigation();
+  }
+
   /**
    * isLoggedIn() - Prüft ob Benutzer angemeldet ist
    * @returns {boolean}
@@ -116,6 +1024,7 @@ class AuthManager {
    * updateNavigation() - Aktualisiert Navigation basierend auf Login-Status
    * - Zeigt/versteckt Login/Register Buttons
    * - Zeigt/versteckt Profil/Logout Buttons
+   * - Zeigt das aktive Konto am Profil-Button (Tooltip)
    */
   updateNavigation() {
     try {
@@ -131,6 +1040,26 @@ class AuthManager {
         loggedOutElements.forEach(el => el.style.display = 'flex');
         loggedInElements.forEach(el => el.style.display = 'none');
       }
+
+      // Aktives Konto am Profil-Button
+      const profileBtn = document.querySelector('a[href="/profile"]');
+      if (profileBtn) {
+        if (this.isLoggedIn()) {
+          const others = this.accounts.length;
+          profileBtn.title = `Angemeldet als ${this.user.name} (${this.user.email})`
+            + (others ? ` – ${others} weitere${others === 1 ? 's Konto' : ' Konten'}` : '');
+        } else {
+          profileBtn.removeAttribute('title');
+        }
+      }
+
+      // Plan- und rollenabhängige Elemente neu bewerten
+      this.applyAccessRules();
+
+      // Andere Module (z.B. ProfilePopup) über Statuswechsel informieren
+      document.dispatchEvent(new CustomEvent('auth:change', {
+        detail: { user: this.user, accounts: this.getAccounts() }
+      }));
       console.log('Navigation updated - isLoggedIn:', this.isLoggedIn());
     } catch (e) {
       console.warn('Navigation update failed:', e);
@@ -153,34 +1082,6 @@ class AuthManager {
       console.warn('Logout handler setup failed:', e);
     }
   }
-
-  /**
-   * showToast() - Zeigt Toast-Benachrichtigung an
-   * @param {string} message - Nachrichtentext
-   * @param {string} type - Typ: 'info', 'success', 'error'
-   */
-  showToast(message, type = 'info') {
-    try {
-      const toast = document.createElement('div');
-      toast.className = `auth-toast auth-toast--${type}`;
-      toast.textContent = message;
-      toast.setAttribute('role', 'alert');
-      toast.setAttribute('aria-live', 'assertive');
-      
-      document.body.appendChild(toast);
-      
-      // Animation: Einblenden
-      setTimeout(() => toast.classList.add('auth-toast--visible'), 10);
-      
-      // Animation: Ausblenden nach 3 Sekunden
-      setTimeout(() => {
-        toast.classList.remove('auth-toast--visible');
-        setTimeout(() => toast.remove(), 300);
-      }, 3000);
-    } catch (e) {
-      console.warn('Toast error:', e);
-    }
-  }
 }
 
 // ============================================
@@ -5,11 +5,24 @@
  * 
  * Features:
  * - Tab switching between login and register forms
- * - Form validation with comprehensive error messages
- * - Password confirmation and strength checking
+ * - Password reset state ("Passwort vergessen?") with request/confirm steps
+ * - Two-factor step after the password (TOTP code or recovery code)
+ * - Single sign-on ("Mit SSO anmelden", OIDC + PKCE) when configured,
+ *   including the redirect callback on page load
+ * - Inline, accessible form validation (FormValidator) with errors next
+ *   to the fields instead of toasts
+ * - Password confirmation and strength checking (PasswordPolicy with
+ *   live strength meter under the new-password fields)
  * - Terms of service acceptance verification
- * - Toast notifications for user feedback
- * - Keyboard shortcuts (ESC to close)
+ * - Login/registration through AuthManager's auth adapter, surfacing
+ *   server-side errors (wrong password, email taken, locked account)
+ * - Progressive back-off per email after failed logins (LoginThrottle),
+ *   shown as a countdown on the submit button and kept across reloads;
+ *   server lockouts and rate limits use the same display
+ * - Success feedback through the shared notification service
+ * - Deep links: /login and /atomize open the matching tab (router.js)
+ * - Dialog behaviour through the shared DialogManager: ESC to close,
+ *   focus trap and return, scroll lock, labelled by the current form title
  * - Accessible ARIA attributes
  * 
  * @version 1.0.0
@@ -22,8 +35,8 @@
  * Manages the login/register modal overlay with:
  * - Tab switching functionality
  * - Form validation and submission handling
- * - User feedback through toast notifications
- * - Keyboard event listeners
+ * - User feedback through window.notifications
+ * - Focus and keyboard handling via window.dialogManager
  * - Integration with global AuthManager instance
  * 
  * @class AuthModal
@@ -55,6 +68,24 @@ class AuthModal {
       // Get specific form references
       this.loginForm = document.getElementById('login-form');
       this.registerForm = document.getElementById('register-form');
+      this.resetForm = document.getElementById('reset-form');
+      this.mfaForm = document.getElementById('mfa-form');
+
+      // Visible form: 'login' | 'register' | 'reset' | 'mfa'
+      this.activeTab = 'login';
+
+      // Login challenge between password and second factor
+      this.mfaToken = null;
+
+      // Timer for the reset rate-limit countdown
+      this.resetCooldownTimer = null;
+
+      // Failed-login back-off, persisted per email
+      this.loginThrottle = new LoginThrottle(window.KERNWERK_CONFIG?.loginThrottle);
+      this.loginThrottleTimer = null;
+
+      // Shared password rules for registration and reset
+      this.passwordPolicy = new PasswordPolicy(window.KERNWERK_CONFIG?.passwordPolicy);
 
       // Validate required elements exist
       if (!this.overlay || !this.closeBtn) {
@@ -76,7 +107,7 @@ class AuthModal {
    * - Overlay click handler (click outside to close)
    * - Tab switching functionality
    * - Form submission handlers
-   * - Keyboard shortcuts (ESC to close)
+   * - Dialog registration (ESC, focus trap, scroll lock)
    * - Navigation button click handlers
    * 
    * @method init
@@ -91,16 +122,13 @@ class AuthModal {
       // Close when clicking on overlay (outside modal)
       this.overlay?.addEventListener('click', () => this.close());
       
-      // === Keyboard Event Handler ===
-      // Allow ESC key to close modal
-      document.addEventListener('keydown', (e) => {
-        try {
-          if (e.key === 'Escape' && this.modal?.classList.contains('active')) {
-            this.close();
-          }
-        } catch (err) {
-          console.warn('Keyboard handler error:', err);
-        }
+      // === Dialog Behaviour ===
+      // ESC, focus trap and scroll lock are shared with other dialogs
+      window.dialogManager?.register(this.modal, {
+        panel: '.auth-modal__content',
+        labelledBy: 'login-title',
+        onRequestClose: () => this.close(),
+        initialFocus: () => this.modal.querySelector('.auth-modal__form--active .auth-modal__input')
       });
 
       // === Tab Switch Handlers ===
@@ -112,10 +140,46 @@ class AuthModal {
       // === Form Submit Handlers ===
       // Handle login form submission
       this.loginForm?.addEventListener('submit', (e) => this.handleLoginSubmit(e));
+
+      // The back-off applies per address, so re-check while typing
+      document.getElementById('login-email')?.addEventListener('input', () => this.applyLoginThrottle());
       
       // Handle register form submission
       this.registerForm?.addEventListener('submit', (e) => this.handleRegisterSubmit(e));
 
+      // Handle password reset form submission (both steps)
+      this.resetForm?.addEventListener('submit', (e) => this.handleResetSubmit(e));
+
+      // Handle second login step (two-factor code)
+      this.mfaForm?.addEventListener('submit', (e) => this.handleMfaSubmit(e));
+      document.getElementById('mfa-toggle-mode')?.addEventListener('click', () => {
+        this.setMfaMode(this.mfaForm.dataset.mode === 'recovery' ? 'totp' : 'recovery');
+      });
+
+      // === Inline Validation ===
+      this.setupValidators();
+
+      // === Password Strength Meters ===
+      this.setupPasswordMeters();
+
+      // === Password Reset Navigation ===
+      // "Passwort vergessen?" opens the reset state, prefilled with the login email
+      this.modal.querySelector('.auth-modal__forgot-link')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.openReset(document.getElementById('login-email')?.value.trim());
+      });
+
+      // === Single Sign-On ===
+      this.setupSso();
+
+      // "Code erneut senden" restarts the request step with the same email
+      document.getElementById('reset-resend')?.addEventListener('click', () => this.requestResetCode());
+
+      // Links back to another tab (e.g. "Zurück zum Login")
+      this.modal.querySelectorAll('[data-tab-target]').forEach(link => {
+        link.addEventListener('click', () => this.switchTab(link.dataset.tabTarget));
+      });
+
       // === Navigation Button Handlers ===
       // Trigger modal from login button in navigation
       const loginBtn = document.querySelector('a[href="/login"]');
@@ -142,8 +206,8 @@ class AuthModal {
   /**
    * Open modal and switch to specified tab
    * 
-   * Shows the modal overlay and switches to requested tab.
-   * Disables body scroll to prevent background scrolling.
+   * Shows the modal overlay and switches to requested tab. The dialog
+   * manager locks background scrolling and moves focus to the first field.
    * 
    * @method open
    * @param {string} [tab='login'] - Tab to display ('login' or 'register')
@@ -155,14 +219,14 @@ class AuthModal {
       
       // Add active class to show modal
       this.modal.classList.add('active');
+
+      // Start without stale errors from a previous attempt
+      Object.values(this.validators || {}).forEach(validator => validator.reset());
       
       // Switch to requested tab
       this.switchTab(tab);
-      
-      // Prevent body scrolling while modal is open
-      if (document.body) {
-        document.body.style.overflow = 'hidden';
-      }
+
+      window.dialogManager?.open(this.modal);
     } catch (e) {
       console.warn('Error opening modal:', e);
     }
@@ -171,7 +235,8 @@ class AuthModal {
   /**
    * Close modal and restore scrolling
    * 
-   * Hides the modal overlay and allows background scrolling again.
+   * Hides the modal overlay; the dialog manager releases its scroll lock
+   * and returns focus to the element that opened the modal.
    * 
    * @method close
    * @returns {void}
@@ -182,29 +247,39 @@ class AuthModal {
       
       // Remove active class to hide modal
       this.modal.classList.remove('active');
-      
-      // Restore body scrolling
-      if (document.body) {
-        document.body.style.overflow = '';
-      }
+
+      window.dialogManager?.close(this.modal);
+      window.router?.sync();
     } catch (e) {
       console.warn('Error closing modal:', e);
     }
   }
 
   /**
-   * Switch between login and register tabs
+   * Whether the modal is currently shown
+   * 
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Switch between login, register and reset states
    * 
    * Updates tab button active state and shows/hides corresponding form.
-   * Uses CSS classes for visibility control.
+   * Uses CSS classes for visibility control. The reset state has no tab
+   * button, so no tab is highlighted while it is shown.
    * 
    * @method switchTab
-   * @param {string} tabName - Tab identifier ('login' or 'register')
+   * @param {string} tabName - Tab identifier ('login', 'register', 'reset' or 'mfa')
    * @returns {void}
    */
   switchTab(tabName) {
     try {
       if (!tabName) return;
+      this.activeTab = tabName;
       
       // Update tab button active states
       this.tabs?.forEach(tab => {
@@ -217,244 +292,807 @@ class AuthModal {
         const isActive = form.id === `${tabName}-form`;
         form.classList.toggle('auth-modal__form--active', isActive);
       });
+
+      // The dialog is named after the visible form's title
+      window.dialogManager?.setLabelledBy(this.modal, `${tabName}-title`);
+
+      // Login and register tabs have their own URL (/login, /atomize)
+      if (this.isOpen()) window.router?.sync();
+
+      if (tabName === 'login') this.applyLoginThrottle();
     } catch (e) {
       console.warn('Error switching tabs:', e);
     }
   }
 
   /**
-   * Display toast notification to user
+   * Toggle the pending state of a form while a request is in flight
    * 
-   * Creates a temporary toast message that auto-dismisses after 3 seconds.
-   * Includes ARIA attributes for accessibility.
-   * Falls back to alert() if toast creation fails.
+   * Disables the submit button to prevent double submissions and marks
+   * the form as busy for assistive technology.
    * 
-   * Types: 'success', 'error', 'warning', 'info'
+   * @method setPending
+   * @param {HTMLFormElement} form - Form being submitted
+   * @param {boolean} pending - Whether a request is running
+   * @returns {void}
+   */
+  setPending(form, pending) {
+    if (!form) return;
+    form.querySelectorAll('.auth-modal__submit').forEach(btn => { btn.disabled = pending; });
+    form.setAttribute('aria-busy', String(pending));
+  }
+
+  /**
+   * Show the SSO button and complete a pending SSO login
+   * 
+   * The button stays hidden unless `auth.oidc` is configured. If the page
+   * was opened as the identity provider's redirect target, the callback
+   * is handled right away.
    * 
-   * @method showMessage
-   * @param {string} message - Message to display
-   * @param {string} [type='error'] - Message type for styling
+   * @method setupSso
    * @returns {void}
    */
-  showMessage(message, type = 'error') {
+  setupSso() {
+    const oidc = window.authManager?.oidc;
+    const ssoSection = document.getElementById('login-sso');
+    if (!oidc?.isConfigured()) return;
+
+    if (ssoSection) ssoSection.hidden = false;
+    document.getElementById('login-sso-button')?.addEventListener('click', () => this.startSso());
+
+    if (OidcClient.isCallback(window.location)) {
+      this.handleSsoCallback();
+    }
+  }
+
+  /**
+   * Redirect to the identity provider
+   * 
+   * @async
+   * @method startSso
+   * @returns {Promise<void>}
+   */
+  async startSso() {
+    const button = document.getElementById('login-sso-button');
     try {
-      // Create toast element
-      const toast = document.createElement('div');
-      toast.className = `auth-toast auth-toast--${type}`;
-      toast.textContent = message;
-      
-      // Add accessibility attributes
-      toast.setAttribute('role', 'alert');
-      toast.setAttribute('aria-live', 'assertive');
-      
-      // Add to DOM
-      document.body.appendChild(toast);
-      
-      // Animate in
-      setTimeout(() => toast.classList.add('auth-toast--visible'), 10);
-      
-      // Animate out and remove after 3 seconds
-      setTimeout(() => {
-        toast.classList.remove('auth-toast--visible');
-        setTimeout(() => toast.remove(), 300);
-      }, 3000);
+      this.validators.login.clearFormError();
+      if (button) button.disabled = true;
+      await window.authManager.oidc.startLogin({
+        returnTo: window.location.pathname + window.location.hash
+      });
     } catch (e) {
-      console.warn('Toast notification error:', e);
-      // Fallback to alert if toast fails
-      alert(message);
+      console.error('SSO start error:', e);
+      this.validators.login.setFormError(e.message);
+      if (button) button.disabled = false;
     }
   }
 
   /**
-   * Validate email format
+   * Complete the SSO login after the redirect back from the provider
    * 
-   * Uses regex pattern to check email validity.
-   * Returns false for empty, non-string, or invalid formats.
+   * The code/state parameters are removed from the address bar first, so
+   * a reload never replays them. Errors reopen the login tab with the
+   * message.
    * 
-   * Pattern: anything@anything.anything
+   * @async
+   * @method handleSsoCallback
+   * @returns {Promise<void>}
+   */
+  async handleSsoCallback() {
+    const href = window.location.href;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    try {
+      const { user, returnTo } = await window.authManager.loginWithOidc(href);
+      if (returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//')) {
+        window.history.replaceState(null, '', returnTo);
+      }
+      window.notifications?.success(`Willkommen, ${user.name}!`);
+    } catch (e) {
+      console.error('SSO callback error:', e);
+      this.open('login');
+      this.validators.login.setFormError(e.message);
+    }
+  }
+
+  /**
+   * Attach live strength meters to the new-password fields
+   * 
+   * The register meter re-evaluates when name or email change, since the
+   * policy blocks passwords containing them.
    * 
-   * @method isValidEmail
-   * @param {string} email - Email address to validate
-   * @returns {boolean} True if email is valid format
+   * @method setupPasswordMeters
+   * @returns {void}
    */
-  isValidEmail(email) {
-    if (!email || typeof email !== 'string') return false;
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  setupPasswordMeters() {
+    const registerMeter = new PasswordStrengthMeter(document.getElementById('register-password'), {
+      policy: this.passwordPolicy,
+      getContext: () => this.getRegisterContext()
+    });
+    ['register-name', 'register-email'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => {
+        if (registerMeter.input) registerMeter.update();
+      });
+    });
+
+    new PasswordStrengthMeter(document.getElementById('reset-password'), {
+      policy: this.passwordPolicy,
+      getContext: () => ({ email: document.getElementById('reset-email')?.value.trim() })
+    });
+  }
+
+  /**
+   * Personal data from the register form for the password policy
+   * 
+   * @method getRegisterContext
+   * @returns {{name: string, email: string}}
+   */
+  getRegisterContext() {
+    return {
+      name: document.getElementById('register-name')?.value.trim() || '',
+      email: document.getElementById('register-email')?.value.trim() || ''
+    };
+  }
+
+  /**
+   * Create inline validators for login, register and reset forms
+   * 
+   * Rules run in order per field; fields inside a disabled fieldset
+   * (inactive reset step) are skipped automatically.
+   * 
+   * @method setupValidators
+   * @returns {void}
+   */
+  setupValidators() {
+    const { required, email, matches, checked, custom } = FormValidator.rules;
+
+    this.validators = {
+      login: new FormValidator(this.loginForm, {
+        'login-email': [required('Bitte geben Sie Ihre E-Mail ein'), email()],
+        'login-password': [required('Bitte geben Sie Ihr Passwort ein')]
+      }),
+
+      register: new FormValidator(this.registerForm, {
+        'register-name': [required('Bitte geben Sie Ihren Namen ein')],
+        'register-email': [required('Bitte geben Sie Ihre E-Mail ein'), email()],
+        'register-password': [
+          required('Bitte wählen Sie ein Passwort'),
+          custom(value => this.checkPasswordPolicy(value, this.getRegisterContext()))
+        ],
+        'register-password-confirm': [
+          required('Bitte wiederholen Sie das Passwort'),
+          matches('register-password', 'Die Passwörter stimmen nicht überein')
+        ],
+        'register-terms': [checked('Bitte akzeptieren Sie die Bedingungen')]
+      }),
+
+      reset: new FormValidator(this.resetForm, {
+        'reset-email': [required('Bitte geben Sie Ihre E-Mail ein'), email()],
+        'reset-token': [required('Bitte geben Sie den Code ein')],
+        'reset-password': [
+          required('Bitte wählen Sie ein Passwort'),
+          custom(value => this.checkPasswordPolicy(value, {
+            email: document.getElementById('reset-email')?.value.trim()
+          }))
+        ],
+        'reset-password-confirm': [
+          required('Bitte wiederholen Sie das Passwort'),
+          matches('reset-password', 'Die Passwörter stimmen nicht überein')
+        ]
+      }),
+
+      mfa: new FormValidator(this.mfaForm, {
+        'mfa-code': [
+          required('Bitte geben Sie den Code ein'),
+          custom(value => this.checkMfaCode(value))
+        ]
+      })
+    };
+  }
+
+  /**
+   * Check the format of a two-factor code for the current mode
+   * 
+   * @method checkMfaCode
+   * @param {string} value - Input value
+   * @returns {string|null} Error message or null if valid
+   */
+  checkMfaCode(value) {
+    if (this.mfaForm?.dataset.mode === 'recovery') {
+      return /^[a-z0-9]{8}$/.test(Totp.normalizeRecoveryCode(value))
+        ? null
+        : 'Ein Wiederherstellungscode hat das Format xxxx-xxxx';
+    }
+    return /^\d{6}$/.test(value.replace(/\s/g, '')) ? null : 'Der Code besteht aus 6 Ziffern';
+  }
+
+  /**
+   * Check a new password against the shared PasswordPolicy
+   * 
+   * Used by registration and password reset so both apply the same rules.
+   * 
+   * @method checkPasswordPolicy
+   * @param {string} password - New password
+   * @param {Object} [context={}] - { name, email } for personal-info checks
+   * @returns {string|null} Error message or null if valid
+   */
+  checkPasswordPolicy(password, context = {}) {
+    return this.passwordPolicy.evaluate(password, context).firstError;
+  }
+
+  /**
+   * Show a failed request inline
+   * 
+   * Errors that belong to a field (e.g. wrong password, email taken) are
+   * attached to that field; everything else appears at the top of the form.
+   * 
+   * @method showServerError
+   * @param {FormValidator} validator - Validator of the submitted form
+   * @param {Error} error - Error from AuthManager / adapter
+   * @param {Object<string, string>} [fieldMap={}] - Error code or server field → input id
+   * @returns {void}
+   */
+  showServerError(validator, error, fieldMap = {}) {
+    const message = error instanceof AuthApiError
+      ? error.message
+      : 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.';
+    const fieldId = fieldMap[error?.code] || fieldMap[error?.details?.field];
+
+    if (fieldId) {
+      validator.setFieldError(fieldId, message, { focus: true });
+    } else {
+      validator.setFormError(message);
+    }
   }
 
   /**
    * Handle login form submission
    * 
-   * Validates:
-   * - All fields filled
-   * - Email format valid
-   * - Password not empty
+   * Validates (inline):
+   * - Email filled and valid format
+   * - Password filled
    * 
    * On success:
-   * - Saves user to localStorage via AuthManager
+   * - Authenticates via AuthManager (configured auth adapter)
    * - Shows success toast
    * - Closes modal after delay
    * 
-   * TODO: Replace demo with actual API call to backend
+   * On failure the server-side error (AuthApiError) is shown inline,
+   * e.g. wrong password at the password field. Wrong passwords count
+   * towards the back-off; server lockouts and rate limits are shown
+   * with their remaining time.
+   * Accounts with two-factor authentication continue with the code step.
    * 
    * @method handleLoginSubmit
    * @param {Event} e - Submit event from form
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  handleLoginSubmit(e) {
+  async handleLoginSubmit(e) {
     e.preventDefault();
+    const validator = this.validators.login;
+    const email = document.getElementById('login-email')?.value.trim() || '';
     
     try {
-      // Get form input elements
-      const emailInput = document.getElementById('login-email');
+      // === VALIDATION ===
+      if (!validator.validate()) return;
+
+      // === BACK-OFF ===
+      if (this.loginThrottle.getState(email).remaining > 0) return;
+
       const passwordInput = document.getElementById('login-password');
-      
-      if (!emailInput || !passwordInput) {
-        this.showMessage('Formular-Elemente nicht gefunden');
+      const password = passwordInput.value;
+
+      if (!window.authManager) {
+        validator.setFormError('Anmeldung derzeit nicht verfügbar');
         return;
       }
 
-      // Get and trim input values
-      const email = emailInput.value.trim();
-      const password = passwordInput.value;
+      // === AUTHENTICATE ===
+      this.setPending(this.loginForm, true);
+      const user = await window.authManager.login({ email, password });
 
-      // === VALIDATION ===
-      // Check all fields filled
-      if (!email || !password) {
-        this.showMessage('Bitte füllen Sie alle Felder aus');
+      this.loginThrottle.reset(email);
+      passwordInput.value = '';
+      window.notifications?.success(`Willkommen zurück, ${user.name}!`);
+      setTimeout(() => this.close(), 1500);
+      
+    } catch (e) {
+      if (e?.code === 'mfa_required' && e.details?.mfaToken) {
+        // Password was correct
+        this.loginThrottle.reset(email);
+        document.getElementById('login-password').value = '';
+        this.startMfa(e.details.mfaToken);
         return;
       }
+      console.error('Login submit error:', e);
 
-      // Check email format
-      if (!this.isValidEmail(email)) {
-        this.showMessage('Bitte geben Sie eine gültige E-Mail ein');
+      if (e?.code === 'account_locked') {
+        const until = e.details?.lockedUntil || Date.now() + (e.details?.retryAfter || 15 * 60) * 1000;
+        this.loginThrottle.recordLockout(email, until, 'locked');
+        return;
+      }
+      if (e?.code === 'rate_limited') {
+        this.loginThrottle.recordLockout(email, Date.now() + (e.details?.retryAfter || 60) * 1000, 'rate_limited');
         return;
       }
+      if (e?.code === 'invalid_credentials') {
+        this.loginThrottle.recordFailure(email);
+      }
 
-      // TODO: Send actual login request to backend API
-      console.log('Login attempt:', { email, password: '***' });
-      
-      // === DEMO MODE - Simulate successful login ===
-      const userData = {
-        name: email.split('@')[0], // Use email username as name
-        email: email
-      };
-      
-      // Save user to localStorage and update UI
-      if (window.authManager) {
-        window.authManager.saveUser(userData);
-        this.showMessage(`Willkommen zurück, ${userData.name}!`, 'success');
-        setTimeout(() => this.close(), 1500);
-      } else {
-        this.showMessage('Login submitted! (Demo - noch nicht implementiert)', 'success');
+      this.showServerError(validator, e, {
+        invalid_credentials: 'login-password',
+        email: 'login-email',
+        password: 'login-password'
+      });
+    } finally {
+      this.setPending(this.loginForm, false);
+      this.applyLoginThrottle();
+    }
+  }
+
+  /**
+   * Reflect the back-off or lockout of the entered email on the login form
+   * 
+   * The countdown runs on the submit button; the status text only changes
+   * with the reason, so screen readers are not flooded every second.
+   * 
+   * @method applyLoginThrottle
+   * @returns {void}
+   */
+  applyLoginThrottle() {
+    const submitBtn = document.getElementById('login-submit');
+    const status = document.getElementById('login-throttle');
+    if (!submitBtn || !this.loginThrottle) return;
+
+    const email = document.getElementById('login-email')?.value || '';
+    const { remaining, until, reason } = this.loginThrottle.getState(email);
+
+    if (remaining > 0) {
+      submitBtn.disabled = true;
+      submitBtn.textContent = remaining >= 3600
+        ? 'Gesperrt'
+        : `Erneut möglich in ${this.formatDuration(remaining)}`;
+
+      const message = this.describeLoginThrottle(reason, until);
+      if (status && status.textContent !== message) status.textContent = message;
+      if (status) status.hidden = false;
+
+      if (!this.loginThrottleTimer) {
+        this.loginThrottleTimer = setInterval(() => this.applyLoginThrottle(), 1000);
       }
-      
+      return;
+    }
+
+    clearInterval(this.loginThrottleTimer);
+    this.loginThrottleTimer = null;
+    if (status) {
+      status.hidden = true;
+      status.textContent = '';
+    }
+    submitBtn.textContent = 'Einloggen';
+    // Don't re-enable while a request is running
+    if (this.loginForm?.getAttribute('aria-busy') !== 'true') submitBtn.disabled = false;
+  }
+
+  /**
+   * Explain why the login is blocked
+   * 
+   * @method describeLoginThrottle
+   * @param {string} reason - 'backoff' | 'locked' | 'rate_limited'
+   * @param {number} until - End of the wait (ms)
+   * @returns {string}
+   */
+  describeLoginThrottle(reason, until) {
+    const end = new Date(until);
+    const time = end.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+
+    if (reason === 'locked') {
+      if (until - Date.now() > 24 * 60 * 60 * 1000) {
+        return 'Dieses Konto ist gesperrt. Bitte wenden Sie sich an den Support.';
+      }
+      const sameDay = end.toDateString() === new Date().toDateString();
+      const date = sameDay ? '' : `${end.toLocaleDateString('de-DE')}, `;
+      return `Dieses Konto ist vorübergehend gesperrt – erneut möglich ab ${date}${time} Uhr.`;
+    }
+    if (reason === 'rate_limited') {
+      return 'Zu viele Anfragen an den Server. Bitte warten Sie einen Moment.';
+    }
+    return 'Zu viele fehlgeschlagene Anmeldeversuche für diese E-Mail-Adresse. Bitte warten Sie kurz.';
+  }
+
+  /**
+   * Show the two-factor step for a login challenge
+   * 
+   * @method startMfa
+   * @param {string} mfaToken - Challenge from the mfa_required error
+   * @returns {void}
+   */
+  startMfa(mfaToken) {
+    this.mfaToken = mfaToken;
+    this.validators.mfa.reset();
+    this.setMfaMode('totp');
+    this.switchTab('mfa');
+    document.getElementById('mfa-code')?.focus();
+  }
+
+  /**
+   * Switch the code field between authenticator code and recovery code
+   * 
+   * @method setMfaMode
+   * @param {string} mode - 'totp' or 'recovery'
+   * @returns {void}
+   */
+  setMfaMode(mode) {
+    if (!this.mfaForm) return;
+    const isRecovery = mode === 'recovery';
+    const input = document.getElementById('mfa-code');
+    const hint = document.getElementById('mfa-hint');
+    const toggle = document.getElementById('mfa-toggle-mode');
+
+    this.mfaForm.dataset.mode = isRecovery ? 'recovery' : 'totp';
+    this.validators.mfa.reset();
+    if (input) {
+      input.value = '';
+      input.inputMode = isRecovery ? 'text' : 'numeric';
+      input.placeholder = isRecovery ? 'xxxx-xxxx' : '123456';
+      input.maxLength = isRecovery ? 9 : 7;
+      input.setAttribute('autocomplete', isRecovery ? 'off' : 'one-time-code');
+      input.focus();
+    }
+    if (hint) {
+      hint.textContent = isRecovery
+        ? 'Geben Sie einen Ihrer Wiederherstellungscodes ein. Jeder Code funktioniert nur einmal.'
+        : 'Geben Sie den 6-stelligen Code aus Ihrer Authenticator-App ein.';
+    }
+    if (toggle) {
+      toggle.textContent = isRecovery ? 'Code aus der App verwenden' : 'Wiederherstellungscode verwenden';
+    }
+  }
+
+  /**
+   * Handle the two-factor form submission
+   * 
+   * On success the login completes like a normal login. An expired
+   * challenge (timeout or too many attempts) returns to the login form.
+   * 
+   * @method handleMfaSubmit
+   * @param {Event} e - Submit event from form
+   * @returns {Promise<void>}
+   */
+  async handleMfaSubmit(e) {
+    e.preventDefault();
+    const validator = this.validators.mfa;
+    const input = document.getElementById('mfa-code');
+
+    try {
+      if (!validator.validate()) return;
+
+      this.setPending(this.mfaForm, true);
+      const user = await window.authManager.verifyMfa({ mfaToken: this.mfaToken, code: input.value.trim() });
+
+      this.mfaToken = null;
+      input.value = '';
+      window.notifications?.success(`Willkommen zurück, ${user.name}!`);
+      setTimeout(() => this.close(), 1500);
     } catch (e) {
-      console.error('Login submit error:', e);
-      this.showMessage('Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.');
+      console.error('MFA submit error:', e);
+      input.value = '';
+      if (e?.code === 'mfa_expired') {
+        this.mfaToken = null;
+        this.switchTab('login');
+        this.validators.login.setFormError(e.message);
+      } else {
+        this.showServerError(validator, e, { mfa_invalid: 'mfa-code', code: 'mfa-code' });
+      }
+    } finally {
+      this.setPending(this.mfaForm, false);
     }
   }
 
   /**
    * Handle register form submission
    * 
-   * Validates:
+   * Validates (inline):
    * - All fields filled
    * - Email format valid
-   * - Password at least 8 characters
+   * - Password satisfies the PasswordPolicy
    * - Password and confirmation match
    * - Terms of service accepted
    * 
    * On success:
-   * - Saves user to localStorage via AuthManager
-   * - Shows success toast with username
+   * - Creates the account via AuthManager (configured auth adapter)
+   * - Shows success toast with username and, for new unverified
+   *   accounts, the hint to confirm the email address
    * - Closes modal after delay
    * 
-   * TODO: Replace demo with actual API call to backend
+   * On failure the server-side error (AuthApiError) is shown inline,
+   * e.g. email already taken at the email field.
    * 
    * @method handleRegisterSubmit
    * @param {Event} e - Submit event from form
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  handleRegisterSubmit(e) {
+  async handleRegisterSubmit(e) {
     e.preventDefault();
+    const validator = this.validators.register;
 
     try {
-      // Get form input elements
-      const nameInput = document.getElementById('register-name');
-      const emailInput = document.getElementById('register-email');
+      // === VALIDATION ===
+      if (!validator.validate()) return;
+
+      const name = document.getElementById('register-name').value.trim();
+      const email = document.getElementById('register-email').value.trim();
       const passwordInput = document.getElementById('register-password');
       const passwordConfirmInput = document.getElementById('register-password-confirm');
-      const termsInput = document.getElementById('register-terms');
+      const password = passwordInput.value;
 
-      // Validate form elements exist
-      if (!nameInput || !emailInput || !passwordInput || !passwordConfirmInput || !termsInput) {
-        this.showMessage('Formular-Elemente nicht gefunden');
+      if (!window.authManager) {
+        validator.setFormError('Registrierung derzeit nicht verfügbar');
         return;
       }
 
-      // Get and trim input values
-      const name = nameInput.value.trim();
-      const email = emailInput.value.trim();
-      const password = passwordInput.value;
-      const passwordConfirm = passwordConfirmInput.value;
-      const terms = termsInput.checked;
+      // === CREATE ACCOUNT ===
+      this.setPending(this.registerForm, true);
+      const user = await window.authManager.register({ name, email, password });
 
-      // === VALIDATION ===
-      // Check all fields filled
-      if (!name || !email || !password || !passwordConfirm) {
-        this.showMessage('Bitte füllen Sie alle Felder aus');
-        return;
+      passwordInput.value = '';
+      passwordConfirmInput.value = '';
+      if (user.emailVerified) {
+        window.notifications?.success(`Willkommen, ${name}! Ihr Konto wurde erstellt.`);
+      } else {
+        window.notifications?.success(
+          `Willkommen, ${name}! Bitte bestätigen Sie Ihre E-Mail-Adresse über den Link, den wir an ${email} gesendet haben.`,
+          { duration: 8000 }
+        );
       }
+      setTimeout(() => this.close(), 1500);
+      
+    } catch (e) {
+      console.error('Register submit error:', e);
+      this.showServerError(validator, e, {
+        email_taken: 'register-email',
+        name: 'register-name',
+        email: 'register-email',
+        password: 'register-password'
+      });
+    } finally {
+      this.setPending(this.registerForm, false);
+    }
+  }
 
-      // Check email format validity
-      if (!this.isValidEmail(email)) {
-        this.showMessage('Bitte geben Sie eine gültige E-Mail ein');
-        return;
-      }
+  /**
+   * Open the login tab for a known account
+   * 
+   * @method openLogin
+   * @param {string} [email=''] - Email to prefill
+   * @returns {void}
+   */
+  openLogin(email = '') {
+    this.open('login');
+    const emailInput = document.getElementById('login-email');
+    if (emailInput && email) emailInput.value = email;
+    document.getElementById(email ? 'login-password' : 'login-email')?.focus();
+  }
+
+  /**
+   * Open the password reset state
+   * 
+   * @method openReset
+   * @param {string} [email=''] - Email to prefill
+   * @returns {void}
+   */
+  openReset(email = '') {
+    const emailInput = document.getElementById('reset-email');
+    if (emailInput && email) emailInput.value = email;
+    this.showResetStep('request');
+    this.switchTab('reset');
+    emailInput?.focus();
+  }
+
+  /**
+   * Show one step of the reset form
+   * 
+   * Inactive steps are disabled fieldsets, so their required fields
+   * don't block native form validation.
+   * 
+   * @method showResetStep
+   * @param {string} step - 'request' or 'confirm'
+   * @returns {void}
+   */
+  showResetStep(step) {
+    if (!this.resetForm) return;
+    this.resetForm.dataset.step = step;
+    this.resetForm.querySelectorAll('.auth-modal__step').forEach(fieldset => {
+      const isActive = fieldset.dataset.step === step;
+      fieldset.disabled = !isActive;
+      fieldset.hidden = !isActive;
+    });
+  }
+
+  /**
+   * Handle reset form submission for the current step
+   * 
+   * @method handleResetSubmit
+   * @param {Event} e - Submit event from form
+   * @returns {Promise<void>}
+   */
+  async handleResetSubmit(e) {
+    e.preventDefault();
+
+    if (this.resetForm?.dataset.step === 'confirm') {
+      await this.confirmReset();
+    } else {
+      await this.requestResetCode();
+    }
+  }
 
-      // Check password minimum length
-      if (password.length < 8) {
-        this.showMessage('Das Passwort muss mindestens 8 Zeichen lang sein');
+  /**
+   * Step 1: Request a reset code for the entered email
+   * 
+   * Handles:
+   * - Rate limiting (disables the request buttons with a countdown)
+   * - Demo delivery of the code when the mock backend returns it
+   * 
+   * @method requestResetCode
+   * @returns {Promise<void>}
+   */
+  async requestResetCode() {
+    const validator = this.validators.reset;
+
+    try {
+      const email = document.getElementById('reset-email')?.value.trim();
+
+      // "Code erneut senden" runs from step 2, where the email field is disabled
+      if (!FormValidator.isValidEmail(email)) {
+        this.showResetStep('request');
+        validator.validate();
         return;
       }
 
-      // Check password confirmation matches
-      if (password !== passwordConfirm) {
-        this.showMessage('Die Passwörter stimmen nicht überein');
+      if (!window.authManager) {
+        validator.setFormError('Passwort-Reset derzeit nicht verfügbar');
         return;
       }
 
-      // Check terms of service accepted
-      if (!terms) {
-        this.showMessage('Bitte akzeptieren Sie die Bedingungen');
-        return;
+      this.setPending(this.resetForm, true);
+      const result = await window.authManager.requestPasswordReset(email);
+
+      const minutes = Math.round((result?.expiresIn || 900) / 60);
+      const hint = document.getElementById('reset-confirm-hint');
+      if (hint) {
+        hint.textContent = `Falls ein Konto für ${email} existiert, haben wir einen Code gesendet. Er ist ${minutes} Minuten gültig.`;
       }
 
-      // TODO: Send actual registration request to backend API
-      console.log('Register attempt:', { name, email, password: '***' });
-      
-      // === DEMO MODE - Simulate successful registration ===
-      const userData = {
-        name: name,
-        email: email
-      };
-      
-      // Save user to localStorage and update UI
-      if (window.authManager) {
-        window.authManager.saveUser(userData);
-        this.showMessage(`Willkommen, ${name}! Ihr Konto wurde erstellt.`, 'success');
-        setTimeout(() => this.close(), 1500);
+      validator.reset();
+      this.showResetStep('confirm');
+      document.getElementById('reset-token')?.focus();
+
+      if (result?.debugToken) {
+        window.notifications?.info(`Demo-Modus: Ihr Code lautet ${result.debugToken}`, { duration: 10000 });
       } else {
-        this.showMessage('Registrierung submitted! (Demo - noch nicht implementiert)', 'success');
+        window.notifications?.success('Code wurde gesendet');
       }
-      
     } catch (e) {
-      console.error('Register submit error:', e);
-      this.showMessage('Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.');
+      console.error('Reset request error:', e);
+      if (e?.code === 'rate_limited') {
+        const retryAfter = e.details?.retryAfter || 60;
+        this.startResetCooldown(retryAfter);
+        validator.setFormError(`${e.message} Erneut möglich in ${this.formatDuration(retryAfter)}.`);
+      } else {
+        this.showServerError(validator, e, { email: 'reset-email' });
+      }
+    } finally {
+      this.setPending(this.resetForm, false);
+      this.applyResetCooldown();
+    }
+  }
+
+  /**
+   * Step 2: Set the new password with the received code
+   * 
+   * Applies the same password rules as registration. An expired code
+   * sends the user back to step 1 to request a new one.
+   * 
+   * @method confirmReset
+   * @returns {Promise<void>}
+   */
+  async confirmReset() {
+    const validator = this.validators.reset;
+
+    try {
+      // === VALIDATION ===
+      if (!validator.validate()) return;
+
+      const email = document.getElementById('reset-email')?.value.trim();
+      const tokenInput = document.getElementById('reset-token');
+      const passwordInput = document.getElementById('reset-password');
+      const passwordConfirmInput = document.getElementById('reset-password-confirm');
+      const token = tokenInput.value.trim();
+      const password = passwordInput.value;
+
+      this.setPending(this.resetForm, true);
+      await window.authManager.confirmPasswordReset({ email, token, password });
+
+      // Reset form for the next use and return to login
+      tokenInput.value = '';
+      passwordInput.value = '';
+      passwordConfirmInput.value = '';
+      this.showResetStep('request');
+
+      const loginEmail = document.getElementById('login-email');
+      if (loginEmail) loginEmail.value = email;
+      this.switchTab('login');
+      document.getElementById('login-password')?.focus();
+
+      window.notifications?.success('Ihr Passwort wurde geändert. Bitte melden Sie sich an.');
+    } catch (e) {
+      console.error('Reset confirm error:', e);
+      if (e?.code === 'token_expired') {
+        // Back to step 1 so a new code can be requested
+        this.showResetStep('request');
+        validator.setFormError(e.message);
+      } else {
+        this.showServerError(validator, e, {
+          token: 'reset-token',
+          password: 'reset-password'
+        });
+      }
+    } finally {
+      this.setPending(this.resetForm, false);
+      this.applyResetCooldown();
     }
   }
+
+  /**
+   * Start the rate-limit countdown for requesting reset codes
+   * 
+   * @method startResetCooldown
+   * @param {number} seconds - Seconds until a new request is allowed
+   * @returns {void}
+   */
+  startResetCooldown(seconds) {
+    this.resetCooldownUntil = Date.now() + seconds * 1000;
+    clearInterval(this.resetCooldownTimer);
+    this.resetCooldownTimer = setInterval(() => this.applyResetCooldown(), 1000);
+    this.applyResetCooldown();
+  }
+
+  /**
+   * Reflect the cooldown on the request and resend buttons
+   * 
+   * @method applyResetCooldown
+   * @returns {void}
+   */
+  applyResetCooldown() {
+    const requestBtn = document.getElementById('reset-request-submit');
+    const resendBtn = document.getElementById('reset-resend');
+    const remaining = Math.ceil(((this.resetCooldownUntil || 0) - Date.now()) / 1000);
+
+    if (remaining > 0) {
+      const label = `Erneut möglich in ${this.formatDuration(remaining)}`;
+      if (requestBtn) { requestBtn.disabled = true; requestBtn.textContent = label; }
+      if (resendBtn) { resendBtn.disabled = true; resendBtn.textContent = label; }
+      return;
+    }
+
+    clearInterval(this.resetCooldownTimer);
+    this.resetCooldownTimer = null;
+    if (requestBtn) { requestBtn.disabled = false; requestBtn.textContent = 'Code anfordern'; }
+    if (resendBtn) { resendBtn.disabled = false; resendBtn.textContent = 'Code erneut senden'; }
+  }
+
+  /**
+   * Format seconds as m:ss for countdowns
+   * 
+   * @method formatDuration
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} e.g. '4:05'
+   */
+  formatDuration(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return `${mins}:${secs}`;
+  }
 }
 
 /**
@@ -462,6 +1100,7 @@ class AuthModal {
  * 
  * Waits for DOM to load before instantiating AuthModal.
  * Handles both DOMContentLoaded and already-loaded states.
+ * The instance is exposed as window.authModal (e.g. "add account").
  * 
  * @function
  * @returns {void}
@@ -470,7 +1109,7 @@ class AuthModal {
   try {
     const initFn = () => {
       try {
-        new AuthModal();
+        window.authModal = new AuthModal();
       } catch (e) {
         console.error('Auth modal instantiation failed:', e);
       }
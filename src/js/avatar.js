@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Avatar - Rendering and client-side crop/resize
+ *
+ * Avatar helpers shared by the profile popup and the navigation badge,
+ * plus a small canvas-based cropper for uploaded images.
+ *
+ * Features:
+ * - Initials fallback with a deterministic background color per name
+ * - Image avatars with automatic fallback if the image fails to load
+ * - Cropper: drag (pointer or arrow keys) and zoom (slider, wheel, +/-)
+ *   inside a square viewport
+ * - Output is downscaled to a fixed size and encoded as a compact
+ *   JPEG data URL (allowed by the CSP, storable in localStorage)
+ *
+ * Usage:
+ *   Avatar.render(element, user);
+ *
+ *   const cropper = new AvatarCropper(container, { size: 128 });
+ *   await cropper.load(file);
+ *   const dataUrl = cropper.toDataURL();
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * Avatar - Static helpers for initials and image avatars
+ */
+const Avatar = {
+  /**
+   * getInitials() - First letters of the first and last name part
+   * @param {string} name
+   * @returns {string} - Initials or a fallback icon
+   */
+  getInitials(name) {
+    if (!name || !name.trim()) return '👤';
+    const parts = name.trim().split(/\s+/);
+    if (parts.length === 1) {
+      return parts[0].charAt(0).toUpperCase();
+    }
+    return (parts[0].charAt(0) + parts[parts.length - 1].charAt(0)).toUpperCase();
+  },
+
+  /**
+   * colorFor() - Deterministic background color for a name
+   * Same name → same color on every device (simple string hash → hue).
+   * @param {string} name
+   * @returns {string} - CSS hsl() color
+   */
+  colorFor(name) {
+    const value = String(name || '').trim().toLowerCase();
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+      hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    const hue = Math.abs(hash) % 360;
+    return `hsl(${hue}, 45%, 40%)`;
+  },
+
+  /**
+   * render() - Shows the user's image, or initials on a colored background
+   * @param {HTMLElement} element - Avatar container
+   * @param {Object|null} user - { name, avatarUrl }
+   */
+  render(element, user) {
+    if (!element) return;
+
+    const showInitials = () => {
+      element.textContent = Avatar.getInitials(user?.name);
+      element.style.backgroundColor = user?.name ? Avatar.colorFor(user.name) : '';
+      element.classList.remove('avatar--image');
+    };
+
+    showInitials();
+    if (!user?.avatarUrl) return;
+
+    const img = document.createElement('img');
+    img.className = 'avatar__image';
+    img.alt = '';
+    img.referrerPolicy = 'no-referrer';
+    img.addEventListener('error', showInitials);
+    img.src = user.avatarUrl;
+
+    element.textContent = '';
+    element.style.backgroundColor = '';
+    element.classList.add('avatar--image');
+    element.appendChild(img);
+  }
+};
+
+/**
+ * AvatarCropper - Square crop and downscale of an image file
+ *
+ * Renders a canvas viewport and a zoom slider into the given container.
+ * The image always covers the whole viewport, so the result never has
+ * empty borders.
+ *
+ * @class AvatarCropper
+ */
+class AvatarCropper {
+  /**
+   * @constructor
+   * @param {HTMLElement} container - Element the cropper renders into
+   * @param {Object} [options={}]
+   * @param {number} [options.size=128] - Output width/height in px
+   * @param {number} [options.viewportSize=240] - Visible crop area in px
+   * @param {number} [options.maxZoom=4] - Maximum zoom factor
+   * @param {number} [options.maxFileSize=10485760] - Accepted file size in bytes
+   * @param {number} [options.quality=0.85] - JPEG quality of the result
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.size = options.size || 128;
+    this.viewportSize = options.viewportSize || 240;
+    this.maxZoom = options.maxZoom || 4;
+    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024;
+    this.quality = options.quality ?? 0.85;
+    this.image = null;
+    this.zoom = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.drag = null;
+    if (!this.container) return;
+
+    this.render();
+  }
+
+  /**
+   * render() - Creates canvas and zoom slider
+   */
+  render() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'avatar-cropper__canvas';
+    this.canvas.width = this.viewportSize;
+    this.canvas.height = this.viewportSize;
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.setAttribute('aria-label', 'Bildausschnitt – mit den Pfeiltasten verschieben, mit Plus und Minus zoomen');
+
+    const zoomLabel = document.createElement('label');
+    zoomLabel.className = 'avatar-cropper__zoom';
+    zoomLabel.textContent = 'Zoom';
+    this.zoomInput = document.createElement('input');
+    this.zoomInput.type = 'range';
+    this.zoomInput.min = '1';
+    this.zoomInput.max = String(this.maxZoom);
+    this.zoomInput.step = '0.01';
+    this.zoomInput.value = '1';
+    zoomLabel.appendChild(this.zoomInput);
+
+    this.container.classList.add('avatar-cropper');
+    this.container.append(this.canvas, zoomLabel);
+
+    this.zoomInput.addEventListener('input', () => this.setZoom(Number(this.zoomInput.value)));
+    this.canvas.addEventListener('pointerdown', (e) => this.startDrag(e));
+    this.canvas.addEventListener('pointermove', (e) => this.moveDrag(e));
+    this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+    this.canvas.addEventListener('pointercancel', () => { this.drag = null; });
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.setZoom(this.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    }, { passive: false });
+    this.canvas.addEventListener('keydown', (e) => this.handleKey(e));
+  }
+
+  /**
+   * load() - Reads an image file into the cropper
+   * @param {File} file - Selected file
+   * @returns {Promise<void>}
+   * @throws {Error} - With a user-facing message (wrong type, too large, unreadable)
+   */
+  async load(file) {
+    if (!file || !/^image\/(png|jpeg|webp|gif)$/.test(file.type)) {
+      throw new Error('Bitte wählen Sie ein Bild (PNG, JPEG, WebP oder GIF)');
+    }
+    if (file.size > this.maxFileSize) {
+      throw new Error(`Das Bild darf höchstens ${Math.round(this.maxFileSize / 1024 / 1024)} MB groß sein`);
+    }
+    if (!this.canvas?.getContext('2d')) {
+      throw new Error('Bildbearbeitung wird von diesem Browser nicht unterstützt');
+    }
+
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Das Bild konnte nicht gelesen werden'));
+      reader.readAsDataURL(file);
+    });
+
+    this.image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Das Bild konnte nicht geladen werden'));
+      img.src = dataUrl;
+    });
+
+    // Start centered at the smallest zoom that still covers the viewport
+    this.zoom = 1;
+    this.zoomInput.value = '1';
+    const { width, height } = this.getScaledSize();
+    this.offsetX = (this.viewportSize - width) / 2;
+    this.offsetY = (this.viewportSize - height) / 2;
+    this.draw();
+  }
+
+  /**
+   * getScaledSize() - Image size in viewport pixels at the current zoom
+   * @returns {{scale: number, width: number, height: number}}
+   */
+  getScaledSize() {
+    const { naturalWidth: w, naturalHeight: h } = this.image;
+    const scale = (this.viewportSize / Math.min(w, h)) * this.zoom;
+    return { scale, width: w * scale, height: h * scale };
+  }
+
+  /**
+   * clamp() - Keeps the viewport fully covered by the image
+   */
+  clamp() {
+    const { width, height } = this.getScaledSize();
+    this.offsetX = Math.min(0, Math.max(this.viewportSize - width, this.offsetX));
+    this.offsetY = Math.min(0, Math.max(this.viewportSize - height, this.offsetY));
+  }
+
+  /**
+   * setZoom() - Zooms around the viewport center
+   * @param {number} zoom - New zoom factor (clamped to 1..maxZoom)
+   */
+  setZoom(zoom) {
+    if (!this.image) return;
+    const next = Math.min(this.maxZoom, Math.max(1, zoom));
+    const center = this.viewportSize / 2;
+    const ratio = next / this.zoom;
+
+    this.offsetX = center - (center - this.offsetX) * ratio;
+    this.offsetY = center - (center - this.offsetY) * ratio;
+    this.zoom = next;
+    this.zoomInput.value = String(next);
+    this.draw();
+  }
+
+  /**
+   * move() - Pans the image by a delta in viewport pixels
+   * @param {number} dx
+   * @param {number} dy
+   */
+  move(dx, dy) {
+    if (!this.image) return;
+    this.offsetX += dx;
+    this.offsetY += dy;
+    this.draw();
+  }
+
+  startDrag(e) {
+    if (!this.image) return;
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this.drag = { x: e.clientX, y: e.clientY };
+  }
+
+  moveDrag(e) {
+    if (!this.drag) return;
+    // Canvas may be displayed smaller than its pixel size (mobile)
+    const ratio = this.viewportSize / (this.canvas.getBoundingClientRect().width || this.viewportSize);
+    this.move((e.clientX - this.drag.x) * ratio, (e.clientY - this.drag.y) * ratio);
+    this.drag = { x: e.clientX, y: e.clientY };
+  }
+
+  /**
+   * handleKey() - Arrow keys pan, +/- zoom
+   * @param {KeyboardEvent} e
+   */
+  handleKey(e) {
+    const step = e.shiftKey ? 40 : 10;
+    const actions = {
+      ArrowLeft: () => this.move(step, 0),
+      ArrowRight: () => this.move(-step, 0),
+      ArrowUp: () => this.move(0, step),
+      ArrowDown: () => this.move(0, -step),
+      '+': () => this.setZoom(this.zoom + 0.1),
+      '=': () => this.setZoom(this.zoom + 0.1),
+      '-': () => this.setZoom(this.zoom - 0.1)
+    };
+    if (!actions[e.key]) return;
+    e.preventDefault();
+    actions[e.key]();
+  }
+
+  /**
+   * draw() - Renders the current crop into the viewport
+   */
+  draw() {
+    const ctx = this.canvas?.getContext('2d');
+    if (!ctx || !this.image) return;
+
+    this.clamp();
+    const { width, height } = this.getScaledSize();
+    ctx.clearRect(0, 0, this.viewportSize, this.viewportSize);
+    ctx.drawImage(this.image, this.offsetX, this.offsetY, width, height);
+  }
+
+  /**
+   * toDataURL() - Exports the visible square at the output size
+   * @returns {string} - JPEG data URL
+   */
+  toDataURL() {
+    if (!this.image) throw new Error('Kein Bild geladen');
+
+    const { scale } = this.getScaledSize();
+    const output = document.createElement('canvas');
+    output.width = this.size;
+    output.height = this.size;
+
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    // JPEG has no alpha: transparent areas become white instead of black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.size, this.size);
+
+    const sourceSize = this.viewportSize / scale;
+    ctx.drawImage(
+      this.image,
+      -this.offsetX / scale, -this.offsetY / scale, sourceSize, sourceSize,
+      0, 0, this.size, this.size
+    );
+    return output.toDataURL('image/jpeg', this.quality);
+  }
+
+  /**
+   * reset() - Forgets the loaded image
+   */
+  reset() {
+    this.image = null;
+    this.drag = null;
+    this.canvas?.getContext('2d')?.clearRect(0, 0, this.viewportSize, this.viewportSize);
+  }
+}
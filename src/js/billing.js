@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Billing - Format checks and price math for the checkout
+ *
+ * Pure helpers without DOM access, used by the checkout wizard and its
+ * form validation:
+ * - IBAN: country length + ISO 13616 mod-97 checksum, display formatting
+ * - VAT ID (USt-IdNr.): country formats, German check digit (ISO 7064)
+ * - Postal codes per country
+ * - Net → VAT → gross in cents (19 % MwSt)
+ *
+ * Amounts are integers in cents throughout, so rounding happens exactly
+ * once (when the VAT is computed).
+ *
+ * Usage:
+ *   Billing.isValidIban('DE89 3704 0044 0532 0130 00');  // → true
+ *   Billing.calculate(2900);  // → { net: 2900, vat: 551, gross: 3451, rate: 0.19 }
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+const Billing = {
+  /**
+   * German standard VAT rate (MwSt)
+   * @type {number}
+   */
+  VAT_RATE: 0.19,
+
+  /**
+   * IBAN lengths of the countries offered in the checkout
+   * @type {Object<string, number>}
+   */
+  IBAN_LENGTHS: {
+    AT: 20, BE: 16, CH: 21, DE: 22, DK: 18, ES: 24, FI: 18, FR: 27, IE: 22,
+    IT: 27, LI: 21, LU: 20, NL: 18, NO: 15, PL: 28, PT: 25, SE: 24
+  },
+
+  /**
+   * VAT ID formats per country prefix
+   * @type {Object<string, RegExp>}
+   */
+  VAT_ID_PATTERNS: {
+    AT: /^ATU\d{8}$/,
+    BE: /^BE[01]\d{9}$/,
+    CH: /^CHE\d{9}(MWST|TVA|IVA)?$/,
+    DE: /^DE\d{9}$/,
+    DK: /^DK\d{8}$/,
+    ES: /^ES[0-9A-Z]\d{7}[0-9A-Z]$/,
+    FI: /^FI\d{8}$/,
+    FR: /^FR[0-9A-Z]{2}\d{9}$/,
+    IE: /^IE\d{7}[A-W][A-I]?$|^IE\d[A-Z+*]\d{5}[A-W]$/,
+    IT: /^IT\d{11}$/,
+    LU: /^LU\d{8}$/,
+    NL: /^NL\d{9}B\d{2}$/,
+    PL: /^PL\d{10}$/,
+    PT: /^PT\d{9}$/,
+    SE: /^SE\d{12}$/
+  },
+
+  /**
+   * Postal code formats per country
+   * @type {Object<string, RegExp>}
+   */
+  POSTAL_CODE_PATTERNS: {
+    AT: /^\d{4}$/,
+    BE: /^\d{4}$/,
+    CH: /^\d{4}$/,
+    DE: /^\d{5}$/,
+    FR: /^\d{5}$/,
+    IT: /^\d{5}$/,
+    LU: /^(L-)?\d{4}$/,
+    NL: /^\d{4} ?[A-Z]{2}$/
+  },
+
+  /**
+   * normalizeIban() - Upper case without spaces
+   * @param {string} iban
+   * @returns {string}
+   */
+  normalizeIban(iban) {
+    return String(iban || '').replace(/\s+/g, '').toUpperCase();
+  },
+
+  /**
+   * isValidIban() - Checks country, length and checksum
+   * @param {string} iban - With or without spaces
+   * @returns {boolean}
+   */
+  isValidIban(iban) {
+    const value = Billing.normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(value)) return false;
+
+    const length = Billing.IBAN_LENGTHS[value.slice(0, 2)];
+    if (!length || value.length !== length) return false;
+
+    // Move country + check digits to the end, letters become 10..35
+    const rearranged = value.slice(4) + value.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+      for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  },
+
+  /**
+   * formatIban() - Groups of four for display (DE89 3704 …)
+   * @param {string} iban
+   * @returns {string}
+   */
+  formatIban(iban) {
+    return Billing.normalizeIban(iban).replace(/(.{4})(?=.)/g, '$1 ');
+  },
+
+  /**
+   * maskIban() - Shows only country, check digits and the last four digits
+   * @param {string} iban
+   * @returns {string}
+   */
+  maskIban(iban) {
+    const value = Billing.normalizeIban(iban);
+    if (value.length < 8) return value;
+    return `${value.slice(0, 4)} •••• ${value.slice(-4)}`;
+  },
+
+  /**
+   * normalizeVatId() - Upper case without spaces, dots and dashes
+   * @param {string} vatId
+   * @returns {string}
+   */
+  normalizeVatId(vatId) {
+    return String(vatId || '').replace(/[\s.-]+/g, '').toUpperCase();
+  },
+
+  /**
+   * isValidVatId() - Checks the format of a VAT ID
+   * German IDs are also checked against their check digit.
+   * @param {string} vatId
+   * @returns {boolean}
+   */
+  isValidVatId(vatId) {
+    const value = Billing.normalizeVatId(vatId);
+    const pattern = Billing.VAT_ID_PATTERNS[value.slice(0, 2)];
+    if (!pattern || !pattern.test(value)) return false;
+    return value.startsWith('DE') ? Billing.checkGermanVatDigit(value.slice(2)) : true;
+  },
+
+  /**
+   * checkGermanVatDigit() - ISO 7064 MOD 11,10 check of a German VAT ID
+   * @param {string} digits - The 9 digits after "DE"
+   * @returns {boolean}
+   */
+  checkGermanVatDigit(digits) {
+    let product = 10;
+    for (let i = 0; i < 8; i++) {
+      let sum = (Number(digits[i]) + product) % 10;
+      if (sum === 0) sum = 10;
+      product = (2 * sum) % 11;
+    }
+    const check = (11 - product) % 10;
+    return check === Number(digits[8]);
+  },
+
+  /**
+   * isValidPostalCode() - Checks the postal code format of a country
+   * Countries without a known format accept any 3–10 characters.
+   * @param {string} country - ISO 3166 alpha-2 code
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isValidPostalCode(country, code) {
+    const value = String(code || '').trim().toUpperCase();
+    const pattern = Billing.POSTAL_CODE_PATTERNS[country];
+    return pattern ? pattern.test(value) : /^[A-Z0-9 -]{3,10}$/.test(value);
+  },
+
+  /**
+   * calculate() - Net, VAT and gross for a net amount
+   * @param {number} net - Net amount in cents
+   * @param {number} [rate=Billing.VAT_RATE]
+   * @returns {{net: number, vat: number, gross: number, rate: number}}
+   */
+  calculate(net, rate = Billing.VAT_RATE) {
+    const vat = Math.round(net * rate);
+    return { net, vat, gross: net + vat, rate };
+  },
+
+  /**
+   * formatAmount() - Formats cents as currency
+   * @param {number} cents
+   * @param {Object} [options={}]
+   * @param {string} [options.locale='de-DE']
+   * @param {string} [options.currency='EUR']
+   * @returns {string}
+   */
+  formatAmount(cents, { locale = 'de-DE', currency = 'EUR' } = {}) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(cents / 100);
+  }
+};
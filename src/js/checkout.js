@@ -0,0 +1,547 @@
+/**
+ * @fileoverview Checkout - Booking wizard for the pricing cards
+ *
+ * Clicking a plan's call to action (`data-plan="starter"`) opens a small
+ * wizard in a dialog for the billing period selected in the plans section:
+ *   1. Rechnungsdaten – address, optional VAT ID, SEPA mandate
+ *   2. Übersicht      – net, 19 % MwSt and gross amount
+ *   3. Fertig         – the plan is stored on the user
+ *
+ * Plans and prices come from the plans section (plans.js). Plans without
+ * a price skip the billing step and need no payment.
+ * Signed-out visitors register first: the chosen plan is kept in
+ * sessionStorage (`kernwerk_checkout`) and the wizard continues as soon
+ * as an account is signed in, also across the SSO redirect.
+ *
+ * Payments go through the adapter from payment-provider.js; the result's
+ * `paymentId` is handed to `authManager.changePlan()`. A payment that
+ * went through is not repeated when only the plan change has to be
+ * retried.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * CheckoutWizard Class - Plan selection → billing → summary → done
+ *
+ * @class CheckoutWizard
+ */
+class CheckoutWizard {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {Object} [options.payment] - `payment` section of KERNWERK_CONFIG
+   */
+  constructor(options = {}) {
+    this.modal = document.getElementById('checkout-modal');
+    if (!this.modal) {
+      console.warn('Checkout modal element not found');
+      return;
+    }
+
+    this.billingForm = document.getElementById('checkout-billing-form');
+    this.summaryForm = document.getElementById('checkout-summary-form');
+    this.steps = this.modal.querySelectorAll('[data-step]');
+
+    this.provider = createPaymentProvider(options.payment);
+    this.storageKey = 'kernwerk_checkout';
+
+    // Current booking: { plan, billingCycle, billing, paymentId }
+    this.order = null;
+    this.step = null;
+    this.focusSelector = '.auth-modal__form--active .auth-modal__input, .auth-modal__form--active .auth-modal__submit';
+    this.busy = false;
+
+    this.init();
+  }
+
+  /**
+   * Wire up the plan buttons, the dialog and the forms
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    // The plan cards are rendered later (plans.js), so listen on the document
+    document.addEventListener('click', (e) => {
+      const button = e.target instanceof Element ? e.target.closest('[data-plan]') : null;
+      if (!button) return;
+      e.preventDefault();
+      this.start(button.dataset.plan, window.plans?.billingCycle);
+    });
+
+    window.dialogManager?.register(this.modal, {
+      panel: '.auth-modal__content',
+      labelledBy: 'checkout-billing-title',
+      onRequestClose: () => this.close(),
+      initialFocus: () => this.modal.querySelector(this.focusSelector)
+    });
+
+    this.modal.querySelector('.auth-modal__overlay')?.addEventListener('click', () => this.close());
+    this.modal.querySelector('.auth-modal__close')?.addEventListener('click', () => this.close());
+    document.getElementById('checkout-done-close')?.addEventListener('click', () => this.close());
+    document.getElementById('checkout-back')?.addEventListener('click', () => this.showStep('billing'));
+
+    this.billingForm?.addEventListener('submit', (e) => this.handleBillingSubmit(e));
+    this.summaryForm?.addEventListener('submit', (e) => this.handleSummarySubmit(e));
+
+    // The IBAN is shown in groups of four once the field is left
+    const ibanInput = document.getElementById('checkout-iban');
+    ibanInput?.addEventListener('blur', () => {
+      if (Billing.isValidIban(ibanInput.value)) ibanInput.value = Billing.formatIban(ibanInput.value);
+    });
+
+    this.setupValidator();
+
+    // Continue a booking that was interrupted by the registration
+    document.addEventListener('auth:change', () => this.resumePending());
+    // Registration cancelled: forget the plan
+    document.addEventListener('dialog:close', (e) => {
+      if (e.target === window.authModal?.modal && !window.authManager?.isLoggedIn()) {
+        this.clearPending();
+      }
+    });
+    this.resumePending();
+  }
+
+  /**
+   * Inline validation rules of the billing step
+   *
+   * @method setupValidator
+   * @returns {void}
+   */
+  setupValidator() {
+    const { required, checked, custom } = FormValidator.rules;
+    const country = () => document.getElementById('checkout-country')?.value || 'DE';
+
+    this.validator = new FormValidator(this.billingForm, {
+      'checkout-name': [required('Bitte geben Sie den Namen des Kontoinhabers ein')],
+      'checkout-street': [required('Bitte geben Sie Straße und Hausnummer ein')],
+      'checkout-zip': [
+        required('Bitte geben Sie die Postleitzahl ein'),
+        custom(value => (Billing.isValidPostalCode(country(), value) ? null : 'Diese Postleitzahl passt nicht zum gewählten Land'))
+      ],
+      'checkout-city': [required('Bitte geben Sie den Ort ein')],
+      'checkout-vat': [
+        custom(value => (!value || Billing.isValidVatId(value) ? null : 'Bitte geben Sie eine gültige USt-IdNr. ein (z.B. DE123456789)'))
+      ],
+      'checkout-iban': [
+        required('Bitte geben Sie Ihre IBAN ein'),
+        custom(value => (Billing.isValidIban(value) ? null : 'Diese IBAN ist ungültig. Bitte prüfen Sie Länge und Prüfziffer.'))
+      ],
+      'checkout-mandate': [checked('Bitte erteilen Sie das SEPA-Lastschriftmandat')]
+    });
+
+    // The postal code format depends on the country
+    document.getElementById('checkout-country')?.addEventListener('change', () => {
+      if (document.getElementById('checkout-zip')?.value.trim()) this.validator.validateField('checkout-zip');
+    });
+    this.summaryValidator = new FormValidator(this.summaryForm, {});
+  }
+
+  /**
+   * Start booking a plan
+   *
+   * @method start
+   * @param {string} plan - Plan id (see src/data/plans.json)
+   * @param {string} [billingCycle='monthly'] - 'monthly' | 'yearly'
+   * @returns {void}
+   */
+  start(plan, billingCycle = 'monthly') {
+    const entry = this.getPlan(plan);
+    if (!entry) {
+      console.warn('Checkout: unknown plan', plan);
+      return;
+    }
+
+    if (!window.authManager?.isLoggedIn()) {
+      this.savePending({ plan, billingCycle });
+      window.notifications?.info(`Erstellen Sie ein Konto oder melden Sie sich an, um ${entry.name} zu buchen.`);
+      window.authModal?.open('register');
+      return;
+    }
+
+    if (window.authManager.getPlan() === plan) {
+      window.notifications?.info(`Sie nutzen bereits den Plan ${entry.name}.`);
+      return;
+    }
+
+    this.open({ plan, billingCycle });
+  }
+
+  /**
+   * Open the wizard for an order
+   *
+   * @method open
+   * @param {{plan: string, billingCycle: string}} order
+   * @returns {void}
+   */
+  open({ plan, billingCycle }) {
+    window.profilePopup?.close();
+    window.authModal?.close();
+
+    this.order = { plan, billingCycle, billing: null, paymentId: null };
+    this.billingForm?.reset();
+    this.validator.reset();
+    this.summaryValidator.reset();
+    this.prefill();
+
+    const hint = document.getElementById('checkout-plan-hint');
+    if (hint) {
+      const { net } = this.getAmounts();
+      const period = billingCycle === 'yearly' ? 'pro Jahr' : 'pro Monat';
+      hint.textContent = `${this.getPlan(plan).name} – ${this.formatAmount(net)} netto ${period}`;
+    }
+
+    this.showStep(this.isPaid() ? 'billing' : 'summary');
+    this.modal.classList.add('active');
+    window.dialogManager?.open(this.modal);
+  }
+
+  /**
+   * Close the wizard (not while a payment is running)
+   *
+   * @method close
+   * @returns {void}
+   */
+  close() {
+    if (this.busy || !this.isOpen()) return;
+    this.modal.classList.remove('active');
+    window.dialogManager?.close(this.modal);
+    this.order = null;
+  }
+
+  /**
+   * Whether the wizard is shown
+   *
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Show one step and mark it in the progress list
+   *
+   * @method showStep
+   * @param {string} step - 'billing' | 'summary' | 'done'
+   * @returns {void}
+   */
+  showStep(step) {
+    this.step = step;
+    const order = ['billing', 'summary', 'done'];
+
+    this.steps.forEach(el => {
+      if (el.classList.contains('checkout__step-label')) {
+        const index = order.indexOf(el.dataset.step);
+        el.classList.toggle('checkout__step-label--done', index < order.indexOf(step));
+        el.hidden = el.dataset.step === 'billing' && !this.isPaid();
+        if (el.dataset.step === step) el.setAttribute('aria-current', 'step');
+        else el.removeAttribute('aria-current');
+      } else {
+        el.classList.toggle('auth-modal__form--active', el.dataset.step === step);
+      }
+    });
+
+    if (step === 'summary') this.renderSummary();
+    window.dialogManager?.setLabelledBy(this.modal, `checkout-${step}-title`);
+    // Moving between steps while open: continue in the new step
+    if (this.isOpen()) this.modal.querySelector(this.focusSelector)?.focus();
+  }
+
+  /**
+   * Prefill the name from the signed-in account
+   *
+   * @method prefill
+   * @returns {void}
+   */
+  prefill() {
+    const name = document.getElementById('checkout-name');
+    if (name && !name.value) name.value = window.authManager?.getUser()?.name || '';
+  }
+
+  /**
+   * Bookable plan by id (plans sold through sales are not)
+   *
+   * @method getPlan
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getPlan(id) {
+    const plan = window.plans?.getPlan(id);
+    return plan && plan.price && plan.cta?.action !== 'inquiry' ? plan : null;
+  }
+
+  /**
+   * Format cents in the locale and currency of the plans section
+   *
+   * @method formatAmount
+   * @param {number} cents
+   * @returns {string}
+   */
+  formatAmount(cents) {
+    return Billing.formatAmount(cents, { locale: window.plans?.locale, currency: window.plans?.currency });
+  }
+
+  /**
+   * Whether the current order costs money
+   *
+   * @method isPaid
+   * @returns {boolean}
+   */
+  isPaid() {
+    return this.getAmounts().net > 0;
+  }
+
+  /**
+   * Net, VAT and gross of the current order in cents
+   *
+   * @method getAmounts
+   * @returns {{net: number, vat: number, gross: number, rate: number}}
+   */
+  getAmounts() {
+    const net = this.order ? window.plans?.getPrice(this.order.plan, this.order.billingCycle) : 0;
+    return Billing.calculate(net || 0);
+  }
+
+  /**
+   * Billing step: validate and continue to the summary
+   *
+   * @method handleBillingSubmit
+   * @param {Event} e
+   * @returns {void}
+   */
+  handleBillingSubmit(e) {
+    e.preventDefault();
+    if (!this.order || !this.validator.validate()) return;
+
+    const value = id => document.getElementById(id)?.value.trim() || '';
+    const iban = Billing.normalizeIban(value('checkout-iban'));
+
+    // Another account means another payment
+    if (this.order.billing && this.order.billing.iban !== iban) this.order.paymentId = null;
+
+    this.order.billing = {
+      company: value('checkout-company'),
+      name: value('checkout-name'),
+      street: value('checkout-street'),
+      zip: value('checkout-zip').toUpperCase(),
+      city: value('checkout-city'),
+      country: value('checkout-country') || 'DE',
+      vatId: Billing.normalizeVatId(value('checkout-vat')),
+      iban
+    };
+    this.showStep('summary');
+  }
+
+  /**
+   * Fill the summary list
+   *
+   * @method renderSummary
+   * @returns {void}
+   */
+  renderSummary() {
+    const list = document.getElementById('checkout-summary');
+    if (!list || !this.order) return;
+
+    const { net, vat, gross, rate } = this.getAmounts();
+    const yearly = this.order.billingCycle === 'yearly';
+    const billing = this.order.billing;
+    const rows = [
+      ['Plan', this.getPlan(this.order.plan).name],
+      ['Abrechnung', yearly ? 'jährlich' : 'monatlich'],
+      ['Netto', this.formatAmount(net)],
+      [`MwSt. ${Math.round(rate * 100)} %`, this.formatAmount(vat)],
+      ['Gesamt', this.formatAmount(gross)]
+    ];
+    if (billing) {
+      const country = document.querySelector(`#checkout-country option[value="${billing.country}"]`)?.textContent || billing.country;
+      const address = [billing.company, billing.name, billing.street, `${billing.zip} ${billing.city}`, country].filter(Boolean);
+      rows.push(['Rechnungsadresse', address.join(', ')]);
+      if (billing.vatId) rows.push(['USt-IdNr.', billing.vatId]);
+      rows.push(['SEPA-Lastschrift', Billing.maskIban(billing.iban)]);
+    }
+
+    list.replaceChildren();
+    rows.forEach(([label, text]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = label;
+      dd.textContent = text;
+      if (label === 'Gesamt') {
+        dt.className = 'checkout__total';
+        dd.className = 'checkout__total';
+      }
+      list.append(dt, dd);
+    });
+
+    const submit = document.getElementById('checkout-submit');
+    if (submit) submit.textContent = gross > 0 ? 'Zahlungspflichtig bestellen' : 'Kostenlos starten';
+    const back = document.getElementById('checkout-back');
+    if (back) back.hidden = !this.isPaid();
+  }
+
+  /**
+   * Summary step: pay (if needed) and switch the plan
+   *
+   * @method handleSummarySubmit
+   * @param {Event} e
+   * @returns {Promise<void>}
+   */
+  async handleSummarySubmit(e) {
+    e.preventDefault();
+    if (!this.order || this.busy) return;
+
+    const order = this.order;
+    const { gross } = this.getAmounts();
+    this.summaryValidator.clearFormError();
+    this.setBusy(true);
+
+    try {
+      if (gross > 0 && !order.paymentId) {
+        const user = window.authManager.getUser();
+        const payment = await this.provider.charge({
+          plan: order.plan,
+          billingCycle: order.billingCycle,
+          amount: gross,
+          currency: window.plans?.currency || 'EUR',
+          iban: order.billing.iban,
+          holder: order.billing.name,
+          email: user?.email,
+          reference: `KERNWERK ${this.getPlan(order.plan).name}`
+        });
+        order.paymentId = payment.paymentId;
+      }
+
+      await window.authManager.changePlan({
+        plan: order.plan,
+        billingCycle: order.billingCycle,
+        paymentId: order.paymentId || undefined
+      });
+
+      const name = this.getPlan(order.plan).name;
+      const done = document.getElementById('checkout-done-text');
+      if (done) {
+        done.textContent = gross > 0
+          ? `Ihr Plan ${name} ist aktiv. Der Betrag von ${this.formatAmount(gross)} wird per SEPA-Lastschrift eingezogen.`
+          : `Ihr Plan ${name} ist aktiv.`;
+      }
+      this.showStep('done');
+      window.notifications?.success(`Plan ${name} gebucht.`);
+    } catch (error) {
+      console.error('Checkout error:', error);
+      this.showError(error);
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * Show a failed payment or plan change
+   * Problems with the bank details lead back to the billing step.
+   *
+   * @method showError
+   * @param {Error} error - PaymentError or AuthApiError
+   * @returns {void}
+   */
+  showError(error) {
+    if (error instanceof PaymentError && error.details?.field === 'iban') {
+      this.showStep('billing');
+      this.validator.setFieldError('checkout-iban', error.message, { focus: true });
+      return;
+    }
+
+    const known = error instanceof PaymentError || error instanceof AuthApiError;
+    this.summaryValidator.setFormError(known
+      ? error.message
+      : 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.');
+  }
+
+  /**
+   * Lock the wizard while a request is running
+   *
+   * @method setBusy
+   * @param {boolean} busy
+   * @returns {void}
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    this.summaryForm?.querySelectorAll('button').forEach(btn => { btn.disabled = busy; });
+    this.summaryForm?.setAttribute('aria-busy', String(busy));
+  }
+
+  /**
+   * Remember a plan until the visitor is signed in
+   *
+   * @method savePending
+   * @param {{plan: string, billingCycle: string}} order
+   * @returns {void}
+   */
+  savePending(order) {
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify(order));
+    } catch (e) {
+      console.warn('Checkout selection could not be stored:', e);
+    }
+  }
+
+  /**
+   * Forget a remembered plan
+   *
+   * @method clearPending
+   * @returns {void}
+   */
+  clearPending() {
+    try {
+      sessionStorage.removeItem(this.storageKey);
+    } catch (e) {
+      // Nothing stored
+    }
+  }
+
+  /**
+   * Open the wizard for a remembered plan once someone is signed in
+   *
+   * @method resumePending
+   * @returns {Promise<void>}
+   */
+  async resumePending() {
+    if (!window.authManager?.isLoggedIn()) return;
+
+    let order = null;
+    try {
+      order = JSON.parse(sessionStorage.getItem(this.storageKey) || 'null');
+    } catch (e) {
+      order = null;
+    }
+    if (!order) return;
+    this.clearPending();
+
+    // After a redirect the plan data may still be loading
+    await window.plans?.ready;
+    if (!this.getPlan(order.plan) || window.authManager.getPlan() === order.plan) return;
+    this.open({ plan: order.plan, billingCycle: order.billingCycle || 'monthly' });
+  }
+}
+
+/**
+ * IIFE - Initialize the checkout after DOM is ready
+ * The instance is exposed as window.checkout.
+ */
+(function initCheckout() {
+  const initFn = () => {
+    try {
+      window.checkout = new CheckoutWizard({ payment: window.KERNWERK_CONFIG?.payment });
+    } catch (e) {
+      console.error('Checkout initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
@@ -0,0 +1,581 @@
+/**
+ * @fileoverview Command Palette - Keyboard search over the page (Ctrl/⌘+K)
+ *
+ * One search field for everything the page offers: jump to a section,
+ * an objective, a slide or a plan, or run an action (login, profile, ...).
+ *
+ * Features:
+ * - Commands from the page: section headings, `.objective` titles and
+ *   slideshow slides; plans.js adds the plan cards
+ * - Account actions that follow the login state (`when`, as in hotkeys.js)
+ * - Fuzzy search ("prfl" finds "Profil öffnen"), accents ignored
+ * - Arrow keys / Enter / Escape, mouse as well
+ * - Shows the hotkey of a command (from the live hotkey registry)
+ * - Recently used commands first (`kernwerk_command_recent`)
+ * - Other modules add commands with `commandPalette.register()`
+ *
+ * Usage:
+ *   commandPalette.register({
+ *     id: 'contact.open', title: 'Kontakt aufnehmen', group: 'Aktionen',
+ *     keywords: ['anfrage'], hotkey: 'contact.open', // id of a hotkey binding
+ *     run: () => contactForm.open()
+ *   });
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * CommandPalette Class - Command registry and search dialog
+ *
+ * @class CommandPalette
+ */
+class CommandPalette {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {Storage} [options.storage=localStorage] - Where recent commands are kept
+   * @param {number} [options.maxRecent=5] - Number of recent commands to remember
+   */
+  constructor(options = {}) {
+    this.modal = document.getElementById('command-palette');
+    this.input = document.getElementById('command-palette-input');
+    this.list = document.getElementById('command-palette-list');
+    this.empty = document.getElementById('command-palette-empty');
+
+    this.storage = options.storage || window.localStorage;
+    this.storageKey = 'kernwerk_command_recent';
+    this.maxRecent = options.maxRecent ?? 5;
+
+    this.commands = new Map();  // id → command, in registration order
+    this.results = [];          // Commands currently listed
+    this.activeIndex = 0;
+
+    if (this.modal) this.init();
+  }
+
+  /**
+   * Wire up hotkey, dialog, search field and list
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    try {
+      window.hotkeys?.register({
+        id: 'palette.open',
+        keys: 'mod+k',
+        description: 'Befehlspalette öffnen',
+        group: 'Hilfe',
+        action: () => this.open()
+      });
+      // The same keys close it again, also while typing in the search field
+      window.hotkeys?.register({
+        id: 'palette.close',
+        keys: 'mod+k',
+        scope: this.modal.id,
+        allowInInputs: true,
+        description: 'Befehlspalette schließen',
+        group: 'Hilfe',
+        action: () => this.close()
+      });
+    } catch (e) {
+      console.warn('Command palette shortcut not registered:', e.message);
+    }
+
+    window.dialogManager?.register(this.modal, {
+      panel: '.auth-modal__content',
+      labelledBy: 'command-palette-title',
+      onRequestClose: () => this.close(),
+      initialFocus: () => this.input
+    });
+
+    this.modal.querySelector('.auth-modal__overlay')?.addEventListener('click', () => this.close());
+    this.input?.addEventListener('input', () => this.update());
+    this.input?.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.list?.addEventListener('mousemove', (e) => {
+      const option = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+      if (option && Number(option.dataset.index) !== this.activeIndex) this.setActive(Number(option.dataset.index));
+    });
+    this.list?.addEventListener('click', (e) => {
+      const option = e.target instanceof Element ? e.target.closest('[role="option"]') : null;
+      if (option) this.run(this.results[Number(option.dataset.index)]);
+    });
+  }
+
+  /**
+   * Add a command
+   *
+   * @method register
+   * @param {Object} command
+   * @param {string} command.id - Stable name, also used for the recent list
+   * @param {string} command.title - Shown and searched
+   * @param {Function} command.run - Called when the command is chosen
+   * @param {string} [command.group] - Shown next to the title, searched as well
+   * @param {string[]} [command.keywords] - Extra search terms
+   * @param {string} [command.hotkey] - Id of the hotkey binding that does the same
+   * @param {string|Function} [command.when] - Condition as in hotkeys.js ('loggedIn', '!loggedIn')
+   * @returns {Object} - The registered command
+   * @throws {Error} - Missing id/title/run or duplicate id
+   */
+  register(command) {
+    const { id, title, run } = command || {};
+    if (!id || !title || typeof run !== 'function') throw new Error('Command needs an id, a title and run()');
+    if (this.commands.has(id)) throw new Error(`Command "${id}" is already registered`);
+
+    const entry = {
+      id,
+      title,
+      run,
+      group: command.group || '',
+      keywords: command.keywords || [],
+      hotkey: command.hotkey || null,
+      when: command.when || null
+    };
+    this.commands.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Remove a command
+   *
+   * @method unregister
+   * @param {string} id
+   * @returns {boolean} - Whether a command was removed
+   */
+  unregister(id) {
+    return this.commands.delete(id);
+  }
+
+  /**
+   * Commands that can run in the current state
+   *
+   * @method getAvailable
+   * @returns {Object[]}
+   */
+  getAvailable() {
+    return Array.from(this.commands.values()).filter(command => {
+      if (!command.when) return true;
+      if (typeof command.when === 'function') return Boolean(command.when());
+      return window.hotkeys ? window.hotkeys.checkCondition(command.when) : true;
+    });
+  }
+
+  /**
+   * Open the palette with an empty search
+   *
+   * @method open
+   * @returns {void}
+   */
+  open() {
+    if (!this.modal || this.isOpen()) return;
+    if (this.input) this.input.value = '';
+    this.update();
+
+    this.modal.classList.add('active');
+    window.dialogManager?.open(this.modal);
+  }
+
+  /**
+   * Close the palette
+   *
+   * @method close
+   * @returns {void}
+   */
+  close() {
+    if (!this.isOpen()) return;
+    this.modal.classList.remove('active');
+    window.dialogManager?.close(this.modal);
+  }
+
+  /**
+   * Whether the palette is shown
+   *
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Lowercase text without accents ("Über" → "uber")
+   *
+   * @method normalize
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Fuzzy match of one search word in a text
+   *
+   * All characters of the word must appear in order. Matches at word
+   * starts and runs of consecutive characters score higher.
+   *
+   * @method scoreWord
+   * @param {string} word - Normalized search word
+   * @param {string} text - Normalized text
+   * @returns {number|null} - null when the word does not match
+   */
+  scoreWord(word, text) {
+    const index = text.indexOf(word);
+    if (index !== -1) {
+      const atWordStart = index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+      return word.length * 3 + (atWordStart ? 10 : 4) - Math.min(index, 20) * 0.1;
+    }
+
+    let score = 0;
+    let position = -1;
+    for (const char of word) {
+      const next = text.indexOf(char, position + 1);
+      if (next === -1) return null;
+      score += 1;
+      if (next === position + 1) score += 2;
+      if (next === 0 || !/[a-z0-9]/.test(text[next - 1])) score += 3;
+      position = next;
+    }
+    return score;
+  }
+
+  /**
+   * Score of a command for a search (null = no match)
+   * Every word has to match the title, or - with less weight - the group
+   * or keywords.
+   *
+   * @method score
+   * @param {Object} command
+   * @param {string[]} words - Normalized search words
+   * @returns {number|null}
+   */
+  score(command, words) {
+    const title = this.normalize(command.title);
+    const extra = this.normalize([command.group, ...command.keywords].join(' '));
+
+    let total = 0;
+    for (const word of words) {
+      const inTitle = this.scoreWord(word, title);
+      const inExtra = this.scoreWord(word, extra);
+      if (inTitle === null && inExtra === null) return null;
+      total += Math.max(inTitle ?? -Infinity, (inExtra ?? -Infinity) / 2);
+    }
+    return total;
+  }
+
+  /**
+   * Commands for a search, best first
+   * Without a search: recently used commands, then all others.
+   *
+   * @method search
+   * @param {string} query
+   * @returns {Object[]} - { command, recent }
+   */
+  search(query) {
+    const words = this.normalize(query).split(/\s+/).filter(Boolean);
+    const recent = this.loadRecent();
+    const available = this.getAvailable();
+
+    if (!words.length) {
+      const byId = new Map(available.map(command => [command.id, command]));
+      const first = recent.filter(id => byId.has(id)).map(id => ({ command: byId.get(id), recent: true }));
+      const rest = available.filter(command => !recent.includes(command.id)).map(command => ({ command, recent: false }));
+      return [...first, ...rest];
+    }
+
+    return available
+      .map((command, order) => {
+        const score = this.score(command, words);
+        const rank = recent.indexOf(command.id);
+        // Recently used commands win over equally good matches
+        const bonus = rank === -1 ? 0 : (this.maxRecent - rank) * 2;
+        return score === null ? null : { command, recent: rank !== -1, score: score + bonus, order };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+
+  /**
+   * Search and render the list
+   *
+   * @method update
+   * @returns {void}
+   */
+  update() {
+    const results = this.search(this.input?.value || '');
+    this.results = results.map(result => result.command);
+    this.render(results);
+    this.setActive(0);
+  }
+
+  /**
+   * Render the result list
+   *
+   * @method render
+   * @param {Object[]} results - { command, recent }
+   * @returns {void}
+   */
+  render(results) {
+    if (!this.list) return;
+
+    const options = results.map(({ command, recent }, index) => {
+      const option = this.createElement('li', 'command-palette__option');
+      option.id = `command-palette-option-${index}`;
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+
+      option.append(this.createElement('span', 'command-palette__title', command.title));
+      const group = recent ? 'Zuletzt verwendet' : command.group;
+      if (group) option.append(this.createElement('span', 'command-palette__group', group));
+
+      const keys = this.getHotkeyLabels(command);
+      if (keys.length) {
+        const combo = this.createElement('span', 'command-palette__keys');
+        keys.forEach(label => combo.append(this.createElement('kbd', 'command-palette__key', label)));
+        option.append(combo);
+      }
+      return option;
+    });
+
+    this.list.replaceChildren(...options);
+    if (this.empty) this.empty.hidden = options.length > 0;
+    this.input?.setAttribute('aria-expanded', String(options.length > 0));
+  }
+
+  /**
+   * Key labels of the hotkey that belongs to a command
+   *
+   * @method getHotkeyLabels
+   * @param {Object} command
+   * @returns {string[]}
+   */
+  getHotkeyLabels(command) {
+    const binding = command.hotkey ? window.hotkeys?.get(command.hotkey) : null;
+    return binding ? window.hotkeys.describe(binding.keys) : [];
+  }
+
+  /**
+   * Highlight a result
+   *
+   * @method setActive
+   * @param {number} index
+   * @returns {void}
+   */
+  setActive(index) {
+    const options = this.list ? Array.from(this.list.children) : [];
+    if (!options.length) {
+      this.activeIndex = 0;
+      this.input?.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+    options.forEach((option, i) => {
+      const active = i === this.activeIndex;
+      option.classList.toggle('command-palette__option--active', active);
+      option.setAttribute('aria-selected', String(active));
+    });
+
+    const activeOption = options[this.activeIndex];
+    this.input?.setAttribute('aria-activedescendant', activeOption.id);
+    activeOption.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Arrow keys and Enter in the search field
+   *
+   * @method handleKeydown
+   * @param {KeyboardEvent} e
+   * @returns {void}
+   */
+  handleKeydown(e) {
+    if (e.isComposing) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.run(this.results[this.activeIndex]);
+    }
+  }
+
+  /**
+   * Close the palette and run a command
+   *
+   * @method run
+   * @param {Object} command
+   * @returns {void}
+   */
+  run(command) {
+    if (!command) return;
+    this.close();
+    this.saveRecent(command.id);
+
+    try {
+      command.run();
+    } catch (e) {
+      console.error(`Command "${command.id}" failed:`, e);
+    }
+  }
+
+  /**
+   * Ids of recently used commands, newest first
+   *
+   * @method loadRecent
+   * @returns {string[]}
+   */
+  loadRecent() {
+    try {
+      const recent = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      return Array.isArray(recent) ? recent.slice(0, this.maxRecent) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Move a command to the front of the recent list
+   *
+   * @method saveRecent
+   * @param {string} id
+   * @returns {void}
+   */
+  saveRecent(id) {
+    const recent = [id, ...this.loadRecent().filter(other => other !== id)].slice(0, this.maxRecent);
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(recent));
+    } catch (e) {
+      console.warn('Recent commands could not be saved:', e);
+    }
+  }
+
+  /**
+   * Scroll to an element and move focus there
+   *
+   * @method jumpTo
+   * @param {HTMLElement} target - Scrolled into view
+   * @param {HTMLElement} [focusTarget=target] - Receives focus (made focusable if needed)
+   * @returns {void}
+   */
+  jumpTo(target, focusTarget = target) {
+    if (!target) return;
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (!focusTarget.matches('a[href], button, input, select, textarea, [tabindex]')) {
+      focusTarget.setAttribute('tabindex', '-1');
+    }
+    focusTarget.focus({ preventScroll: true });
+  }
+
+  /**
+   * Text of an element without counters and decoration
+   *
+   * @method getText
+   * @param {HTMLElement} element
+   * @param {string} [exclude] - Selector of parts to leave out
+   * @returns {string}
+   */
+  getText(element, exclude) {
+    if (!element) return '';
+    const clone = element.cloneNode(true);
+    if (exclude) clone.querySelectorAll(exclude).forEach(part => part.remove());
+    return clone.textContent.replace(/\s+/g, ' ').replace(/^\s*\/\s*/, '').trim();
+  }
+
+  /**
+   * Register the commands that come from the page itself
+   *
+   * @method registerPageCommands
+   * @returns {void}
+   */
+  registerPageCommands() {
+    document.querySelectorAll('main .section').forEach(section => {
+      const heading = section.querySelector('.section-title');
+      const title = section.dataset.commandTitle || this.getText(heading, '.section-title__counter');
+      if (!title) return;
+      this.register({
+        id: `section:${this.normalize(title).replace(/[^a-z0-9]+/g, '-')}`,
+        title,
+        group: 'Bereich',
+        run: () => this.jumpTo(section, heading || section)
+      });
+    });
+
+    document.querySelectorAll('.objective').forEach((objective, index) => {
+      const title = this.getText(objective.querySelector('.objective__title'));
+      if (!title) return;
+      this.register({
+        id: `objective:${objective.dataset.artId || index}`,
+        title,
+        group: 'System',
+        run: () => this.jumpTo(objective, objective.querySelector('.objective__title'))
+      });
+    });
+
+    document.querySelectorAll('.slideshow__slide').forEach((slide, index) => {
+      const title = this.getText(slide.querySelector('.table-header__label'));
+      if (!title) return;
+      this.register({
+        id: `slide:${index}`,
+        title,
+        group: 'KERNWERK',
+        keywords: ['slide', 'karte'],
+        run: () => {
+          this.jumpTo(slide.closest('.section') || slide, slide.querySelector('.table-header__label'));
+          slide.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'start' });
+        }
+      });
+    });
+
+    const clickNav = (href) => () => document.querySelector(`.nav a[href="${href}"]`)?.click();
+    [
+      { id: 'auth.login', title: 'Anmelden', href: '/login', when: '!loggedIn', keywords: ['login'] },
+      { id: 'auth.register', title: 'Registrieren', href: '/atomize', when: '!loggedIn', keywords: ['konto erstellen', 'atomize'] },
+      { id: 'auth.profile', title: 'Profil öffnen', href: '/profile', when: 'loggedIn', keywords: ['konto', 'einstellungen'] },
+      { id: 'auth.logout', title: 'Abmelden', href: '/logout', when: 'loggedIn', keywords: ['logout'] }
+    ].forEach(({ href, ...command }) => {
+      this.register({ ...command, group: 'Konto', hotkey: `link:${href}`, run: clickNav(href) });
+    });
+  }
+
+  /**
+   * Create an element with class and text
+   *
+   * @method createElement
+   * @param {string} tag
+   * @param {string} className
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+/**
+ * IIFE - Create the palette right away, so other modules can register
+ * commands during their own init; page commands follow once the DOM is ready.
+ * The instance is exposed as window.commandPalette.
+ */
+(function initCommandPalette() {
+  try {
+    window.commandPalette = new CommandPalette(window.KERNWERK_CONFIG?.commandPalette);
+  } catch (e) {
+    console.error('Command palette initialization failed:', e);
+    return;
+  }
+
+  const registerPage = () => window.commandPalette.registerPageCommands();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', registerPage);
+  } else {
+    registerPage();
+  }
+})();
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Runtime Configuration
+ *
+ * Central place for deployment-specific settings. Loaded before every
+ * other script so modules can read `window.KERNWERK_CONFIG` during
+ * initialization.
+ *
+ * A deployment can predefine `window.KERNWERK_CONFIG` in an earlier
+ * script; those values win over the defaults below (shallow per section).
+ *
+ * Auth adapters:
+ * - 'mock': In-process mock backend, data lives in localStorage (default,
+ *           works on static hosting without any server)
+ * - 'http': JSON API under `auth.baseUrl`, e.g. the local stub server
+ *           started with `node tools/mock-server.js`
+ *
+ * Single sign-on is enabled by setting `auth.oidc.issuer`; the stub
+ * server does this for its built-in mock identity provider.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+(function initConfig() {
+  const defaults = {
+    auth: {
+      adapter: 'mock',   // 'mock' | 'http'
+      baseUrl: '/api',   // Base URL for the 'http' adapter
+      timeout: 10000,    // Request timeout in ms
+      endpoints: {},     // Optional per-endpoint path overrides
+      oidc: null         // SSO settings, e.g. { issuer, clientId } (see oidc-client.js)
+    },
+    passwordPolicy: {},  // Overrides for PasswordPolicy (see password-policy.js)
+    loginThrottle: {},   // Back-off settings for failed logins (see login-throttle.js)
+    plans: {},           // Data file and number locale of the pricing cards (see plans.js)
+    router: {
+      mode: 'history'    // 'history' (/login) | 'hash' (#/login), see router.js
+    },
+    payment: {
+      provider: 'fake'   // Payment adapter for the checkout (see payment-provider.js)
+    },
+    contact: {
+      endpoint: null,    // URL for inquiries (POST, JSON); the stub server sets '/api/contact'
+      minFillTime: 3000  // Faster submissions count as spam (ms), see contact-form.js
+    },
+    outbox: {},          // Retry settings for queued requests (see request-queue.js)
+    hotkeys: {},         // Sequence timeout of the hotkey registry (see hotkeys.js)
+    commandPalette: {}   // Length of the recent list (see command-palette.js)
+  };
+
+  const overrides = window.KERNWERK_CONFIG || {};
+  const config = {};
+
+  Object.keys(Object.assign({}, defaults, overrides)).forEach(section => {
+    config[section] = Object.assign({}, defaults[section], overrides[section] || {});
+  });
+
+  window.KERNWERK_CONFIG = config;
+})();
@@ -0,0 +1,534 @@
+/**
+ * @fileoverview Contact Form - Enterprise, demo and general inquiries
+ *
+ * Dialog behind "Enterprise-Gespräch anfragen" (`data-plan-inquiry`) and
+ * the footer link "Kontakt" (`data-contact="general"`).
+ *
+ * Features:
+ * - Topic, name, email, company, seats, data region, preferred date, message
+ * - Inline validation (FormValidator); seats, region and date only for
+ *   Enterprise talks and demos
+ * - Spam protection: a honeypot field and a minimum time between opening
+ *   and sending the form
+ * - Sent as JSON to `KERNWERK_CONFIG.contact.endpoint`
+ * - Offline, timeouts and server errors: the request is stored in the
+ *   IndexedDB outbox (request-queue.js) and sent later; the user is told
+ *   when it went out or finally failed
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * ContactForm Class - Inquiry dialog with offline queue
+ *
+ * @class ContactForm
+ */
+class ContactForm {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {string|null} [options.endpoint] - URL the inquiry is POSTed to
+   * @param {number} [options.minFillTime=3000] - Faster submissions are treated as bots (ms)
+   */
+  constructor(options = {}) {
+    this.modal = document.getElementById('contact-modal');
+    if (!this.modal) {
+      console.warn('Contact modal element not found');
+      return;
+    }
+
+    this.form = document.getElementById('contact-form');
+    this.details = document.getElementById('contact-details');
+    this.counter = document.getElementById('contact-message-counter');
+
+    this.endpoint = options.endpoint ? new URL(options.endpoint, document.baseURI).href : null;
+    this.minFillTime = options.minFillTime ?? 3000;
+    this.messageMinLength = 20;
+    this.messageMaxLength = 2000;
+
+    this.topics = {
+      sales: 'Enterprise-Gespräch',
+      demo: 'Produktdemo',
+      general: 'Allgemeine Anfrage'
+    };
+
+    // When the form was shown (minimum fill time)
+    this.openedAt = 0;
+    // Plan card the inquiry came from, if any
+    this.plan = null;
+    this.busy = false;
+
+    this.init();
+  }
+
+  /**
+   * Wire up triggers, dialog, form and outbox events
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    // Plan cards are rendered later (plans.js), so listen on the document
+    document.addEventListener('click', (e) => {
+      const trigger = e.target instanceof Element
+        ? e.target.closest('[data-plan-inquiry], [data-contact]')
+        : null;
+      if (!trigger) return;
+      e.preventDefault();
+      if (trigger.dataset.planInquiry) {
+        this.open({ topic: 'sales', plan: trigger.dataset.planInquiry });
+      } else {
+        this.open({ topic: trigger.dataset.contact });
+      }
+    });
+
+    // Command palette (command-palette.js): one entry per topic
+    [
+      { topic: 'general', title: 'Kontakt aufnehmen', keywords: ['anfrage', 'nachricht'] },
+      { topic: 'demo', title: 'Produktdemo anfragen', keywords: ['demo', 'termin'] },
+      { topic: 'sales', title: 'Enterprise-Gespräch anfragen', keywords: ['vertrieb', 'sales', 'enterprise'] }
+    ].forEach(({ topic, title, keywords }) => {
+      try {
+        window.commandPalette?.register({
+          id: `contact.${topic}`,
+          title,
+          group: 'Kontakt',
+          keywords,
+          run: () => this.open({ topic })
+        });
+      } catch (e) {
+        console.warn('Contact command not registered:', e.message);
+      }
+    });
+
+    // Send from any field, including the message textarea
+    try {
+      window.hotkeys?.register({
+        id: 'contact.submit',
+        keys: 'mod+enter',
+        scope: this.modal.id,
+        allowInInputs: true,
+        description: 'Anfrage senden',
+        group: 'Kontakt',
+        action: () => {
+          if (this.form.classList.contains('auth-modal__form--active')) this.form.requestSubmit();
+        }
+      });
+    } catch (e) {
+      console.warn('Contact shortcut not registered:', e.message);
+    }
+
+    window.dialogManager?.register(this.modal, {
+      panel: '.auth-modal__content',
+      labelledBy: 'contact-form-title',
+      onRequestClose: () => this.close(),
+      initialFocus: () => this.modal.querySelector('.auth-modal__form--active .auth-modal__input:not(select), .auth-modal__form--active .auth-modal__submit')
+    });
+
+    this.modal.querySelector('.auth-modal__overlay')?.addEventListener('click', () => this.close());
+    this.modal.querySelector('.auth-modal__close')?.addEventListener('click', () => this.close());
+    this.modal.querySelectorAll('[data-contact-close]').forEach(button => {
+      button.addEventListener('click', () => this.close());
+    });
+
+    document.getElementById('contact-topic')?.addEventListener('change', () => this.updateTopic());
+    document.getElementById('contact-message')?.addEventListener('input', () => this.updateCounter());
+    this.form?.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    this.setupValidator();
+
+    // Results of requests that were queued earlier (also from past visits)
+    document.addEventListener('outbox:sent', (e) => this.handleQueuedSent(e.detail));
+    document.addEventListener('outbox:failed', (e) => this.handleQueuedFailed(e.detail));
+  }
+
+  /**
+   * Inline validation rules
+   *
+   * @method setupValidator
+   * @returns {void}
+   */
+  setupValidator() {
+    const { required, email, minLength, checked, custom } = FormValidator.rules;
+
+    this.validator = new FormValidator(this.form, {
+      'contact-name': [required('Bitte geben Sie Ihren Namen ein')],
+      'contact-email': [required('Bitte geben Sie Ihre E-Mail-Adresse ein'), email()],
+      'contact-company': [required('Bitte geben Sie Ihr Unternehmen an')],
+      'contact-seats': [
+        required('Bitte geben Sie die ungefähre Zahl der Nutzer an'),
+        custom(value => (/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 100000
+          ? null
+          : 'Bitte geben Sie eine ganze Zahl zwischen 1 und 100.000 ein'))
+      ],
+      'contact-region': [required('Bitte wählen Sie eine Region')],
+      'contact-date': [custom(value => this.checkDate(value))],
+      'contact-message': [
+        required('Bitte beschreiben Sie kurz Ihr Anliegen'),
+        minLength(this.messageMinLength, `Bitte schreiben Sie mindestens ${this.messageMinLength} Zeichen`)
+      ],
+      'contact-privacy': [checked('Bitte stimmen Sie der Verarbeitung Ihrer Angaben zu')]
+    });
+  }
+
+  /**
+   * Open the dialog
+   *
+   * @method open
+   * @param {Object} [options={}]
+   * @param {string} [options.topic='general'] - 'sales' | 'demo' | 'general'
+   * @param {string} [options.plan] - Plan card the inquiry came from
+   * @param {Object} [options.restore] - Request body to fill the form with (failed delivery)
+   * @returns {void}
+   */
+  open({ topic = 'general', plan = null, restore = null } = {}) {
+    window.profilePopup?.close();
+    window.authModal?.close();
+
+    this.plan = restore?.plan || plan;
+    this.form.reset();
+    this.validator.reset();
+    this.setDateLimits();
+
+    if (restore) {
+      this.fill(restore);
+    } else {
+      document.getElementById('contact-topic').value = this.topics[topic] ? topic : 'general';
+      this.prefill();
+    }
+    this.updateTopic();
+    this.updateCounter();
+    this.showState('form');
+
+    this.openedAt = Date.now();
+    this.modal.classList.add('active');
+    window.dialogManager?.open(this.modal);
+  }
+
+  /**
+   * Close the dialog (not while sending)
+   *
+   * @method close
+   * @returns {void}
+   */
+  close() {
+    if (this.busy || !this.isOpen()) return;
+    this.modal.classList.remove('active');
+    window.dialogManager?.close(this.modal);
+  }
+
+  /**
+   * Whether the dialog is shown
+   *
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Show the form or one of the result panels
+   *
+   * @method showState
+   * @param {string} state - 'form' | 'sent' | 'queued'
+   * @returns {void}
+   */
+  showState(state) {
+    this.modal.querySelectorAll('[data-state]').forEach(panel => {
+      panel.classList.toggle('auth-modal__form--active', panel.dataset.state === state);
+    });
+    window.dialogManager?.setLabelledBy(this.modal, `contact-${state}-title`);
+    if (state !== 'form' && this.isOpen()) {
+      this.modal.querySelector('.auth-modal__form--active .auth-modal__submit')?.focus();
+    }
+  }
+
+  /**
+   * Prefill name and email from the signed-in account
+   *
+   * @method prefill
+   * @returns {void}
+   */
+  prefill() {
+    const user = window.authManager?.getUser();
+    if (!user) return;
+    document.getElementById('contact-name').value = user.name || '';
+    document.getElementById('contact-email').value = user.email || '';
+  }
+
+  /**
+   * Fill the form from a request body
+   *
+   * @method fill
+   * @param {Object} body - Result of collect()
+   * @returns {void}
+   */
+  fill(body) {
+    const values = {
+      'contact-topic': this.topics[body.topic] ? body.topic : 'general',
+      'contact-name': body.name,
+      'contact-email': body.email,
+      'contact-company': body.company,
+      'contact-seats': body.seats,
+      'contact-region': body.region,
+      'contact-date': body.preferredDate,
+      'contact-message': body.message
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value ?? '';
+    });
+  }
+
+  /**
+   * Seats, region and date only matter for talks and demos
+   *
+   * @method updateTopic
+   * @returns {void}
+   */
+  updateTopic() {
+    const general = document.getElementById('contact-topic')?.value === 'general';
+    if (!this.details) return;
+    // Disabled fields are skipped by the validator
+    this.details.disabled = general;
+    this.details.hidden = general;
+  }
+
+  /**
+   * Character counter of the message
+   *
+   * @method updateCounter
+   * @returns {void}
+   */
+  updateCounter() {
+    const message = document.getElementById('contact-message');
+    if (!message || !this.counter) return;
+    this.counter.textContent = `${message.value.length} / ${this.messageMaxLength}`;
+  }
+
+  /**
+   * Date as YYYY-MM-DD in local time
+   *
+   * @method toDateValue
+   * @param {Date} date
+   * @returns {string}
+   */
+  toDateValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Date picker range: from tomorrow up to six months ahead
+   *
+   * @method setDateLimits
+   * @returns {void}
+   */
+  setDateLimits() {
+    const input = document.getElementById('contact-date');
+    if (!input) return;
+    const min = new Date();
+    min.setDate(min.getDate() + 1);
+    const max = new Date();
+    max.setMonth(max.getMonth() + 6);
+    input.min = this.toDateValue(min);
+    input.max = this.toDateValue(max);
+  }
+
+  /**
+   * Check the preferred date (optional)
+   *
+   * @method checkDate
+   * @param {string} value - YYYY-MM-DD
+   * @returns {string|null} - Error message or null
+   */
+  checkDate(value) {
+    if (!value) return null;
+    const input = document.getElementById('contact-date');
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return 'Bitte wählen Sie ein gültiges Datum';
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (this.toDateValue(date) !== value) return 'Bitte wählen Sie ein gültiges Datum';
+    if (input?.min && value < input.min) return 'Bitte wählen Sie einen Termin ab morgen';
+    if (input?.max && value > input.max) return 'Bitte wählen Sie einen Termin innerhalb der nächsten sechs Monate';
+    if (date.getDay() === 0 || date.getDay() === 6) return 'Bitte wählen Sie einen Werktag (Montag bis Freitag)';
+    return null;
+  }
+
+  /**
+   * Request body from the form
+   *
+   * @method collect
+   * @returns {Object}
+   */
+  collect() {
+    const value = id => document.getElementById(id)?.value.trim() || '';
+    const topic = value('contact-topic') || 'general';
+    const withDetails = topic !== 'general';
+
+    return {
+      topic,
+      plan: this.plan,
+      name: value('contact-name'),
+      email: value('contact-email'),
+      company: value('contact-company'),
+      seats: withDetails ? Number(value('contact-seats')) : null,
+      region: withDetails ? value('contact-region') : null,
+      preferredDate: withDetails ? value('contact-date') || null : null,
+      message: value('contact-message'),
+      locale: document.documentElement.lang || navigator.language,
+      submittedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Validate, check for spam and send (or queue) the inquiry
+   *
+   * @method handleSubmit
+   * @param {Event} e
+   * @returns {Promise<void>}
+   */
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.busy || !this.validator.validate()) return;
+
+    // Bots fill every field: pretend success, send nothing
+    if (document.getElementById('contact-website')?.value) {
+      this.showState('sent');
+      return;
+    }
+    // Humans need a moment to fill the form
+    if (Date.now() - this.openedAt < this.minFillTime) {
+      this.validator.setFormError('Das ging schneller als erwartet. Bitte prüfen Sie Ihre Angaben und senden Sie die Anfrage erneut.');
+      this.openedAt = Date.now();
+      return;
+    }
+
+    const queue = window.requestQueue;
+    if (!this.endpoint || !queue) {
+      this.validator.setFormError('Das Kontaktformular ist derzeit nicht verfügbar. Bitte versuchen Sie es später erneut.');
+      return;
+    }
+
+    const request = { url: this.endpoint, body: this.collect(), id: queue.createId() };
+    this.setBusy(true);
+
+    try {
+      const result = await queue.send(request);
+
+      if (result.status === 'sent') {
+        this.form.reset();
+        this.showState('sent');
+      } else if (result.status === 'rejected') {
+        this.showRejected(result);
+      } else {
+        await queue.add(Object.assign({ kind: 'contact' }, request));
+        this.form.reset();
+        document.getElementById('contact-queued-text').textContent = navigator.onLine === false
+          ? 'Sie sind offline. Ihre Anfrage ist auf diesem Gerät gespeichert und wird automatisch gesendet, sobald wieder eine Verbindung besteht.'
+          : 'Unser Server ist gerade nicht erreichbar. Ihre Anfrage ist auf diesem Gerät gespeichert und wird automatisch erneut gesendet.';
+        this.showState('queued');
+      }
+    } catch (error) {
+      // Neither sent nor stored: keep the form so nothing is lost
+      console.error('Contact request could not be stored:', error);
+      this.validator.setFormError('Ihre Anfrage konnte nicht gesendet werden. Bitte versuchen Sie es später erneut.');
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * Show why the server did not accept the inquiry
+   *
+   * @method showRejected
+   * @param {Object} result - Result of requestQueue.send()
+   * @returns {void}
+   */
+  showRejected(result) {
+    const error = result.data?.error || {};
+    const fields = {
+      name: 'contact-name',
+      email: 'contact-email',
+      company: 'contact-company',
+      seats: 'contact-seats',
+      region: 'contact-region',
+      preferredDate: 'contact-date',
+      message: 'contact-message'
+    };
+    const fieldId = fields[error.details?.field];
+    const message = error.message || 'Ihre Anfrage wurde nicht angenommen. Bitte prüfen Sie Ihre Angaben.';
+
+    if (fieldId) {
+      this.validator.setFieldError(fieldId, message, { focus: true });
+    } else {
+      this.validator.setFormError(message);
+    }
+  }
+
+  /**
+   * Lock the form while sending
+   *
+   * @method setBusy
+   * @param {boolean} busy
+   * @returns {void}
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    this.form?.querySelectorAll('.auth-modal__submit').forEach(btn => { btn.disabled = busy; });
+    this.form?.setAttribute('aria-busy', String(busy));
+  }
+
+  /**
+   * A queued inquiry went out
+   *
+   * @method handleQueuedSent
+   * @param {Object} detail - { entry, result }
+   * @returns {void}
+   */
+  handleQueuedSent({ entry } = {}) {
+    if (entry?.kind !== 'contact') return;
+    window.notifications?.success('Ihre gespeicherte Anfrage wurde gesendet. Wir melden uns innerhalb eines Werktags.', {
+      duration: 6000
+    });
+  }
+
+  /**
+   * A queued inquiry was given up; offer to send it again
+   *
+   * @method handleQueuedFailed
+   * @param {Object} detail - { entry, result }
+   * @returns {void}
+   */
+  handleQueuedFailed({ entry } = {}) {
+    if (entry?.kind !== 'contact') return;
+    const date = new Date(entry.createdAt).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+    window.notifications?.error(`Ihre Anfrage vom ${date} konnte nicht gesendet werden.`, {
+      duration: 0,
+      action: { label: 'Anfrage öffnen', onClick: () => this.open({ restore: entry.body }) }
+    });
+  }
+}
+
+/**
+ * IIFE - Initialize the contact form after DOM is ready
+ * The instance is exposed as window.contactForm.
+ */
+(function initContactForm() {
+  const initFn = () => {
+    try {
+      window.contactForm = new ContactForm(window.KERNWERK_CONFIG?.contact);
+    } catch (e) {
+      console.error('Contact form initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Dialog Manager - Shared behaviour for modal dialogs
+ *
+ * Modal components (AuthModal, ProfilePopup) keep their own markup and
+ * open/close logic and hand everything that concerns the page as a whole
+ * to this manager, so several open dialogs do not fight over it.
+ *
+ * Features:
+ * - Stack of open dialogs; the most recently opened one is on top
+ *   (also visually, via z-index)
+ * - Escape closes only the top dialog
+ * - Focus trap (Tab / Shift+Tab cycle inside the top dialog)
+ * - Focus returns to the element that opened the dialog
+ * - `role="dialog"`, `aria-modal` and `aria-labelledby` on the dialog panel
+ * - Reference-counted scroll lock on <body>
+ * - Background content becomes `inert`; elements marked
+ *   `data-dialog-exempt` (toasts, live regions) stay usable
+ * - `dialog:open` / `dialog:close` events (bubbling) on the dialog element
+ *
+ * Usage:
+ *   dialogManager.register(element, {
+ *     panel: '.auth-modal__content',     // Gets role="dialog"
+ *     labelledBy: 'login-title',
+ *     onRequestClose: () => this.close() // Escape
+ *   });
+ *   dialogManager.open(element);          // After showing it
+ *   dialogManager.close(element);         // After hiding it
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * DialogManager Class - Stack, focus and scroll handling for dialogs
+ *
+ * @class DialogManager
+ */
+class DialogManager {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.baseZIndex=1000] - z-index of the lowest open dialog
+   */
+  constructor(options = {}) {
+    this.baseZIndex = options.baseZIndex ?? 1000;
+    this.dialogs = new Map();     // element → options
+    this.stack = [];              // [{ element, opener }], top = last
+    this.inerted = new Set();     // Elements made inert by the manager
+    this.scrollLocks = 0;
+    this.savedScrollStyle = null;
+
+    this.focusableSelector = [
+      'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+      'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable="true"]',
+      '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    document.addEventListener('focusin', (e) => this.handleFocusIn(e));
+  }
+
+  /**
+   * Make an element known as a dialog and label it
+   *
+   * @method register
+   * @param {HTMLElement} element - Dialog root (shown/hidden by its component)
+   * @param {Object} [options={}]
+   * @param {string|HTMLElement} [options.panel] - Part that gets the dialog role (default: element)
+   * @param {string} [options.labelledBy] - ID of the visible title
+   * @param {string} [options.label] - aria-label when there is no visible title
+   * @param {Function} [options.onRequestClose] - Called for Escape; should close the dialog
+   * @param {Function|string} [options.initialFocus] - Element, selector or function returning one
+   * @returns {void}
+   */
+  register(element, options = {}) {
+    if (!element) return;
+
+    const panel = typeof options.panel === 'string'
+      ? element.querySelector(options.panel)
+      : options.panel || element;
+    const entry = Object.assign({}, options, { panel: panel || element });
+
+    entry.panel.setAttribute('role', 'dialog');
+    entry.panel.setAttribute('aria-modal', 'true');
+    // Focus target of last resort; not part of the Tab order
+    if (!entry.panel.hasAttribute('tabindex')) entry.panel.setAttribute('tabindex', '-1');
+
+    this.dialogs.set(element, entry);
+    if (options.labelledBy) this.setLabelledBy(element, options.labelledBy);
+    else if (options.label) entry.panel.setAttribute('aria-label', options.label);
+  }
+
+  /**
+   * Point the dialog's accessible name to another title (e.g. after a tab switch)
+   *
+   * @method setLabelledBy
+   * @param {HTMLElement} element - Registered dialog
+   * @param {string} id - ID of the title element
+   * @returns {void}
+   */
+  setLabelledBy(element, id) {
+    const entry = this.dialogs.get(element);
+    if (!entry || !id) return;
+    entry.panel.setAttribute('aria-labelledby', id);
+    entry.panel.removeAttribute('aria-label');
+  }
+
+  /**
+   * Put a dialog on top of the stack
+   *
+   * Call after the dialog is visible, so focus can move into it.
+   * Opening a dialog that is already open only brings it to the top;
+   * otherwise `dialog:open` is dispatched.
+   *
+   * @method open
+   * @param {HTMLElement} element - Registered dialog
+   * @param {Object} [options={}]
+   * @param {HTMLElement} [options.opener] - Where focus returns (default: current focus)
+   * @returns {void}
+   */
+  open(element, options = {}) {
+    const entry = this.dialogs.get(element);
+    if (!entry) {
+      console.warn('DialogManager: dialog not registered', element);
+      return;
+    }
+
+    const index = this.stack.findIndex(item => item.element === element);
+    let opener = options.opener || document.activeElement;
+    if (index !== -1) {
+      opener = this.stack[index].opener;
+      this.stack.splice(index, 1);
+    } else {
+      this.lockScroll();
+    }
+    // Focus inside another dialog stays the opener; focus inside this one does not
+    if (opener && element.contains(opener)) opener = null;
+
+    this.stack.push({ element, opener });
+    this.updateStack();
+    this.focusInitial(entry);
+    if (index === -1) element.dispatchEvent(new CustomEvent('dialog:open', { bubbles: true }));
+  }
+
+  /**
+   * Remove a dialog from the stack
+   *
+   * Call when the dialog is hidden. If it was on top, focus returns to
+   * its opener (or into the dialog below). Dispatches `dialog:close`.
+   *
+   * @method close
+   * @param {HTMLElement} element - Registered dialog
+   * @returns {void}
+   */
+  close(element) {
+    const index = this.stack.findIndex(item => item.element === element);
+    if (index === -1) return;
+
+    const [{ opener }] = this.stack.splice(index, 1);
+    const wasTop = index === this.stack.length;
+    element.style.zIndex = '';
+
+    this.unlockScroll();
+    this.updateStack();
+    element.dispatchEvent(new CustomEvent('dialog:close', { bubbles: true }));
+
+    if (!wasTop) return;
+    const top = this.top();
+    if (opener?.isConnected && (!top || top.contains(opener)) && this.isVisible(opener)) {
+      opener.focus();
+    } else if (top) {
+      this.focusInitial(this.dialogs.get(top));
+    }
+  }
+
+  /**
+   * Topmost open dialog
+   *
+   * @method top
+   * @returns {HTMLElement|null}
+   */
+  top() {
+    return this.stack.length ? this.stack[this.stack.length - 1].element : null;
+  }
+
+  /**
+   * Whether a dialog (or any dialog) is open
+   *
+   * @method isOpen
+   * @param {HTMLElement} [element]
+   * @returns {boolean}
+   */
+  isOpen(element) {
+    return element
+      ? this.stack.some(item => item.element === element)
+      : this.stack.length > 0;
+  }
+
+  /**
+   * Lock page scrolling; every call needs a matching unlockScroll()
+   *
+   * @method lockScroll
+   * @returns {void}
+   */
+  lockScroll() {
+    if (this.scrollLocks++ > 0 || !document.body) return;
+
+    const body = document.body;
+    this.savedScrollStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+
+    // Keep the layout from jumping when the scrollbar disappears
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+    if (scrollbar > 0) {
+      const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+      body.style.paddingRight = `${padding + scrollbar}px`;
+    }
+    body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Release one scroll lock; the last one restores the previous styles
+   *
+   * @method unlockScroll
+   * @returns {void}
+   */
+  unlockScroll() {
+    if (this.scrollLocks === 0) return;
+    if (--this.scrollLocks > 0 || !document.body) return;
+
+    const saved = this.savedScrollStyle || { overflow: '', paddingRight: '' };
+    document.body.style.overflow = saved.overflow;
+    document.body.style.paddingRight = saved.paddingRight;
+    this.savedScrollStyle = null;
+  }
+
+  /**
+   * Apply stacking order and background inertness for the current stack
+   *
+   * @method updateStack
+   * @returns {void}
+   */
+  updateStack() {
+    this.stack.forEach((item, i) => {
+      item.element.style.zIndex = String(this.baseZIndex + i * 10);
+    });
+
+    const top = this.top();
+    const keep = new Set();
+    if (top && document.body) {
+      Array.from(document.body.children).forEach(child => {
+        if (child.contains(top) || child.hasAttribute('data-dialog-exempt')) return;
+        if (child.tagName === 'SCRIPT' || child.tagName === 'TEMPLATE') return;
+        // Leave elements alone that were inert for other reasons
+        if (child.hasAttribute('inert') && !this.inerted.has(child)) return;
+        child.setAttribute('inert', '');
+        this.inerted.add(child);
+        keep.add(child);
+      });
+    }
+
+    this.inerted.forEach(child => {
+      if (keep.has(child)) return;
+      child.removeAttribute('inert');
+      this.inerted.delete(child);
+    });
+  }
+
+  /**
+   * Move focus into a dialog
+   *
+   * Order: options.initialFocus, an [autofocus] element, the panel itself.
+   *
+   * @method focusInitial
+   * @param {Object} entry - Registered dialog options
+   * @returns {void}
+   */
+  focusInitial(entry) {
+    if (!entry) return;
+
+    let target = typeof entry.initialFocus === 'function' ? entry.initialFocus() : entry.initialFocus;
+    if (typeof target === 'string') target = entry.panel.querySelector(target);
+    if (!target || !this.isVisible(target)) {
+      target = this.getFocusable(entry.panel).find(el => el.hasAttribute('autofocus')) || entry.panel;
+    }
+    target.focus();
+  }
+
+  /**
+   * Visible, enabled focusable elements of a container in DOM order
+   *
+   * @method getFocusable
+   * @param {HTMLElement} container
+   * @returns {HTMLElement[]}
+   */
+  getFocusable(container) {
+    return Array.from(container.querySelectorAll(this.focusableSelector))
+      .filter(el => !el.closest('[inert]') && this.isVisible(el));
+  }
+
+  /**
+   * Whether an element is rendered (not display:none, not [hidden])
+   *
+   * @method isVisible
+   * @param {HTMLElement} el
+   * @returns {boolean}
+   */
+  isVisible(el) {
+    if (!el || el.closest('[hidden]')) return false;
+    return Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  }
+
+  /**
+   * Escape and focus trap for the top dialog
+   * Keys during IME composition belong to the input method (Escape
+   * cancels the composition there), so they are left alone.
+   *
+   * @method handleKeydown
+   * @param {KeyboardEvent} e
+   * @returns {void}
+   */
+  handleKeydown(e) {
+    const top = this.top();
+    if (!top || e.defaultPrevented) return;
+    if (e.isComposing || e.keyCode === 229) return;
+    const entry = this.dialogs.get(top);
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (entry.onRequestClose) entry.onRequestClose();
+      else this.close(top);
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusable(entry.panel);
+    if (!focusable.length) {
+      e.preventDefault();
+      entry.panel.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const outside = !entry.panel.contains(active) || active === entry.panel;
+
+    if (e.shiftKey && (active === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Pull focus back when it lands outside the top dialog
+   * (browsers without `inert`, or programmatic focus())
+   *
+   * @method handleFocusIn
+   * @param {FocusEvent} e
+   * @returns {void}
+   */
+  handleFocusIn(e) {
+    const top = this.top();
+    if (!top || top.contains(e.target)) return;
+    if (e.target instanceof Element && e.target.closest('[data-dialog-exempt]')) return;
+    this.focusInitial(this.dialogs.get(top));
+  }
+}
+
+// Created right away: dialog components register during their own init
+window.dialogManager = new DialogManager();
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Form Validation - Inline, accessible field errors
+ *
+ * Declarative per-field validation for any form on the site. Errors render
+ * next to the inputs instead of as toasts, so users always see which field
+ * needs attention.
+ *
+ * Features:
+ * - Rules per field id, evaluated in order (first failing rule wins)
+ * - Built-in rules: required, email, minLength, matches, checked, custom
+ * - Error text linked via aria-describedby, field marked aria-invalid
+ * - Focus moves to the first invalid field on submit
+ * - Errors clear as soon as the user edits the field
+ * - Server-side errors can be attached to a field or to the whole form
+ * - Disabled fields (e.g. inside a disabled fieldset) are skipped
+ *
+ * Usage:
+ *   const validator = new FormValidator(form, {
+ *     'login-email': [FormValidator.rules.required(), FormValidator.rules.email()],
+ *     'login-password': [FormValidator.rules.required()]
+ *   });
+ *   if (!validator.validate()) return;
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * FormValidator Class - Validates a form and renders inline errors
+ *
+ * @class FormValidator
+ */
+class FormValidator {
+  /**
+   * @constructor
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {Object<string, Function[]>} fields - Rules per input id
+   * @param {Object} [options={}]
+   * @param {string} [options.containerSelector] - Closest wrapper that receives the error text
+   */
+  constructor(form, fields = {}, options = {}) {
+    this.form = form;
+    this.fields = fields;
+    this.containerSelector = options.containerSelector || '.auth-modal__field, .auth-modal__checkbox, .form-field';
+    this.formError = null;
+    if (!this.form) return;
+
+    // Inline validation replaces the native browser bubbles
+    this.form.noValidate = true;
+
+    Object.keys(this.fields).forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      const eventName = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+      input.addEventListener(eventName, () => {
+        this.clearFieldError(id);
+        this.clearFormError();
+      });
+    });
+  }
+
+  /**
+   * getValue() - Current value of a field (boolean for checkboxes)
+   * @param {HTMLElement} input
+   * @returns {string|boolean}
+   */
+  getValue(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'password') return input.value;
+    return input.value.trim();
+  }
+
+  /**
+   * validateField() - Runs the rules of one field and renders the result
+   * @param {string} id - Input id
+   * @returns {string|null} - Error message or null if valid
+   */
+  validateField(id) {
+    const input = document.getElementById(id);
+    if (!input || input.disabled) return null;
+
+    const value = this.getValue(input);
+    for (const rule of this.fields[id] || []) {
+      const message = rule(value, input, this);
+      if (message) {
+        this.setFieldError(id, message);
+        return message;
+      }
+    }
+
+    this.clearFieldError(id);
+    return null;
+  }
+
+  /**
+   * validate() - Validates all fields and focuses the first invalid one
+   * @returns {boolean} - True if every field is valid
+   */
+  validate() {
+    this.clearFormError();
+
+    let firstInvalid = null;
+    Object.keys(this.fields).forEach(id => {
+      if (this.validateField(id) && !firstInvalid) {
+        firstInvalid = document.getElementById(id);
+      }
+    });
+
+    firstInvalid?.focus();
+    return !firstInvalid;
+  }
+
+  /**
+   * setFieldError() - Shows an error next to a field
+   * @param {string} id - Input id
+   * @param {string} message - Error text
+   * @param {Object} [options={}]
+   * @param {boolean} [options.focus=false] - Move focus to the field
+   */
+  setFieldError(id, message, options = {}) {
+    const input = document.getElementById(id);
+    if (!input) return;
+
+    const errorId = `${id}-error`;
+    let errorEl = document.getElementById(errorId);
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.id = errorId;
+      errorEl.className = 'form-error';
+      const container = input.closest(this.containerSelector);
+      if (container) {
+        container.appendChild(errorEl);
+      } else {
+        input.insertAdjacentElement('afterend', errorEl);
+      }
+    }
+
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+    input.setAttribute('aria-invalid', 'true');
+
+    // Error first, so screen readers announce it before other descriptions
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(errorId)) describedBy.unshift(errorId);
+    input.setAttribute('aria-describedby', describedBy.join(' '));
+
+    if (options.focus) input.focus();
+  }
+
+  /**
+   * clearFieldError() - Removes the error of a field
+   * @param {string} id - Input id
+   */
+  clearFieldError(id) {
+    const input = document.getElementById(id);
+    const errorId = `${id}-error`;
+    const errorEl = document.getElementById(errorId);
+
+    if (errorEl) {
+      errorEl.textContent = '';
+      errorEl.hidden = true;
+    }
+    if (!input) return;
+
+    input.removeAttribute('aria-invalid');
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(token => token && token !== errorId);
+    if (describedBy.length) {
+      input.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+      input.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * setFormError() - Shows an error that belongs to no single field
+   * Rendered at the top of the form and announced immediately.
+   * @param {string} message - Error text
+   */
+  setFormError(message) {
+    if (!this.form) return;
+    if (!this.formError) {
+      this.formError = document.createElement('p');
+      this.formError.className = 'form-error form-error--form';
+      this.formError.setAttribute('role', 'alert');
+      const title = this.form.querySelector('h2, h3');
+      if (title) {
+        title.insertAdjacentElement('afterend', this.formError);
+      } else {
+        this.form.prepend(this.formError);
+      }
+    }
+    this.formError.textContent = message;
+    this.formError.hidden = false;
+  }
+
+  /**
+   * clearFormError() - Removes the form-level error
+   */
+  clearFormError() {
+    if (!this.formError) return;
+    this.formError.textContent = '';
+    this.formError.hidden = true;
+  }
+
+  /**
+   * reset() - Clears all field and form errors
+   */
+  reset() {
+    Object.keys(this.fields).forEach(id => this.clearFieldError(id));
+    this.clearFormError();
+  }
+
+  /**
+   * isValidEmail() - Checks the email format (anything@anything.anything)
+   * @param {string} email
+   * @returns {boolean}
+   */
+  static isValidEmail(email) {
+    if (!email || typeof email !== 'string') return false;
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+}
+
+/**
+ * Built-in rule factories. Each returns `(value, input, validator) => message|null`.
+ * @type {Object<string, Function>}
+ */
+FormValidator.rules = {
+  required: (message = 'Bitte füllen Sie dieses Feld aus') =>
+    (value) => (value === '' || value === false ? message : null),
+
+  email: (message = 'Bitte geben Sie eine gültige E-Mail ein') =>
+    (value) => (value && !FormValidator.isValidEmail(value) ? message : null),
+
+  minLength: (length, message = `Bitte mindestens ${length} Zeichen eingeben`) =>
+    (value) => (value && value.length < length ? message : null),
+
+  matches: (otherId, message = 'Die Eingaben stimmen nicht überein') =>
+    (value) => {
+      const other = document.getElementById(otherId);
+      return value && other && value !== other.value ? message : null;
+    },
+
+  checked: (message = 'Bitte bestätigen Sie dieses Feld') =>
+    (value) => (value ? null : message),
+
+  custom: (fn) => fn
+};
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Hotkey Help - Cheat sheet of all keyboard shortcuts
+ *
+ * Opens with `?`, the footer link "Tastenkürzel" or the command palette
+ * and lists the bindings of the hotkey registry (hotkeys.js), so new
+ * shortcuts show up without touching this file.
+ *
+ * Features:
+ * - Generated from `window.hotkeys` each time it opens
+ * - Grouped by scope: the whole page first, then one group per dialog
+ * - Only shortcuts that work right now (e.g. LOGIN is hidden while
+ *   logged in, see `HotkeyRegistry.isAvailable()`)
+ * - Search over label, keys and group
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * HotkeyHelp Class - Searchable shortcut overlay
+ *
+ * @class HotkeyHelp
+ */
+class HotkeyHelp {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.modal = document.getElementById('hotkey-help');
+    if (!this.modal) {
+      console.warn('Hotkey help element not found');
+      return;
+    }
+
+    this.search = document.getElementById('hotkey-help-search');
+    this.list = document.getElementById('hotkey-help-list');
+    this.empty = document.getElementById('hotkey-help-empty');
+
+    this.init();
+  }
+
+  /**
+   * Wire up the trigger hotkey, links, dialog and search
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    try {
+      window.hotkeys?.register({
+        id: 'help.open',
+        keys: '?',
+        description: 'Tastenkürzel anzeigen',
+        group: 'Hilfe',
+        action: () => this.open()
+      });
+    } catch (e) {
+      console.warn('Hotkey help shortcut not registered:', e.message);
+    }
+
+    try {
+      window.commandPalette?.register({
+        id: 'help.open',
+        title: 'Tastenkürzel anzeigen',
+        group: 'Hilfe',
+        keywords: ['hotkeys', 'shortcuts', 'tastatur'],
+        hotkey: 'help.open',
+        run: () => this.open()
+      });
+    } catch (e) {
+      console.warn('Hotkey help command not registered:', e.message);
+    }
+
+    document.addEventListener('click', (e) => {
+      const trigger = e.target instanceof Element ? e.target.closest('[data-hotkey-help]') : null;
+      if (!trigger) return;
+      e.preventDefault();
+      this.open();
+    });
+
+    window.dialogManager?.register(this.modal, {
+      panel: '.auth-modal__content',
+      labelledBy: 'hotkey-help-title',
+      onRequestClose: () => this.close(),
+      initialFocus: () => this.search
+    });
+
+    this.modal.querySelector('.auth-modal__overlay')?.addEventListener('click', () => this.close());
+    this.modal.querySelector('.auth-modal__close')?.addEventListener('click', () => this.close());
+    this.search?.addEventListener('input', () => this.render());
+
+    // Login state decides which shortcuts are usable; keys may be rebound
+    ['auth:change', 'hotkeys:change'].forEach(type => {
+      document.addEventListener(type, () => {
+        if (this.isOpen()) this.render();
+      });
+    });
+  }
+
+  /**
+   * Open the overlay with an empty search
+   *
+   * @method open
+   * @returns {void}
+   */
+  open() {
+    if (this.isOpen()) return;
+    if (this.search) this.search.value = '';
+    this.render();
+
+    this.modal.classList.add('active');
+    window.dialogManager?.open(this.modal);
+  }
+
+  /**
+   * Close the overlay
+   *
+   * @method close
+   * @returns {void}
+   */
+  close() {
+    if (!this.isOpen()) return;
+    this.modal.classList.remove('active');
+    window.dialogManager?.close(this.modal);
+  }
+
+  /**
+   * Whether the overlay is shown
+   *
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Usable bindings grouped by scope, global first
+   *
+   * @method getGroups
+   * @returns {Array<{scope: string, label: string, entries: Object[]}>}
+   */
+  getGroups() {
+    const registry = window.hotkeys;
+    if (!registry) return [];
+
+    const groups = new Map([['global', []]]);
+    registry.getAll()
+      .filter(binding => binding.scope !== this.modal.id && registry.isAvailable(binding))
+      .forEach(binding => {
+        if (!groups.has(binding.scope)) groups.set(binding.scope, []);
+        groups.get(binding.scope).push({
+          binding,
+          keys: registry.describe(binding.keys)
+        });
+      });
+
+    return Array.from(groups, ([scope, entries]) => ({ scope, label: this.getScopeLabel(scope), entries }))
+      .filter(group => group.entries.length);
+  }
+
+  /**
+   * Heading for a scope: "Überall" or the title of the dialog
+   *
+   * @method getScopeLabel
+   * @param {string} scope
+   * @returns {string}
+   */
+  getScopeLabel(scope) {
+    if (scope === 'global') return 'Überall auf der Seite';
+
+    const panel = document.getElementById(scope)?.querySelector('[role="dialog"]');
+    const title = document.getElementById(panel?.getAttribute('aria-labelledby') || '')?.textContent
+      || panel?.getAttribute('aria-label')
+      || scope;
+    return `Im Dialog „${title.trim()}“`;
+  }
+
+  /**
+   * Whether an entry matches every word of the search
+   *
+   * @method matches
+   * @param {Object} entry - { binding, keys }
+   * @param {string} scopeLabel
+   * @param {string[]} words - Lowercase search words
+   * @returns {boolean}
+   */
+  matches(entry, scopeLabel, words) {
+    const { binding, keys } = entry;
+    const text = [binding.description, binding.group, scopeLabel, binding.keys, ...keys]
+      .filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  }
+
+  /**
+   * Render the groups that match the search
+   *
+   * @method render
+   * @returns {void}
+   */
+  render() {
+    if (!this.list) return;
+
+    const words = (this.search?.value || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const sections = this.getGroups()
+      .map(group => ({ ...group, entries: group.entries.filter(entry => this.matches(entry, group.label, words)) }))
+      .filter(group => group.entries.length)
+      .map(group => this.renderGroup(group));
+
+    this.list.replaceChildren(...sections);
+    if (this.empty) this.empty.hidden = sections.length > 0;
+  }
+
+  /**
+   * One scope section with its shortcuts
+   *
+   * @method renderGroup
+   * @param {Object} group - { scope, label, entries }
+   * @returns {HTMLElement}
+   */
+  renderGroup(group) {
+    const section = this.createElement('section', 'hotkey-help__group');
+    const headingId = `hotkey-help-scope-${group.scope}`;
+    const heading = this.createElement('h3', 'hotkey-help__scope', group.label);
+    heading.id = headingId;
+    section.setAttribute('aria-labelledby', headingId);
+
+    const list = this.createElement('ul', 'hotkey-help__items');
+    group.entries.forEach(({ binding, keys }) => {
+      const item = this.createElement('li', 'hotkey-help__item');
+      item.append(this.createElement('span', 'hotkey-help__label', binding.description));
+
+      const combo = this.createElement('span', 'hotkey-help__keys');
+      keys.forEach((label, i) => {
+        if (i > 0) combo.append(this.createElement('span', 'hotkey-help__then', 'dann'));
+        combo.append(this.createElement('kbd', 'hotkey-help__key', label));
+      });
+      item.append(combo);
+      list.append(item);
+    });
+
+    section.append(heading, list);
+    return section;
+  }
+
+  /**
+   * Create an element with class and text
+   *
+   * @method createElement
+   * @param {string} tag
+   * @param {string} className
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+/**
+ * IIFE - Initialize the hotkey help after DOM is ready
+ * The instance is exposed as window.hotkeyHelp.
+ */
+(function initHotkeyHelp() {
+  const initFn = () => {
+    try {
+      window.hotkeyHelp = new HotkeyHelp();
+    } catch (e) {
+      console.error('Hotkey help initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview Hotkey Settings - Let users choose their own shortcuts
+ *
+ * Dialog that lists every binding of the hotkey registry (hotkeys.js).
+ * "Ändern" waits for the next key press and binds it; the registry checks
+ * it against other bindings and reserved browser shortcuts and stores it
+ * for the current user.
+ *
+ * Features:
+ * - All bindings grouped like the cheat sheet, also those not usable right
+ *   now (LOGOUT while logged out), so both login states can be set up
+ * - Capture: next key (with modifiers) becomes the binding; Escape cancels,
+ *   Tab leaves the button as usual
+ * - Inline message when the key is taken or reserved, or is a plain key
+ *   for a binding that also works while typing (`allowInInputs`)
+ * - Reset per binding and for all bindings
+ * - Opens from the cheat sheet and the command palette
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * HotkeySettings Class - Rebinding dialog
+ *
+ * @class HotkeySettings
+ */
+class HotkeySettings {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.modal = document.getElementById('hotkey-settings');
+    if (!this.modal) {
+      console.warn('Hotkey settings element not found');
+      return;
+    }
+
+    this.list = document.getElementById('hotkey-settings-list');
+    this.owner = document.getElementById('hotkey-settings-owner');
+    this.status = document.getElementById('hotkey-settings-status');
+
+    // Id of the binding that waits for a key press
+    this.capturing = null;
+    // Message per binding id, shown below its row
+    this.errors = new Map();
+
+    this.messages = {
+      invalid: () => 'Diese Taste kann nicht verwendet werden.',
+      reserved: label => `„${label}“ ist im Browser belegt. Bitte wählen Sie eine andere Taste.`,
+      typing: label => `„${label}“ würde beim Tippen auslösen. Bitte kombinieren Sie die Taste mit ${window.hotkeys?.isMac ? '⌃ oder ⌘' : 'Strg oder Alt'}.`,
+      conflict: (label, other) => `„${label}“ ist schon für „${other}“ vergeben.`
+    };
+
+    this.init();
+  }
+
+  /**
+   * Wire up triggers, dialog, list and registry events
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    try {
+      window.commandPalette?.register({
+        id: 'hotkeys.settings',
+        title: 'Tastenkürzel anpassen',
+        group: 'Hilfe',
+        keywords: ['hotkeys', 'tastatur', 'belegung', 'layout'],
+        run: () => this.open()
+      });
+    } catch (e) {
+      console.warn('Hotkey settings command not registered:', e.message);
+    }
+
+    document.addEventListener('click', (e) => {
+      const trigger = e.target instanceof Element ? e.target.closest('[data-hotkey-settings]') : null;
+      if (!trigger) return;
+      e.preventDefault();
+      this.open();
+    });
+
+    window.dialogManager?.register(this.modal, {
+      panel: '.auth-modal__content',
+      labelledBy: 'hotkey-settings-title',
+      onRequestClose: () => this.close()
+    });
+
+    this.modal.querySelector('.auth-modal__overlay')?.addEventListener('click', () => this.close());
+    this.modal.querySelector('.auth-modal__close')?.addEventListener('click', () => this.close());
+    document.getElementById('hotkey-settings-reset')?.addEventListener('click', () => this.resetAll());
+
+    this.list?.addEventListener('click', (e) => this.handleClick(e));
+    // Before the registry and the dialog manager (both listen on document)
+    this.list?.addEventListener('keydown', (e) => this.handleCapture(e));
+    this.list?.addEventListener('focusout', (e) => {
+      if (this.capturing && !e.relatedTarget?.closest?.('[data-binding]')) this.setCapturing(null);
+    });
+
+    document.addEventListener('hotkeys:change', () => {
+      if (this.isOpen()) this.render();
+    });
+  }
+
+  /**
+   * Open the dialog
+   *
+   * @method open
+   * @returns {void}
+   */
+  open() {
+    if (this.isOpen()) return;
+    this.capturing = null;
+    this.errors.clear();
+    if (this.status) this.status.textContent = '';
+    this.render();
+
+    this.modal.classList.add('active');
+    window.dialogManager?.open(this.modal);
+  }
+
+  /**
+   * Close the dialog
+   *
+   * @method close
+   * @returns {void}
+   */
+  close() {
+    if (!this.isOpen()) return;
+    this.capturing = null;
+    this.modal.classList.remove('active');
+    window.dialogManager?.close(this.modal);
+  }
+
+  /**
+   * Whether the dialog is shown
+   *
+   * @method isOpen
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.modal?.classList.contains('active'));
+  }
+
+  /**
+   * Render owner line and binding list
+   *
+   * @method render
+   * @returns {void}
+   */
+  render() {
+    const registry = window.hotkeys;
+    if (!registry || !this.list) return;
+
+    const email = window.authManager?.getUser()?.email;
+    if (this.owner) {
+      this.owner.textContent = email
+        ? `Gilt für ${email} auf diesem Gerät.`
+        : 'Gilt auf diesem Gerät, solange Sie nicht angemeldet sind. Angemeldet gelten Ihre eigenen Kürzel.';
+    }
+
+    const groups = new Map();
+    registry.getAll().forEach(binding => {
+      const group = binding.group || 'Weitere';
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(binding);
+    });
+
+    const sections = Array.from(groups, ([group, bindings]) => {
+      const section = this.createElement('section', 'hotkey-settings__group');
+      section.append(this.createElement('h3', 'hotkey-help__scope', group));
+      const list = this.createElement('ul', 'hotkey-help__items');
+      bindings.forEach(binding => list.append(this.renderRow(binding)));
+      section.append(list);
+      return section;
+    });
+    this.list.replaceChildren(...sections);
+  }
+
+  /**
+   * One binding with keys, buttons and message
+   *
+   * @method renderRow
+   * @param {Object} binding
+   * @returns {HTMLElement}
+   */
+  renderRow(binding) {
+    const registry = window.hotkeys;
+    const item = this.createElement('li', 'hotkey-help__item hotkey-settings__item');
+    item.dataset.binding = binding.id;
+
+    const labelId = `hotkey-settings-label-${binding.id.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+    const label = this.createElement('span', 'hotkey-help__label', binding.description);
+    label.id = labelId;
+
+    const keys = this.createElement('span', 'hotkey-help__keys');
+    registry.describe(binding.keys).forEach((text, i) => {
+      if (i > 0) keys.append(this.createElement('span', 'hotkey-help__then', 'dann'));
+      keys.append(this.createElement('kbd', 'hotkey-help__key', text));
+    });
+
+    const capturing = this.capturing === binding.id;
+    const change = this.createElement('button', 'hotkey-settings__button', capturing ? 'Taste drücken …' : 'Ändern');
+    change.type = 'button';
+    change.dataset.action = 'change';
+    change.setAttribute('aria-pressed', String(capturing));
+    change.setAttribute('aria-describedby', labelId);
+
+    const actions = this.createElement('span', 'hotkey-settings__actions');
+    actions.append(change);
+    if (registry.isCustom(binding)) {
+      const reset = this.createElement('button', 'hotkey-settings__button hotkey-settings__button--reset', 'Standard');
+      reset.type = 'button';
+      reset.dataset.action = 'reset';
+      reset.title = `Zurück auf ${registry.describe(binding.defaultKeys).join(' dann ')}`;
+      reset.setAttribute('aria-describedby', labelId);
+      actions.append(reset);
+    }
+
+    item.append(label, keys, actions);
+
+    const error = this.errors.get(binding.id);
+    if (error) {
+      const message = this.createElement('p', 'form-error hotkey-settings__error', error);
+      message.setAttribute('role', 'alert');
+      item.append(message);
+    }
+    return item;
+  }
+
+  /**
+   * "Ändern" and "Standard" buttons
+   *
+   * @method handleClick
+   * @param {MouseEvent} e
+   * @returns {void}
+   */
+  handleClick(e) {
+    const button = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+    const id = button?.closest('[data-binding]')?.dataset.binding;
+    if (!id) return;
+
+    if (button.dataset.action === 'reset') {
+      this.errors.delete(id);
+      this.capturing = null;
+      this.reset(id);
+      return;
+    }
+
+    if (this.errors.delete(id)) {
+      this.render();
+      this.focusRow(id);
+    }
+    this.setCapturing(this.capturing === id ? null : id);
+  }
+
+  /**
+   * Start or stop waiting for a key press (buttons are updated in place,
+   * so focus stays where it is)
+   *
+   * @method setCapturing
+   * @param {string|null} id
+   * @returns {void}
+   */
+  setCapturing(id) {
+    this.capturing = id;
+    this.list?.querySelectorAll('[data-action="change"]').forEach(button => {
+      const active = button.closest('[data-binding]').dataset.binding === id;
+      button.textContent = active ? 'Taste drücken …' : 'Ändern';
+      button.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * Take the next key press as new binding
+   *
+   * @method handleCapture
+   * @param {KeyboardEvent} e
+   * @returns {void}
+   */
+  handleCapture(e) {
+    if (!this.capturing || e.isComposing) return;
+    const id = this.capturing;
+
+    // Tab keeps working for keyboard navigation
+    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      this.setCapturing(null);
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      this.setCapturing(null);
+      return;
+    }
+
+    const registry = window.hotkeys;
+    const chord = registry.eventToChord(e);
+    // Lone modifier: wait for the actual key
+    if (!chord) return;
+
+    const label = registry.describe(chord).join(' ');
+    const problem = registry.validate(id, chord);
+    this.capturing = null;
+
+    if (problem) {
+      const other = problem.conflicts?.[0]?.description || '';
+      this.errors.set(id, (this.messages[problem.code] || this.messages.invalid)(label, other));
+      this.render();
+      this.focusRow(id);
+      return;
+    }
+
+    registry.rebind(id, chord);
+    this.announce(`${registry.get(id).description}: jetzt ${label}`);
+    this.focusRow(id);
+  }
+
+  /**
+   * Restore the default keys of one binding
+   *
+   * @method reset
+   * @param {string} id
+   * @returns {void}
+   */
+  reset(id) {
+    const registry = window.hotkeys;
+    const binding = registry.get(id);
+    try {
+      registry.reset(id);
+      this.announce(`${binding.description}: wieder ${registry.describe(binding.keys).join(' ')}`);
+    } catch (e) {
+      const other = e.conflicts?.[0]?.description || '';
+      const label = registry.describe(binding.defaultKeys).join(' ');
+      this.errors.set(id, `${this.messages.conflict(label, other)} Ändern Sie zuerst dieses Kürzel.`);
+      this.render();
+    }
+    this.focusRow(id);
+  }
+
+  /**
+   * Restore all default keys
+   *
+   * @method resetAll
+   * @returns {void}
+   */
+  resetAll() {
+    this.capturing = null;
+    this.errors.clear();
+    window.hotkeys?.resetAll();
+    this.render();
+    this.announce('Alle Tastenkürzel sind zurückgesetzt.');
+  }
+
+  /**
+   * Move focus to the change button of a row
+   *
+   * @method focusRow
+   * @param {string} id
+   * @returns {void}
+   */
+  focusRow(id) {
+    const row = Array.from(this.list?.querySelectorAll('[data-binding]') || [])
+      .find(item => item.dataset.binding === id);
+    row?.querySelector('[data-action="change"]')?.focus();
+  }
+
+  /**
+   * Tell screen reader users what changed
+   *
+   * @method announce
+   * @param {string} message
+   * @returns {void}
+   */
+  announce(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
+  /**
+   * Create an element with class and text
+   *
+   * @method createElement
+   * @param {string} tag
+   * @param {string} className
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+/**
+ * IIFE - Initialize the hotkey settings after DOM is ready
+ * The instance is exposed as window.hotkeySettings.
+ */
+(function initHotkeySettings() {
+  const initFn = () => {
+    try {
+      window.hotkeySettings = new HotkeySettings();
+    } catch (e) {
+      console.error('Hotkey settings initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
@@ -1,78 +1,871 @@
 /**
- * @fileoverview Hotkey Navigation System
- * 
- * Enables keyboard shortcuts for quick navigation throughout the application.
- * Maps keyboard keys to navigation links for improved accessibility and user experience.
- * 
+ * @fileoverview Hotkey Registry - Keyboard shortcuts for the whole page
+ *
+ * One keydown listener dispatches to registered bindings. Links with a
+ * `data-hotkey` attribute are registered automatically; other modules add
+ * their own bindings with `hotkeys.register()`.
+ *
  * Features:
- * - Keyboard event listening for hotkey activation
- * - Support for navigation links with data-hotkey attributes
- * - Excludes text input fields from hotkey processing
- * - CSS.escape() for safe CSS selector generation
- * - Error handling for malformed or missing elements
- * 
+ * - Modifier combos (`mod+k`; `mod` = ⌘ on macOS, Ctrl elsewhere)
+ * - Two-key sequences (`g p`), the second key within `sequenceTimeout`
+ * - Scopes: `global` is active while no dialog is open, any other scope
+ *   is the id of a dialog and active while that dialog is on top
+ *   (see dialog-manager.js)
+ * - Conditions: `when: 'loggedIn'` / `'!loggedIn'` limit a binding to a
+ *   state; a binding whose element is hidden is skipped as well
+ * - Conflicts (same keys, or one sequence starting with the other, in the
+ *   same scope) are reported at registration time with a
+ *   HotkeyConflictError; bindings with opposite conditions do not conflict
+ * - Off while typing: text fields, selects, contenteditable regions and
+ *   IME composition; bindings opt in with `allowInInputs` (e.g. 'mod+enter')
+ * - Ctrl/Alt/⌘ are part of the match: `l` does not fire on Ctrl+L; AltGr
+ *   characters (@, €) count as plain keys
+ * - User bindings: `rebind()` stores new keys per user (logged-in email,
+ *   otherwise this device) in localStorage (`kernwerk_hotkeys`); they are
+ *   applied at startup and after every login/logout. Browser shortcuts
+ *   (Ctrl+W, Ctrl+T, ...) cannot be taken.
+ *
+ * Markup bindings:
+ *   <a href="/login" data-hotkey="l" data-hotkey-when="!loggedIn">LOGIN</a>
+ *   Optional: `data-hotkey-id` (default: `link:<href>`), `data-hotkey-scope`,
+ *   `data-hotkey-label` (default: link text without the `[L]` hint).
+ *
+ * Usage:
+ *   hotkeys.register({
+ *     id: 'palette.open', keys: 'mod+k', description: 'Befehle suchen',
+ *     action: () => palette.open()
+ *   });
+ *   hotkeys.register({ id: 'checkout.back', keys: 'alt+arrowleft', scope: 'checkout-modal', action });
+ *
+ * Events (on document):
+ * - `hotkeys:change` - Keys of bindings changed (rebind, reset, login/logout)
+ *
  * Hotkeys defined in HTML with data-hotkey attributes on links:
  * - [K] = Home
+ * - [G] = GitHub
  * - [R] = Register
  * - [L] = Login/Logout
  * - [P] = Profile
- * - [H] = Help/Features
- * 
- * @version 1.0.0
+ *
+ * @version 2.0.0
  * @author Development Team
  */
 
 /**
- * IIFE - Initialize hotkey system on page load
- * 
- * Sets up global keyboard event listener that:
- * - Detects keypress events
- * - Skips processing if user is typing in input/textarea
- * - Matches key to navigation link with data-hotkey attribute
- * - Simulates click on matching link if visible
- * 
- * Error handling ensures malformed selectors or missing elements
- * don't break the application.
- * 
- * @function initHotkeys
- * @returns {void}
+ * HotkeyConflictError - A binding clashes with one that is already registered
+ *
+ * @class HotkeyConflictError
+ * @extends Error
  */
-(function initHotkeys() {
-  try {
-    /**
-     * Global keydown event listener
-     * Triggered whenever user presses a key
-     */
-    document.addEventListener('keydown', function(e) {
+class HotkeyConflictError extends Error {
+  /**
+   * @constructor
+   * @param {Object} binding - The binding that was rejected
+   * @param {Object[]} conflicts - Registered bindings it clashes with
+   */
+  constructor(binding, conflicts) {
+    const ids = conflicts.map(other => `"${other.id}" (${other.keys})`).join(', ');
+    super(`Hotkey "${binding.keys}" for "${binding.id}" conflicts with ${ids} in scope "${binding.scope}"`);
+    this.name = 'HotkeyConflictError';
+    this.binding = binding;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * HotkeyRegistry Class - Parses, stores and dispatches key bindings
+ *
+ * @class HotkeyRegistry
+ */
+class HotkeyRegistry {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.sequenceTimeout=1000] - Max. pause between the keys of a sequence (ms)
+   * @param {Storage} [options.storage=localStorage] - Where user bindings are kept
+   */
+  constructor(options = {}) {
+    this.sequenceTimeout = options.sequenceTimeout ?? 1000;
+    this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+    this.storage = options.storage || window.localStorage;
+    this.storageKey = 'kernwerk_hotkeys';
+
+    this.bindings = new Map();    // id → binding, in registration order
+    this.conditions = new Map();  // name → () => boolean
+    this.pending = null;          // Chords typed so far of an unfinished sequence
+    this.pendingTimer = null;
+
+    this.modifierOrder = ['ctrl', 'alt', 'shift', 'meta'];
+    this.keyAliases = {
+      esc: 'escape', return: 'enter', space: ' ', spacebar: ' ', plus: '+',
+      up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright',
+      del: 'delete', ins: 'insert', option: 'alt', control: 'ctrl', cmd: 'meta', command: 'meta'
+    };
+
+    // Keys the browser or the page needs itself; users cannot bind them.
+    // Parsed, so they are in the same form as chords from eventToChord()
+    this.reservedKeys = new Set([
+      ...['a', 'c', 'd', 'f', 'h', 'j', 'l', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z', '0', '+', '-', 'tab']
+        .map(key => `mod+${key}`),
+      'mod+shift+n', 'mod+shift+t', 'mod+shift+i', 'mod+shift+tab',
+      'alt+arrowleft', 'alt+arrowright', 'alt+home', 'alt+f4',
+      'f1', 'f3', 'f5', 'f6', 'f7', 'f11', 'f12',
+      'tab', 'shift+tab', 'escape', 'enter', 'space', 'backspace',
+      'arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'pageup', 'pagedown', 'home', 'end'
+    ].map(keys => this.parse(keys)[0]));
+
+    // Bindings of the current user: id → keys
+    this.overrides = this.loadOverrides();
+
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    document.addEventListener('auth:change', () => this.applyOverrides());
+  }
+
+  /**
+   * Name a state that bindings can depend on (`when: 'name'` / `'!name'`)
+   *
+   * @method defineCondition
+   * @param {string} name
+   * @param {Function} test - Returns true while the state applies
+   * @returns {void}
+   */
+  defineCondition(name, test) {
+    this.conditions.set(name, test);
+  }
+
+  /**
+   * Add a binding
+   *
+   * @method register
+   * @param {Object} definition
+   * @param {string} definition.id - Stable name, e.g. 'palette.open'
+   * @param {string} definition.keys - e.g. 'k', 'mod+k', 'g p', 'shift+?'
+   * @param {Function} definition.action - Called with the KeyboardEvent
+   * @param {string} [definition.scope='global'] - 'global' or the id of a dialog
+   * @param {string|Function} [definition.when] - Condition name ('!' negates) or test function
+   * @param {string} [definition.description] - Human readable label
+   * @param {string} [definition.group] - Heading for listings
+   * @param {HTMLElement} [definition.element] - Binding is skipped while this is hidden
+   * @param {boolean} [definition.allowInInputs=false] - Also fire while typing in a field
+   *   (for keys that do not produce text, e.g. 'mod+enter')
+   * @returns {Object} - The registered binding
+   * @throws {HotkeyConflictError} - Keys already taken in this scope
+   * @throws {Error} - Missing id/action, duplicate id or unparsable keys
+   */
+  register(definition) {
+    const { id, keys, action } = definition || {};
+    if (!id || typeof action !== 'function') throw new Error('Hotkey needs an id and an action');
+    if (this.bindings.has(id)) throw new Error(`Hotkey "${id}" is already registered`);
+
+    const sequence = this.parse(keys);
+    const binding = {
+      id,
+      keys: sequence.join(' '),
+      sequence,
+      defaultKeys: sequence.join(' '),
+      defaultSequence: sequence,
+      action,
+      scope: definition.scope || 'global',
+      when: definition.when || null,
+      description: definition.description || id,
+      group: definition.group || null,
+      element: definition.element || null,
+      allowInInputs: Boolean(definition.allowInInputs)
+    };
+
+    // A stored user binding wins unless it clashes
+    const custom = this.getStoredSequence(binding);
+    if (custom) {
+      binding.sequence = custom;
+      binding.keys = custom.join(' ');
+      if (this.findConflicts(binding).length) {
+        console.warn(`Hotkey "${id}": stored keys "${binding.keys}" are taken, using "${binding.defaultKeys}"`);
+        binding.sequence = binding.defaultSequence;
+        binding.keys = binding.defaultKeys;
+      }
+    }
+
+    const conflicts = this.findConflicts(binding);
+    if (conflicts.length) throw new HotkeyConflictError(binding, conflicts);
+
+    this.bindings.set(id, binding);
+    this.updateHint(binding);
+    return binding;
+  }
+
+  /**
+   * Remove a binding
+   *
+   * @method unregister
+   * @param {string} id
+   * @returns {boolean} - Whether a binding was removed
+   */
+  unregister(id) {
+    return this.bindings.delete(id);
+  }
+
+  /**
+   * Binding by id
+   *
+   * @method get
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.bindings.get(id) || null;
+  }
+
+  /**
+   * All bindings in registration order
+   *
+   * @method getAll
+   * @returns {Object[]}
+   */
+  getAll() {
+    return Array.from(this.bindings.values());
+  }
+
+  /**
+   * Registered bindings that would clash with a binding
+   *
+   * Two bindings clash when they share a scope and one key sequence is
+   * equal to or starts with the other - unless their conditions exclude
+   * each other (`'loggedIn'` and `'!loggedIn'`).
+   *
+   * @method findConflicts
+   * @param {Object} binding - { id, keys | sequence, scope, when }
+   * @returns {Object[]}
+   */
+  findConflicts(binding) {
+    const sequence = binding.sequence || this.parse(binding.keys);
+    const scope = binding.scope || 'global';
+
+    return this.getAll().filter(other => {
+      if (other.id === binding.id || other.scope !== scope) return false;
+      if (this.areExclusive(other.when, binding.when)) return false;
+      const length = Math.min(other.sequence.length, sequence.length);
+      return other.sequence.slice(0, length).every((chord, i) => chord === sequence[i]);
+    });
+  }
+
+  /**
+   * Why keys cannot be used for a binding (null = they can)
+   *
+   * Codes: 'unknown' (no such binding), 'invalid' (unparsable),
+   * 'reserved' (browser shortcut), 'typing' (plain key for a binding that
+   * also fires in text fields), 'conflict' (taken, see `conflicts`).
+   *
+   * @method validate
+   * @param {string} id - Binding to change
+   * @param {string} keys - New keys
+   * @returns {{code: string, conflicts?: Object[]}|null}
+   */
+  validate(id, keys) {
+    const binding = this.get(id);
+    if (!binding) return { code: 'unknown' };
+
+    let sequence;
+    try {
+      sequence = this.parse(keys);
+    } catch (e) {
+      return { code: 'invalid' };
+    }
+    if (sequence.some(chord => this.reservedKeys.has(chord))) return { code: 'reserved' };
+    if (binding.allowInInputs && !sequence.every(chord => this.isTypingSafe(chord))) return { code: 'typing' };
+
+    const conflicts = this.findConflicts({ ...binding, sequence });
+    return conflicts.length ? { code: 'conflict', conflicts } : null;
+  }
+
+  /**
+   * Give a binding new keys and store them for the current user
+   *
+   * @method rebind
+   * @param {string} id
+   * @param {string} keys
+   * @returns {Object} - The changed binding
+   * @throws {HotkeyConflictError} - Keys already taken in this scope
+   * @throws {Error} - Unknown binding, unparsable or reserved keys
+   */
+  rebind(id, keys) {
+    const problem = this.validate(id, keys);
+    const binding = this.get(id);
+    if (problem?.code === 'conflict') throw new HotkeyConflictError({ ...binding, keys }, problem.conflicts);
+    if (problem) throw new Error(`Hotkey "${keys}" cannot be used for "${id}" (${problem.code})`);
+
+    this.setSequence(binding, this.parse(keys));
+    if (binding.keys === binding.defaultKeys) {
+      delete this.overrides[id];
+    } else {
+      this.overrides[id] = binding.keys;
+    }
+    this.saveOverrides();
+    this.dispatchChange();
+    return binding;
+  }
+
+  /**
+   * Restore the default keys of a binding
+   *
+   * @method reset
+   * @param {string} id
+   * @returns {void}
+   * @throws {HotkeyConflictError} - The default keys were given to another binding
+   */
+  reset(id) {
+    const binding = this.get(id);
+    if (!binding) return;
+
+    const conflicts = this.findConflicts({ ...binding, sequence: binding.defaultSequence });
+    if (conflicts.length) throw new HotkeyConflictError({ ...binding, keys: binding.defaultKeys }, conflicts);
+
+    this.setSequence(binding, binding.defaultSequence);
+    delete this.overrides[id];
+    this.saveOverrides();
+    this.dispatchChange();
+  }
+
+  /**
+   * Restore the default keys of all bindings
+   *
+   * @method resetAll
+   * @returns {void}
+   */
+  resetAll() {
+    this.getAll().forEach(binding => this.setSequence(binding, binding.defaultSequence));
+    this.overrides = {};
+    this.saveOverrides();
+    this.dispatchChange();
+  }
+
+  /**
+   * Whether a binding uses keys of its own instead of the default
+   *
+   * @method isCustom
+   * @param {Object} binding
+   * @returns {boolean}
+   */
+  isCustom(binding) {
+    return binding.keys !== binding.defaultKeys;
+  }
+
+  /**
+   * Storage slot of the current user: the login email, else this device
+   *
+   * @method getUserKey
+   * @returns {string}
+   */
+  getUserKey() {
+    return String(window.authManager?.getUser()?.email || '').toLowerCase() || 'guest';
+  }
+
+  /**
+   * Stored bindings of the current user
+   *
+   * @method loadOverrides
+   * @returns {Object<string, string>} - id → keys
+   */
+  loadOverrides() {
+    try {
+      const all = JSON.parse(this.storage.getItem(this.storageKey) || '{}') || {};
+      const own = all[this.getUserKey()];
+      return own && typeof own === 'object' ? { ...own } : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Store the bindings of the current user, keeping those of other users
+   *
+   * @method saveOverrides
+   * @returns {void}
+   */
+  saveOverrides() {
+    try {
+      const all = JSON.parse(this.storage.getItem(this.storageKey) || '{}') || {};
+      if (Object.keys(this.overrides).length) {
+        all[this.getUserKey()] = this.overrides;
+      } else {
+        delete all[this.getUserKey()];
+      }
+
+      if (Object.keys(all).length) {
+        this.storage.setItem(this.storageKey, JSON.stringify(all));
+      } else {
+        this.storage.removeItem(this.storageKey);
+      }
+    } catch (e) {
+      console.warn('Hotkeys could not be saved:', e);
+    }
+  }
+
+  /**
+   * Stored keys for a binding, if usable
+   *
+   * @method getStoredSequence
+   * @param {Object} binding
+   * @returns {string[]|null}
+   */
+  getStoredSequence(binding) {
+    const keys = this.overrides[binding.id];
+    if (!keys) return null;
+    try {
+      const sequence = this.parse(keys);
+      if (sequence.some(chord => this.reservedKeys.has(chord))) return null;
+      if (binding.allowInInputs && !sequence.every(chord => this.isTypingSafe(chord))) return null;
+      return sequence;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Switch all bindings to the stored keys of the current user
+   * (startup is handled in register(); this runs after login/logout)
+   *
+   * @method applyOverrides
+   * @returns {void}
+   */
+  applyOverrides() {
+    this.overrides = this.loadOverrides();
+    this.resetSequence();
+
+    this.getAll().forEach(binding => {
+      this.setSequence(binding, this.getStoredSequence(binding) || binding.defaultSequence);
+    });
+    // Stored keys that clash (e.g. a new default took them) fall back
+    this.getAll().forEach(binding => {
+      if (this.isCustom(binding) && this.findConflicts(binding).length) {
+        console.warn(`Hotkey "${binding.id}": stored keys "${binding.keys}" are taken, using "${binding.defaultKeys}"`);
+        this.setSequence(binding, binding.defaultSequence);
+      }
+    });
+    this.dispatchChange();
+  }
+
+  /**
+   * Set the keys of a binding and update its hint in the page
+   *
+   * @method setSequence
+   * @param {Object} binding
+   * @param {string[]} sequence
+   * @returns {void}
+   */
+  setSequence(binding, sequence) {
+    binding.sequence = sequence;
+    binding.keys = sequence.join(' ');
+    this.updateHint(binding);
+  }
+
+  /**
+   * Show the current keys in the `[K]` hint of a nav link
+   *
+   * @method updateHint
+   * @param {Object} binding
+   * @returns {void}
+   */
+  updateHint(binding) {
+    const hint = binding.element?.querySelector('.nav-button__hotkey');
+    if (hint) hint.textContent = `[${this.describe(binding.keys).join(' ')}]`;
+  }
+
+  /**
+   * Announce changed keys
+   *
+   * @method dispatchChange
+   * @returns {void}
+   */
+  dispatchChange() {
+    document.dispatchEvent(new CustomEvent('hotkeys:change'));
+  }
+
+  /**
+   * Whether two conditions can never hold at the same time
+   *
+   * @method areExclusive
+   * @param {string|Function|null} a
+   * @param {string|Function|null} b
+   * @returns {boolean}
+   */
+  areExclusive(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    return a === `!${b}` || b === `!${a}`;
+  }
+
+  /**
+   * Normalize a key description into a list of chords
+   * 'Mod+K' → ['ctrl+k'] (['meta+k'] on macOS), 'g p' → ['g', 'p']
+   *
+   * @method parse
+   * @param {string} keys
+   * @returns {string[]}
+   * @throws {Error} - Empty description or a chord without a key
+   */
+  parse(keys) {
+    const chords = String(keys || '').trim().split(/\s+/).filter(Boolean);
+    if (!chords.length) throw new Error(`Invalid hotkey "${keys}"`);
+
+    return chords.map(chord => {
+      // A trailing '+' is the plus key itself ('ctrl++')
+      const parts = chord.toLowerCase().replace(/\+$/, '+plus').split('+').filter(Boolean);
+      const last = parts.pop();
+      const key = this.keyAliases[last] ?? last;
+      const modifiers = new Set(parts.map(part => {
+        const name = this.keyAliases[part] || part;
+        return name === 'mod' ? (this.isMac ? 'meta' : 'ctrl') : name;
+      }));
+
+      const unknown = [...modifiers].filter(name => !this.modifierOrder.includes(name));
+      if (unknown.length || this.modifierOrder.includes(key)) throw new Error(`Invalid hotkey "${keys}"`);
+      // Same rule as eventToChord(): 'shift+?' is just '?'
+      if (this.isSymbol(key)) modifiers.delete('shift');
+      return this.buildChord(key, modifiers);
+    });
+  }
+
+  /**
+   * Chord string in canonical modifier order
+   *
+   * @method buildChord
+   * @param {string} key - Lowercase key name
+   * @param {Set<string>} modifiers
+   * @returns {string}
+   */
+  buildChord(key, modifiers) {
+    const name = key === ' ' ? 'space' : key;
+    return [...this.modifierOrder.filter(m => modifiers.has(m)), name].join('+');
+  }
+
+  /**
+   * Chord of a keydown event (null for a lone modifier key)
+   *
+   * Shift only counts for letters and named keys; for symbols like `?`
+   * it is part of the character already.
+   *
+   * @method eventToChord
+   * @param {KeyboardEvent} e
+   * @returns {string|null}
+   */
+  eventToChord(e) {
+    if (!e.key || ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+
+    let key = e.key.toLowerCase();
+    // AltGr (reported as Ctrl+Alt on Windows) only selects a character (@, €, ...)
+    const altGraph = Boolean(e.getModifierState?.('AltGraph'));
+    // Alt changes the character on macOS (alt+g → ©): use the physical key
+    if (e.altKey && !altGraph && /^Key[A-Z]$/.test(e.code || '')) key = e.code.slice(3).toLowerCase();
+
+    const modifiers = new Set();
+    if (e.ctrlKey && !altGraph) modifiers.add('ctrl');
+    if (e.altKey && !altGraph) modifiers.add('alt');
+    if (e.shiftKey && !this.isSymbol(key)) modifiers.add('shift');
+    if (e.metaKey) modifiers.add('meta');
+    return this.buildChord(key, modifiers);
+  }
+
+  /**
+   * Whether a key is a printable character other than a letter or digit
+   *
+   * @method isSymbol
+   * @param {string} key - Lowercase key name
+   * @returns {boolean}
+   */
+  isSymbol(key) {
+    return key.length === 1 && key !== ' ' && !/[\p{L}\p{N}]/u.test(key);
+  }
+
+  /**
+   * Scope of the dialog on top, or 'global' when none is open
+   *
+   * @method getActiveScope
+   * @returns {string}
+   */
+  getActiveScope() {
+    const top = window.dialogManager?.top();
+    return top ? top.id || null : 'global';
+  }
+
+  /**
+   * Whether a binding can fire right now (scope, condition, visibility)
+   *
+   * @method isActive
+   * @param {Object} binding
+   * @param {string} [scope=this.getActiveScope()]
+   * @returns {boolean}
+   */
+  isActive(binding, scope = this.getActiveScope()) {
+    if (binding.scope !== scope) return false;
+    if (!this.checkCondition(binding.when)) return false;
+    return !binding.element || (this.isElementUsable(binding.element) && !binding.element.closest('[inert]'));
+  }
+
+  /**
+   * Evaluate a `when` condition
+   *
+   * @method checkCondition
+   * @param {string|Function|null} when
+   * @returns {boolean}
+   */
+  checkCondition(when) {
+    if (!when) return true;
+    if (typeof when === 'function') return Boolean(when());
+
+    const negate = when.startsWith('!');
+    const test = this.conditions.get(negate ? when.slice(1) : when);
+    if (!test) return false;
+    return negate ? !test() : Boolean(test());
+  }
+
+  /**
+   * Whether a binding applies in the current state, whatever the scope
+   * (for listings; dialog elements are hidden until their dialog opens)
+   *
+   * @method isAvailable
+   * @param {Object} binding
+   * @returns {boolean}
+   */
+  isAvailable(binding) {
+    if (!this.checkCondition(binding.when)) return false;
+    return !binding.element || binding.scope !== 'global' || this.isElementUsable(binding.element);
+  }
+
+  /**
+   * Display labels of the chords of a binding
+   * 'mod+k' → ['Strg+K'] (['⌘K'] on macOS), 'g p' → ['G', 'P']
+   *
+   * @method describe
+   * @param {string} keys
+   * @returns {string[]}
+   */
+  describe(keys) {
+    const names = this.isMac
+      ? { ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' }
+      : { ctrl: 'Strg', alt: 'Alt', shift: 'Umschalt', meta: 'Win' };
+    const keyNames = {
+      escape: 'Esc', enter: 'Enter', space: 'Leertaste', tab: 'Tab', backspace: '⌫', delete: 'Entf',
+      arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→'
+    };
+
+    return this.parse(keys).map(chord => {
+      const parts = chord.split('+');
+      // '+' and 'ctrl++': the last '+' is the key
+      const key = chord === '+' || chord.endsWith('++') ? '+' : parts.pop();
+      const modifiers = parts.filter(Boolean).map(m => names[m]);
+      const label = keyNames[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
+      return [...modifiers, label].join(this.isMac ? '' : '+');
+    });
+  }
+
+  /**
+   * Whether the element of a binding is present and shown
+   *
+   * @method isElementUsable
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isElementUsable(element) {
+    if (!element.isConnected || element.closest('[hidden]')) return false;
+    return getComputedStyle(element).display !== 'none';
+  }
+
+  /**
+   * Whether the user is typing in the event target
+   *
+   * Text fields, selects (type-ahead), contenteditable regions and
+   * ARIA text boxes count; checkboxes, radios and buttons do not.
+   *
+   * @method isTypingTarget
+   * @param {EventTarget} target
+   * @returns {boolean}
+   */
+  isTypingTarget(target) {
+    if (!(target instanceof Element)) return false;
+
+    if (target.tagName === 'INPUT') {
+      return !['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'color', 'range'].includes(target.type);
+    }
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    if (target.isContentEditable || target.closest('[contenteditable]:not([contenteditable="false"])')) return true;
+    return Boolean(target.closest('[role="textbox"], [role="combobox"], [role="searchbox"]'));
+  }
+
+  /**
+   * Whether a chord can fire inside text fields without swallowing typed
+   * text: it needs Ctrl, Alt or ⌘, or is a function key (F1-F24, Escape).
+   * On macOS Option+letter types characters (⌥E → €), so Alt alone does
+   * not count there; it takes ⌃ or ⌘.
+   *
+   * @method isTypingSafe
+   * @param {string} chord - Parsed chord, e.g. 'ctrl+enter'
+   * @returns {boolean}
+   */
+  isTypingSafe(chord) {
+    const key = chord === '+' || chord.endsWith('++') ? '+' : chord.split('+').pop();
+    const modifiers = chord.slice(0, chord.length - key.length).split('+').filter(Boolean);
+    const safe = this.isMac ? ['ctrl', 'meta'] : ['ctrl', 'alt', 'meta'];
+    return modifiers.some(modifier => safe.includes(modifier)) || /^(f\d{1,2}|escape)$/.test(key);
+  }
+
+  /**
+   * Whether a key press is part of an IME composition (Japanese, Chinese,
+   * dead keys, ...); keyCode 229 covers the keydown that ends it in Safari
+   *
+   * @method isComposing
+   * @param {KeyboardEvent} e
+   * @returns {boolean}
+   */
+  isComposing(e) {
+    return Boolean(e.isComposing) || e.keyCode === 229;
+  }
+
+  /**
+   * Match a keydown against the active bindings
+   *
+   * @method handleKeydown
+   * @param {KeyboardEvent} e
+   * @returns {void}
+   */
+  handleKeydown(e) {
+    try {
+      // Escape and Tab in dialogs are handled by the dialog manager
+      if (e.defaultPrevented || this.isComposing(e)) {
+        this.resetSequence();
+        return;
+      }
+      if (e.repeat) return;
+
+      const chord = this.eventToChord(e);
+      if (!chord) return;
+
+      // Events from inside a shadow root are retargeted to the host
+      const target = e.composedPath?.()[0] || e.target;
+      const typing = this.isTypingTarget(target);
+      const scope = this.getActiveScope();
+      const active = this.getAll().filter(binding =>
+        this.isActive(binding, scope) && (!typing || binding.allowInInputs)
+      );
+      if (!active.length) {
+        this.resetSequence();
+        return;
+      }
+
+      // Continue an unfinished sequence, else start over with this key
+      if (this.pending && this.resolve([...this.pending, chord], active, e)) return;
+      this.resetSequence();
+      this.resolve([chord], active, e);
+    } catch (error) {
+      console.error('Hotkey event listener error:', error);
+    }
+  }
+
+  /**
+   * Fire a complete match or wait for the next key of a sequence
+   *
+   * @method resolve
+   * @param {string[]} typed - Chords typed so far
+   * @param {Object[]} active - Active bindings
+   * @param {KeyboardEvent} e
+   * @returns {boolean} - Whether the keys matched something
+   */
+  resolve(typed, active, e) {
+    const matches = active.filter(binding =>
+      typed.every((chord, i) => binding.sequence[i] === chord)
+    );
+    if (!matches.length) return false;
+
+    e.preventDefault();
+    const complete = matches.find(binding => binding.sequence.length === typed.length);
+    if (!complete) {
+      this.pending = typed;
+      clearTimeout(this.pendingTimer);
+      this.pendingTimer = setTimeout(() => this.resetSequence(), this.sequenceTimeout);
+      return true;
+    }
+
+    this.resetSequence();
+    try {
+      complete.action(e);
+    } catch (error) {
+      console.warn(`Error processing hotkey "${complete.id}":`, error);
+    }
+    return true;
+  }
+
+  /**
+   * Forget a partly typed sequence
+   *
+   * @method resetSequence
+   * @returns {void}
+   */
+  resetSequence() {
+    clearTimeout(this.pendingTimer);
+    this.pending = null;
+    this.pendingTimer = null;
+  }
+
+  /**
+   * Register all `[data-hotkey]` links below a root element
+   * Conflicts are logged; the first binding keeps the keys.
+   *
+   * @method bindMarkup
+   * @param {ParentNode} [root=document]
+   * @returns {Object[]} - Registered bindings
+   */
+  bindMarkup(root = document) {
+    const registered = [];
+    root.querySelectorAll('a[data-hotkey], button[data-hotkey]').forEach(element => {
+      const id = element.dataset.hotkeyId || `link:${element.getAttribute('href') || element.id}`;
+      if (this.bindings.get(id)?.element === element) return;
+
       try {
-        // === Skip if user is typing in input field ===
-        // Check if event target is an input or textarea element
-        if (!e?.key || e.target?.tagName === 'INPUT' || e.target?.tagName === 'TEXTAREA') {
-          return;
-        }
-        
-        try {
-          // === Find matching navigation link ===
-          // Convert key to lowercase for case-insensitive matching
-          const key = e.key.toLowerCase();
-          
-          // Use CSS.escape() to safely create selector for special characters
-          const link = document.querySelector(`a[data-hotkey="${CSS.escape(key)}"]`);
-          
-          // === Trigger link if found and visible ===
-          // Only click if element exists and is not hidden
-          if (link && link.style.display !== 'none') {
-            e.preventDefault();
-            link.click();
-          }
-        } catch (innerError) {
-          console.warn('Error processing hotkey:', innerError);
-        }
+        registered.push(this.register({
+          id,
+          keys: element.dataset.hotkey,
+          scope: element.dataset.hotkeyScope,
+          when: element.dataset.hotkeyWhen,
+          description: element.dataset.hotkeyLabel || this.getElementLabel(element),
+          group: 'Navigation',
+          element,
+          action: () => element.click()
+        }));
       } catch (error) {
-        console.error('Hotkey event listener error:', error);
+        console.warn('Hotkey not registered:', error.message);
       }
     });
+    return registered;
+  }
+
+  /**
+   * Visible text of an element without its `[K]` hint
+   *
+   * @method getElementLabel
+   * @param {HTMLElement} element
+   * @returns {string}
+   */
+  getElementLabel(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('.nav-button__hotkey').forEach(hint => hint.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * IIFE - Create the registry and register the markup bindings
+ * The instance is exposed as window.hotkeys.
+ */
+(function initHotkeys() {
+  try {
+    window.hotkeys = new HotkeyRegistry(window.KERNWERK_CONFIG?.hotkeys);
+    window.hotkeys.defineCondition('loggedIn', () => Boolean(window.authManager?.isLoggedIn()));
   } catch (error) {
     console.error('Hotkey initialization failed:', error);
+    return;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.hotkeys.bindMarkup());
+  } else {
+    window.hotkeys.bindMarkup();
   }
 })();
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Login Throttle - Client-side back-off for failed logins
+ *
+ * Slows down repeated login attempts per email address before they reach
+ * the server, and remembers lockouts the server reported. The state lives
+ * in localStorage (`kernwerk_login_throttle`), so a reload does not reset
+ * the countdown. This is a usability and politeness measure only; the
+ * server stays responsible for real brute-force protection.
+ *
+ * Back-off (defaults):
+ * - The 3rd failure for an address starts a 5 s wait
+ * - Each further failure doubles it (10 s, 20 s, ...) up to 5 minutes
+ * - Failures are forgotten 24 hours after the last one, or on success
+ *
+ * Usage:
+ *   const throttle = new LoginThrottle(KERNWERK_CONFIG.loginThrottle);
+ *   throttle.getState(email);        // → { remaining, until, failures, reason }
+ *   throttle.recordFailure(email);   // after invalid_credentials
+ *   throttle.recordLockout(email, until, 'locked');
+ *   throttle.reset(email);           // after a successful login
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * LoginThrottle Class - Per-email failure counter with persisted waits
+ *
+ * @class LoginThrottle
+ */
+class LoginThrottle {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {Storage} [options.storage=localStorage] - Persistence backend
+   * @param {number} [options.freeAttempts=3] - Failures until the first wait
+   * @param {number} [options.baseDelay=5] - First wait in s, doubled per further failure
+   * @param {number} [options.maxDelay=300] - Longest client-side wait in s
+   * @param {number} [options.forgetAfter=86400] - Failures expire after this many s
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || window.localStorage;
+    this.storageKey = 'kernwerk_login_throttle';
+    this.freeAttempts = options.freeAttempts ?? 3;
+    this.baseDelay = options.baseDelay ?? 5;
+    this.maxDelay = options.maxDelay ?? 300;
+    this.forgetAfter = options.forgetAfter ?? 24 * 60 * 60;
+  }
+
+  /**
+   * Normalize an email to its storage key
+   *
+   * @method keyFor
+   * @param {string} email
+   * @returns {string}
+   */
+  keyFor(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Load all entries, dropping those that no longer matter
+   *
+   * @method load
+   * @returns {Object<string, {failures: number, until: number, lastFailureAt: number, reason: string}>}
+   */
+  load() {
+    let entries = {};
+    try {
+      entries = JSON.parse(this.storage.getItem(this.storageKey) || '{}') || {};
+    } catch (e) {
+      entries = {};
+    }
+
+    const now = Date.now();
+    Object.keys(entries).forEach(key => {
+      const entry = entries[key];
+      const stale = !entry || ((entry.lastFailureAt || 0) + this.forgetAfter * 1000 <= now && (entry.until || 0) <= now);
+      if (stale) delete entries[key];
+    });
+    return entries;
+  }
+
+  /**
+   * Persist entries (removes the key when empty)
+   *
+   * @method save
+   * @param {Object} entries
+   * @returns {void}
+   */
+  save(entries) {
+    try {
+      if (Object.keys(entries).length) {
+        this.storage.setItem(this.storageKey, JSON.stringify(entries));
+      } else {
+        this.storage.removeItem(this.storageKey);
+      }
+    } catch (e) {
+      console.warn('Login throttle could not be saved:', e);
+    }
+  }
+
+  /**
+   * Wait after the given number of consecutive failures
+   *
+   * @method getDelay
+   * @param {number} failures
+   * @returns {number} Seconds (0 = no wait)
+   */
+  getDelay(failures) {
+    if (failures < this.freeAttempts) return 0;
+    return Math.min(this.maxDelay, this.baseDelay * 2 ** (failures - this.freeAttempts));
+  }
+
+  /**
+   * Current throttle state for an address
+   *
+   * @method getState
+   * @param {string} email
+   * @returns {{remaining: number, until: number, failures: number, reason: string|null}}
+   *   reason: 'backoff' (client), 'locked' (server lockout), 'rate_limited' (server) or null
+   */
+  getState(email) {
+    const entry = this.load()[this.keyFor(email)];
+    const remaining = entry ? Math.max(0, Math.ceil((entry.until - Date.now()) / 1000)) : 0;
+    return {
+      remaining,
+      until: entry?.until || 0,
+      failures: entry?.failures || 0,
+      reason: remaining > 0 ? entry.reason : null
+    };
+  }
+
+  /**
+   * Count a failed attempt and start the next wait
+   *
+   * @method recordFailure
+   * @param {string} email
+   * @returns {Object} New state (see getState())
+   */
+  recordFailure(email) {
+    const key = this.keyFor(email);
+    if (!key) return this.getState(email);
+
+    const entries = this.load();
+    const previous = entries[key];
+    const failures = (previous?.failures || 0) + 1;
+    const backoffUntil = Date.now() + this.getDelay(failures) * 1000;
+    // A running server lockout is never shortened by the client back-off
+    const serverLock = previous && previous.reason !== 'backoff' && previous.until > backoffUntil;
+
+    entries[key] = {
+      failures,
+      lastFailureAt: Date.now(),
+      until: serverLock ? previous.until : backoffUntil,
+      reason: serverLock ? previous.reason : 'backoff'
+    };
+    this.save(entries);
+    return this.getState(email);
+  }
+
+  /**
+   * Remember a lockout reported by the server
+   *
+   * @method recordLockout
+   * @param {string} email
+   * @param {number|string} until - Timestamp (ms or ISO string)
+   * @param {string} [reason='locked'] - 'locked' | 'rate_limited'
+   * @returns {Object} New state (see getState())
+   */
+  recordLockout(email, until, reason = 'locked') {
+    const key = this.keyFor(email);
+    const untilMs = typeof until === 'number' ? until : Date.parse(until);
+    if (!key || !Number.isFinite(untilMs)) return this.getState(email);
+
+    const entries = this.load();
+    entries[key] = Object.assign({ failures: 0 }, entries[key], {
+      lastFailureAt: Date.now(),
+      until: untilMs,
+      reason
+    });
+    this.save(entries);
+    return this.getState(email);
+  }
+
+  /**
+   * Forget all failures of an address (after a successful login)
+   *
+   * @method reset
+   * @param {string} email
+   * @returns {void}
+   */
+  reset(email) {
+    const entries = this.load();
+    delete entries[this.keyFor(email)];
+    this.save(entries);
+  }
+}
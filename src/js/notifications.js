@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Notification Service - Central toast queue
+ *
+ * One place for all toast messages on the site, exposed as
+ * `window.notifications`. Replaces the per-module toast helpers.
+ *
+ * Features:
+ * - Visible stack with a limit; further toasts wait in a queue
+ * - Per-toast duration (0 = stays until dismissed)
+ * - Timers pause while the toast is hovered or focused
+ * - Dismiss button and optional action button (e.g. "Rückgängig")
+ * - Screen reader output through one polite and one assertive live
+ *   region (errors are assertive, everything else polite)
+ *
+ * Usage:
+ *   notifications.show('Gespeichert', { type: 'success' });
+ *   notifications.error('Fehlgeschlagen');
+ *   notifications.show('Abgemeldet', {
+ *     duration: 6000,
+ *     action: { label: 'Rückgängig', onClick: () => undo() },
+ *     onClose: (reason) => { ... }   // 'timeout' | 'dismiss' | 'action' | 'clear'
+ *   });
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * NotificationService Class - Queues, renders and announces toasts
+ *
+ * @class NotificationService
+ */
+class NotificationService {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.maxVisible=3] - Toasts shown at the same time
+   * @param {number} [options.defaultDuration=4000] - Lifetime in ms
+   */
+  constructor(options = {}) {
+    this.maxVisible = options.maxVisible || 3;
+    this.defaultDuration = options.defaultDuration ?? 4000;
+    this.visible = [];     // Currently rendered toasts
+    this.queue = [];       // Waiting toasts
+    this.nextId = 1;
+    this.container = null;
+    this.regions = {};
+  }
+
+  /**
+   * ensureContainer() - Creates stack and live regions on first use
+   */
+  ensureContainer() {
+    if (this.container && document.body.contains(this.container)) return;
+
+    this.container = document.createElement('div');
+    this.container.className = 'toast-stack';
+    // Toasts stay usable while a modal dialog makes the page inert
+    this.container.setAttribute('data-dialog-exempt', '');
+    document.body.appendChild(this.container);
+
+    ['polite', 'assertive'].forEach(politeness => {
+      const region = document.createElement('div');
+      region.className = 'srOnly';
+      region.setAttribute('data-dialog-exempt', '');
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      if (politeness === 'assertive') region.setAttribute('role', 'alert');
+      document.body.appendChild(region);
+      this.regions[politeness] = region;
+    });
+  }
+
+  /**
+   * show() - Queues a toast
+   * @param {string} message - Text to display
+   * @param {Object} [options={}]
+   * @param {string} [options.type='info'] - 'info' | 'success' | 'warning' | 'error'
+   * @param {number} [options.duration] - Lifetime in ms, 0 keeps it until dismissed
+   * @param {boolean} [options.dismissible=true] - Show a close button
+   * @param {{label: string, onClick: Function}} [options.action] - Optional action button
+   * @param {string} [options.politeness] - 'polite' | 'assertive' (default by type)
+   * @param {Function} [options.onClose] - Called with the close reason
+   * @returns {number} - Toast id for dismiss()
+   */
+  show(message, options = {}) {
+    const toast = {
+      id: this.nextId++,
+      message: String(message),
+      type: options.type || 'info',
+      duration: options.duration ?? this.defaultDuration,
+      dismissible: options.dismissible !== false,
+      action: options.action || null,
+      politeness: options.politeness || (options.type === 'error' ? 'assertive' : 'polite'),
+      onClose: options.onClose || null
+    };
+
+    try {
+      this.ensureContainer();
+      if (this.visible.length < this.maxVisible) {
+        this.render(toast);
+      } else {
+        this.queue.push(toast);
+      }
+    } catch (e) {
+      console.warn('Notification error:', e);
+    }
+
+    return toast.id;
+  }
+
+  success(message, options = {}) {
+    return this.show(message, Object.assign({}, options, { type: 'success' }));
+  }
+
+  error(message, options = {}) {
+    return this.show(message, Object.assign({}, options, { type: 'error' }));
+  }
+
+  warning(message, options = {}) {
+    return this.show(message, Object.assign({}, options, { type: 'warning' }));
+  }
+
+  info(message, options = {}) {
+    return this.show(message, Object.assign({}, options, { type: 'info' }));
+  }
+
+  /**
+   * render() - Puts a toast on screen, announces it and starts its timer
+   * @param {Object} toast
+   */
+  render(toast) {
+    const el = document.createElement('div');
+    el.className = `toast toast--${toast.type}`;
+    el.dataset.toastId = String(toast.id);
+
+    const text = document.createElement('span');
+    text.className = 'toast__message';
+    text.textContent = toast.message;
+    el.appendChild(text);
+
+    if (toast.action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'toast__action';
+      actionBtn.textContent = toast.action.label;
+      actionBtn.addEventListener('click', () => {
+        try {
+          toast.action.onClick?.();
+        } catch (e) {
+          console.warn('Notification action failed:', e);
+        }
+        this.dismiss(toast.id, 'action');
+      });
+      el.appendChild(actionBtn);
+    }
+
+    if (toast.dismissible) {
+      const closeBtn = document.createElement('button');
+      closeBtn.type = 'button';
+      closeBtn.className = 'toast__close';
+      closeBtn.setAttribute('aria-label', 'Benachrichtigung schließen');
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.dismiss(toast.id, 'dismiss'));
+      el.appendChild(closeBtn);
+    }
+
+    // Pause while the user reads or interacts with the toast
+    el.addEventListener('mouseenter', () => this.pause(toast));
+    el.addEventListener('mouseleave', () => this.resume(toast));
+    el.addEventListener('focusin', () => this.pause(toast));
+    el.addEventListener('focusout', () => this.resume(toast));
+
+    toast.el = el;
+    toast.remaining = toast.duration;
+    this.visible.push(toast);
+    this.container.appendChild(el);
+
+    // Animation: Einblenden
+    setTimeout(() => el.classList.add('toast--visible'), 10);
+
+    this.announce(toast);
+    this.resume(toast);
+  }
+
+  /**
+   * announce() - Routes the text into the matching live region
+   * @param {Object} toast
+   */
+  announce(toast) {
+    const region = this.regions[toast.politeness] || this.regions.polite;
+    if (!region) return;
+    const label = toast.action ? `${toast.message} (${toast.action.label} verfügbar)` : toast.message;
+    // Clear first so identical consecutive messages are announced again
+    region.textContent = '';
+    setTimeout(() => { region.textContent = label; }, 50);
+  }
+
+  /**
+   * pause() - Stops the auto-dismiss timer, keeping the remaining time
+   * @param {Object} toast
+   */
+  pause(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining -= Date.now() - toast.startedAt;
+  }
+
+  /**
+   * resume() - (Re)starts the auto-dismiss timer
+   * @param {Object} toast
+   */
+  resume(toast) {
+    if (!toast.duration || toast.timer || !this.visible.includes(toast)) return;
+    if (toast.el?.matches(':hover') || toast.el?.contains(document.activeElement)) return;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast.id, 'timeout'), Math.max(toast.remaining, 0));
+  }
+
+  /**
+   * dismiss() - Removes a toast (visible or queued) and shows the next one
+   * @param {number} id - Toast id from show()
+   * @param {string} [reason='dismiss'] - Passed to onClose
+   */
+  dismiss(id, reason = 'dismiss') {
+    const queuedIndex = this.queue.findIndex(t => t.id === id);
+    if (queuedIndex !== -1) {
+      const [queued] = this.queue.splice(queuedIndex, 1);
+      this.close(queued, reason);
+      return;
+    }
+
+    const toast = this.visible.find(t => t.id === id);
+    if (!toast) return;
+
+    clearTimeout(toast.timer);
+    this.visible = this.visible.filter(t => t !== toast);
+
+    // Animation: Ausblenden
+    toast.el.classList.remove('toast--visible');
+    setTimeout(() => toast.el.remove(), 300);
+
+    this.close(toast, reason);
+
+    if (this.queue.length && this.visible.length < this.maxVisible) {
+      this.render(this.queue.shift());
+    }
+  }
+
+  /**
+   * close() - Runs the onClose callback safely
+   * @param {Object} toast
+   * @param {string} reason
+   */
+  close(toast, reason) {
+    try {
+      toast.onClose?.(reason);
+    } catch (e) {
+      console.warn('Notification onClose failed:', e);
+    }
+  }
+
+  /**
+   * clear() - Removes every toast, including the queue
+   */
+  clear() {
+    this.queue.splice(0).forEach(toast => this.close(toast, 'clear'));
+    this.visible.slice().forEach(toast => this.dismiss(toast.id, 'clear'));
+  }
+}
+
+// ============================================
+// Global Instance
+// ============================================
+window.notifications = new NotificationService();
@@ -0,0 +1,413 @@
+/**
+ * @fileoverview OIDC Client - Single sign-on via Authorization Code + PKCE
+ *
+ * Browser-side OpenID Connect client for the "Mit SSO anmelden" button.
+ * Runs entirely in the page (public client, no client secret) and is
+ * configured via `KERNWERK_CONFIG.auth.oidc`:
+ *
+ *   oidc: {
+ *     issuer: 'https://login.example.com',   // required, enables SSO
+ *     clientId: 'kernwerk-web',
+ *     redirectUri: 'https://www.kernwerk-systems.de/',
+ *     scope: 'openid profile email offline_access'
+ *   }
+ *
+ * Flow:
+ * 1. startLogin(): discovery, random state/nonce/code_verifier stored in
+ *    sessionStorage, redirect to the authorization endpoint (S256 challenge)
+ * 2. handleCallback(): on return, state must match the stored transaction
+ *    (one-time use), the code is exchanged at the token endpoint together
+ *    with the code_verifier, and the ID token is validated (signature via
+ *    JWKS, iss, aud, exp/iat with clock skew, nonce)
+ * 3. refresh(): refresh_token grant for AuthManager's silent refresh
+ *
+ * Failures reject with AuthApiError ('sso_failed', 'sso_cancelled',
+ * 'sso_invalid_response', 'unauthorized', 'network_error', 'timeout').
+ *
+ * The IdP must be reachable under the page's CSP `connect-src` (the local
+ * mock IdP in tools/mock-idp.js runs on the same origin).
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * OidcClient Class - Authorization Code flow with PKCE
+ *
+ * @class OidcClient
+ */
+class OidcClient {
+  /**
+   * @constructor
+   * @param {Object} [options={}] - `auth.oidc` section of KERNWERK_CONFIG
+   * @param {string} options.issuer - Issuer URL (discovery base)
+   * @param {string} [options.clientId='kernwerk-web'] - Registered client id
+   * @param {string} [options.redirectUri] - Defaults to the site root
+   * @param {string} [options.scope='openid profile email'] - Requested scopes
+   * @param {number} [options.clockSkew=120] - Tolerance for exp/iat in s
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   * @param {Object} [options.metadata] - Skips discovery (authorization_endpoint, token_endpoint, jwks_uri)
+   */
+  constructor(options = {}) {
+    this.issuer = (options.issuer || '').replace(/\/+$/, '');
+    this.clientId = options.clientId || 'kernwerk-web';
+    this.redirectUri = options.redirectUri || `${window.location.origin}/`;
+    this.scope = options.scope || 'openid profile email';
+    this.clockSkew = options.clockSkew ?? 120;
+    this.timeout = options.timeout || 10000;
+    this.metadata = options.metadata || null;
+    this.jwks = null;
+    this.transactionKey = 'kernwerk_oidc';
+    this.transactionTtl = 10 * 60 * 1000;
+  }
+
+  /**
+   * isConfigured() - SSO is available once an issuer is set
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.issuer && this.clientId);
+  }
+
+  /**
+   * isCallback() - Checks whether a URL is an authorization response
+   * @param {Location|URL} location
+   * @returns {boolean}
+   */
+  static isCallback(location) {
+    const params = new URLSearchParams(location.search);
+    return params.has('state') && (params.has('code') || params.has('error'));
+  }
+
+  /**
+   * fetchJson() - fetch() with timeout and AuthApiError mapping
+   * @param {string} url
+   * @param {Object} [init={}]
+   * @returns {Promise<Object>}
+   */
+  async fetchJson(url, init = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(url, Object.assign({ headers: { 'Accept': 'application/json' } }, init, {
+        signal: controller.signal
+      }));
+    } catch (e) {
+      if (e?.name === 'AbortError') throw new AuthApiError('timeout');
+      throw new AuthApiError('network_error', undefined, { cause: e });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (e) {
+      data = {};
+    }
+
+    if (!response.ok) {
+      // OAuth errors: { error, error_description }
+      const code = data.error === 'invalid_grant' ? 'unauthorized' : 'sso_failed';
+      throw new AuthApiError(code, undefined, {
+        status: response.status, error: data.error, description: data.error_description
+      });
+    }
+    return data;
+  }
+
+  /**
+   * getMetadata() - Loads (and caches) the provider configuration
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    if (this.metadata) return this.metadata;
+    if (!this.isConfigured()) throw new AuthApiError('sso_failed', 'SSO ist nicht konfiguriert');
+
+    const metadata = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== this.issuer) {
+      throw new AuthApiError('sso_invalid_response', undefined, { reason: 'issuer_mismatch' });
+    }
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  /**
+   * randomString() - URL-safe random value
+   * @param {number} [bytes=32]
+   * @returns {string}
+   */
+  randomString(bytes = 32) {
+    return OidcClient.base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  /**
+   * createCodeChallenge() - S256 challenge for a code verifier (RFC 7636)
+   * @param {string} verifier
+   * @returns {Promise<string>}
+   */
+  async createCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return OidcClient.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  /**
+   * startLogin() - Redirects the browser to the identity provider
+   * @param {Object} [options={}]
+   * @param {string} [options.returnTo] - Path restored after the callback
+   * @returns {Promise<void>}
+   */
+  async startLogin(options = {}) {
+    const metadata = await this.getMetadata();
+    const transaction = {
+      state: this.randomString(),
+      nonce: this.randomString(),
+      codeVerifier: this.randomString(48),
+      returnTo: options.returnTo || '/',
+      createdAt: Date.now()
+    };
+    sessionStorage.setItem(this.transactionKey, JSON.stringify(transaction));
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scope,
+      state: transaction.state,
+      nonce: transaction.nonce,
+      code_challenge: await this.createCodeChallenge(transaction.codeVerifier),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    this.navigate(url.toString());
+  }
+
+  /**
+   * navigate() - Leaves the page (separate method so it can be replaced in tests)
+   * @param {string} url
+   */
+  navigate(url) {
+    window.location.assign(url);
+  }
+
+  /**
+   * takeTransaction() - Reads and removes the pending login (one-time use)
+   * @returns {Object|null}
+   */
+  takeTransaction() {
+    try {
+      const transaction = JSON.parse(sessionStorage.getItem(this.transactionKey) || 'null');
+      sessionStorage.removeItem(this.transactionKey);
+      if (!transaction || Date.now() - transaction.createdAt > this.transactionTtl) return null;
+      return transaction;
+    } catch (e) {
+      sessionStorage.removeItem(this.transactionKey);
+      return null;
+    }
+  }
+
+  /**
+   * handleCallback() - Completes the login after the redirect
+   * @param {string} href - Full callback URL
+   * @returns {Promise<{claims: Object, tokens: Object, returnTo: string}>}
+   * @throws {AuthApiError}
+   */
+  async handleCallback(href) {
+    const params = new URL(href).searchParams;
+    const transaction = this.takeTransaction();
+
+    // state binds the response to the login started in this browser (CSRF)
+    if (!transaction || params.get('state') !== transaction.state) {
+      throw new AuthApiError('sso_invalid_response', undefined, { reason: 'state_mismatch' });
+    }
+
+    const error = params.get('error');
+    if (error) {
+      throw new AuthApiError(error === 'access_denied' ? 'sso_cancelled' : 'sso_failed', undefined, {
+        error, description: params.get('error_description')
+      });
+    }
+
+    const metadata = await this.getMetadata();
+    const tokens = await this.requestToken(metadata, {
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: transaction.codeVerifier
+    });
+
+    const claims = await this.validateIdToken(tokens.id_token, transaction.nonce);
+    return { claims, tokens, returnTo: transaction.returnTo };
+  }
+
+  /**
+   * refresh() - Renews tokens with the refresh token
+   * @param {Object} session - Session with refreshToken
+   * @returns {Promise<{session: Object}>}
+   */
+  async refresh(session) {
+    if (!session?.refreshToken) throw new AuthApiError('unauthorized');
+
+    const metadata = await this.getMetadata();
+    const tokens = await this.requestToken(metadata, {
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken,
+      client_id: this.clientId
+    });
+    if (tokens.id_token) await this.validateIdToken(tokens.id_token, null);
+
+    // Some providers do not rotate refresh tokens
+    return { session: this.toSession(Object.assign({ refresh_token: session.refreshToken }, tokens)) };
+  }
+
+  /**
+   * requestToken() - POST to the token endpoint (form encoded)
+   * @param {Object} metadata
+   * @param {Object} params
+   * @returns {Promise<Object>} - Token response
+   */
+  async requestToken(metadata, params) {
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+    if (!tokens.access_token || (params.grant_type === 'authorization_code' && !tokens.id_token)) {
+      throw new AuthApiError('sso_invalid_response', undefined, { reason: 'missing_tokens' });
+    }
+    return tokens;
+  }
+
+  /**
+   * toSession() - Maps a token response to AuthManager's session shape
+   * @param {Object} tokens
+   * @returns {Object}
+   */
+  toSession(tokens) {
+    return {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || null,
+      expiresIn: tokens.expires_in || 3600,
+      refreshExpiresIn: tokens.refresh_expires_in || null,
+      provider: 'oidc'
+    };
+  }
+
+  /**
+   * validateIdToken() - Verifies signature and claims of an ID token
+   * @param {string} idToken - Compact JWS
+   * @param {string|null} nonce - Expected nonce (null on refresh)
+   * @returns {Promise<Object>} - Claims
+   * @throws {AuthApiError} - sso_invalid_response with details.reason
+   */
+  async validateIdToken(idToken, nonce) {
+    const invalid = (reason) => new AuthApiError('sso_invalid_response', undefined, { reason });
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) throw invalid('malformed_token');
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(OidcClient.base64UrlDecodeText(parts[0]));
+      claims = JSON.parse(OidcClient.base64UrlDecodeText(parts[1]));
+    } catch (e) {
+      throw invalid('malformed_token');
+    }
+
+    if (!await this.verifySignature(header, `${parts[0]}.${parts[1]}`, parts[2])) {
+      throw invalid('signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = [].concat(claims.aud || []);
+    if (claims.iss !== this.issuer) throw invalid('issuer');
+    if (!audiences.includes(this.clientId)) throw invalid('audience');
+    if (audiences.length > 1 && claims.azp !== this.clientId) throw invalid('authorized_party');
+    if (!claims.exp || claims.exp + this.clockSkew < now) throw invalid('expired');
+    if (claims.iat && claims.iat - this.clockSkew > now) throw invalid('issued_in_future');
+    if (nonce !== null && claims.nonce !== nonce) throw invalid('nonce');
+    if (!claims.sub) throw invalid('subject');
+
+    return claims;
+  }
+
+  /**
+   * verifySignature() - RS256 signature check against the provider's JWKS
+   * @param {Object} header - Decoded JWS header
+   * @param {string} signingInput - "<header>.<payload>"
+   * @param {string} signature - base64url signature
+   * @returns {Promise<boolean>}
+   */
+  async verifySignature(header, signingInput, signature) {
+    if (header.alg !== 'RS256') return false;
+
+    const key = await this.getSigningKey(header.kid);
+    if (!key) return false;
+
+    const cryptoKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: key.kty, n: key.n, e: key.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    return crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      cryptoKey,
+      OidcClient.base64UrlDecode(signature),
+      new TextEncoder().encode(signingInput)
+    );
+  }
+
+  /**
+   * getSigningKey() - Finds a JWK by kid, reloading the set once on a miss (key rotation)
+   * @param {string} [kid]
+   * @returns {Promise<Object|null>}
+   */
+  async getSigningKey(kid) {
+    const find = () => (this.jwks?.keys || []).find(key => key.kty === 'RSA' && (!kid || key.kid === kid)) || null;
+
+    let key = find();
+    if (!key) {
+      const metadata = await this.getMetadata();
+      this.jwks = await this.fetchJson(metadata.jwks_uri);
+      key = find();
+    }
+    return key;
+  }
+
+  /**
+   * base64UrlEncode() - Bytes → base64url without padding
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * base64UrlDecode() - base64url → bytes
+   * @param {string} value
+   * @returns {Uint8Array}
+   */
+  static base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  /**
+   * base64UrlDecodeText() - base64url → UTF-8 string
+   * @param {string} value
+   * @returns {string}
+   */
+  static base64UrlDecodeText(value) {
+    return new TextDecoder().decode(OidcClient.base64UrlDecode(value));
+  }
+}
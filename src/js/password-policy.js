@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Password Policy & Strength Meter
+ *
+ * Reusable password rules plus a live strength meter for any password
+ * field on the site (registration, password reset, ...).
+ *
+ * Features:
+ * - Configurable rules: minimum/maximum length, character classes
+ * - Blocks passwords containing the user's own name or email
+ * - Small built-in list of common passwords (German + international)
+ * - Strength score 0-4 based on an entropy estimate
+ * - Live meter with a per-rule checklist, announced politely to screen readers
+ *
+ * Usage:
+ *   const policy = new PasswordPolicy({ minLength: 10 });
+ *   const result = policy.evaluate('Geheim123', { name: 'Max', email: 'max@x.de' });
+ *   // → { valid, score, label, rules: [{ id, label, passed }], firstError }
+ *
+ *   new PasswordStrengthMeter(inputEl, { policy, getContext: () => ({ name, email }) });
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * Frequently used passwords, compared case-insensitively and with
+ * trailing digits/symbols stripped (so "Passwort123!" matches "passwort").
+ * @type {string[]}
+ */
+const COMMON_PASSWORDS = [
+  'password', 'passwort', 'kennwort', 'geheim', 'hallo', 'hallo123', 'willkommen',
+  'qwertz', 'qwertzu', 'qwertzuiop', 'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl',
+  'yxcvbnm', 'azerty', 'letmein', 'welcome', 'admin', 'administrator', 'login',
+  'master', 'dragon', 'monkey', 'sunshine', 'iloveyou', 'ichliebedich', 'schatz',
+  'fussball', 'football', 'baseball', 'superman', 'batman', 'starwars', 'pokemon',
+  'schalke', 'bayern', 'dortmund', 'berlin', 'hamburg', 'muenchen', 'deutschland',
+  'sommer', 'winter', 'frühling', 'herbst', 'abc', 'abcdef', 'abcdefgh', 'test',
+  'testtest', 'changeme', 'default', 'secret', 'trustno1', 'kernwerk', 'kernwerksystems'
+];
+
+/**
+ * PasswordPolicy - Evaluates passwords against configurable rules
+ *
+ * @class PasswordPolicy
+ */
+class PasswordPolicy {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.minLength=8] - Minimum number of characters
+   * @param {number} [options.maxLength=128] - Maximum number of characters
+   * @param {boolean} [options.requireLowercase=true] - Needs a-z
+   * @param {boolean} [options.requireUppercase=true] - Needs A-Z
+   * @param {boolean} [options.requireDigit=true] - Needs 0-9
+   * @param {boolean} [options.requireSymbol=false] - Needs a non-alphanumeric char
+   * @param {boolean} [options.disallowPersonalInfo=true] - Block name/email parts
+   * @param {boolean} [options.disallowCommon=true] - Block common passwords
+   * @param {string[]} [options.commonPasswords] - Replaces the built-in list
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      minLength: 8,
+      maxLength: 128,
+      requireLowercase: true,
+      requireUppercase: true,
+      requireDigit: true,
+      requireSymbol: false,
+      disallowPersonalInfo: true,
+      disallowCommon: true,
+      commonPasswords: COMMON_PASSWORDS
+    }, options);
+
+    this.commonSet = new Set(this.options.commonPasswords.map(p => p.toLowerCase()));
+  }
+
+  /**
+   * getRules() - Active rules in display order
+   * @returns {Array<{id: string, label: string, message: string, test: Function}>}
+   */
+  getRules() {
+    const o = this.options;
+    const rules = [
+      {
+        id: 'length',
+        label: `Mindestens ${o.minLength} Zeichen`,
+        message: `Das Passwort muss mindestens ${o.minLength} Zeichen lang sein`,
+        test: (pw) => pw.length >= o.minLength
+      },
+      {
+        id: 'maxLength',
+        label: `Höchstens ${o.maxLength} Zeichen`,
+        message: `Das Passwort darf höchstens ${o.maxLength} Zeichen lang sein`,
+        test: (pw) => pw.length <= o.maxLength
+      }
+    ];
+
+    if (o.requireLowercase) {
+      rules.push({
+        id: 'lowercase',
+        label: 'Ein Kleinbuchstabe',
+        message: 'Das Passwort muss einen Kleinbuchstaben enthalten',
+        test: (pw) => /\p{Ll}/u.test(pw)
+      });
+    }
+
+    if (o.requireUppercase) {
+      rules.push({
+        id: 'uppercase',
+        label: 'Ein Großbuchstabe',
+        message: 'Das Passwort muss einen Großbuchstaben enthalten',
+        test: (pw) => /\p{Lu}/u.test(pw)
+      });
+    }
+
+    if (o.requireDigit) {
+      rules.push({
+        id: 'digit',
+        label: 'Eine Ziffer',
+        message: 'Das Passwort muss eine Ziffer enthalten',
+        test: (pw) => /\d/.test(pw)
+      });
+    }
+
+    if (o.requireSymbol) {
+      rules.push({
+        id: 'symbol',
+        label: 'Ein Sonderzeichen',
+        message: 'Das Passwort muss ein Sonderzeichen enthalten',
+        test: (pw) => /[^\p{L}\d]/u.test(pw)
+      });
+    }
+
+    if (o.disallowPersonalInfo) {
+      rules.push({
+        id: 'personal',
+        label: 'Enthält weder Name noch E-Mail',
+        message: 'Das Passwort darf weder Ihren Namen noch Ihre E-Mail enthalten',
+        test: (pw, context) => !this.containsPersonalInfo(pw, context)
+      });
+    }
+
+    if (o.disallowCommon) {
+      rules.push({
+        id: 'common',
+        label: 'Kein häufig verwendetes Passwort',
+        message: 'Dieses Passwort ist zu häufig und leicht zu erraten',
+        test: (pw) => !this.isCommon(pw)
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * evaluate() - Checks a password against all rules and scores it
+   * @param {string} password
+   * @param {Object} [context={}] - { name, email } of the account owner
+   * @returns {{valid: boolean, score: number, label: string,
+   *           rules: Array<{id: string, label: string, passed: boolean}>,
+   *           firstError: string|null}}
+   */
+  evaluate(password, context = {}) {
+    const pw = String(password || '');
+    const results = this.getRules().map(rule => ({
+      id: rule.id,
+      label: rule.label,
+      message: rule.message,
+      passed: pw.length > 0 && rule.test(pw, context)
+    }));
+
+    const failed = results.find(rule => !rule.passed);
+    const valid = !failed;
+
+    let score = this.estimateScore(pw);
+    if (!valid) score = Math.min(score, 1);
+    if (pw && this.options.disallowCommon && this.isCommon(pw)) score = 0;
+
+    return {
+      valid,
+      score,
+      label: PasswordPolicy.SCORE_LABELS[score],
+      rules: results.map(({ id, label, passed }) => ({ id, label, passed })),
+      firstError: failed ? failed.message : null
+    };
+  }
+
+  /**
+   * estimateScore() - Rough strength score from length and character pool
+   * @param {string} password
+   * @returns {number} - 0 (very weak) to 4 (very strong)
+   */
+  estimateScore(password) {
+    if (!password) return 0;
+
+    let pool = 0;
+    if (/\p{Ll}/u.test(password)) pool += 26;
+    if (/\p{Lu}/u.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[^\p{L}\d]/u.test(password)) pool += 33;
+
+    // Repetitions ("aaaa", "1212") add little entropy
+    const uniqueChars = new Set(password).size;
+    const effectiveLength = Math.min(password.length, uniqueChars * 2);
+    const entropy = effectiveLength * Math.log2(Math.max(pool, 1));
+
+    if (entropy < 28) return 0;
+    if (entropy < 40) return 1;
+    if (entropy < 60) return 2;
+    if (entropy < 80) return 3;
+    return 4;
+  }
+
+  /**
+   * isCommon() - Checks the password against the common list
+   * @param {string} password
+   * @returns {boolean}
+   */
+  isCommon(password) {
+    const lower = password.toLowerCase();
+    const stripped = lower.replace(/[\d\W_]+$/u, '').replace(/^[\d\W_]+/u, '');
+    return this.commonSet.has(lower) || (stripped.length > 0 && this.commonSet.has(stripped));
+  }
+
+  /**
+   * containsPersonalInfo() - Detects name or email parts in the password
+   * Only parts with at least 3 characters count, to avoid false positives.
+   * @param {string} password
+   * @param {Object} [context={}] - { name, email }
+   * @returns {boolean}
+   */
+  containsPersonalInfo(password, context = {}) {
+    const lower = password.toLowerCase();
+    const parts = [];
+
+    if (context.name) {
+      parts.push(...String(context.name).toLowerCase().split(/\s+/));
+    }
+    if (context.email) {
+      const [local, domain] = String(context.email).toLowerCase().split('@');
+      parts.push(local, ...local.split(/[._\-+]+/));
+      if (domain) parts.push(domain.split('.')[0]);
+    }
+
+    return parts.some(part => part && part.length >= 3 && lower.includes(part));
+  }
+}
+
+/**
+ * Labels per strength score
+ * @type {string[]}
+ */
+PasswordPolicy.SCORE_LABELS = ['Sehr schwach', 'Schwach', 'Mittel', 'Stark', 'Sehr stark'];
+
+/**
+ * PasswordStrengthMeter - Live strength bar and rule checklist for an input
+ *
+ * Renders below the input's field container and keeps it in sync on every
+ * keystroke. The checklist is linked via aria-describedby.
+ *
+ * @class PasswordStrengthMeter
+ */
+class PasswordStrengthMeter {
+  /**
+   * @constructor
+   * @param {HTMLInputElement} input - Password input to observe
+   * @param {Object} [options={}]
+   * @param {PasswordPolicy} [options.policy] - Policy to apply
+   * @param {Function} [options.getContext] - Returns { name, email } for personal-info checks
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.policy = options.policy || new PasswordPolicy();
+    this.getContext = options.getContext || (() => ({}));
+    if (!this.input) return;
+
+    this.render();
+    this.input.addEventListener('input', () => this.update());
+    this.update();
+  }
+
+  /**
+   * render() - Creates meter markup after the input
+   */
+  render() {
+    const id = `${this.input.id || 'password'}-meter`;
+
+    this.container = document.createElement('div');
+    this.container.className = 'password-meter';
+    this.container.id = id;
+
+    this.bar = document.createElement('div');
+    this.bar.className = 'password-meter__bar';
+    this.bar.setAttribute('aria-hidden', 'true');
+    this.fill = document.createElement('div');
+    this.fill.className = 'password-meter__fill';
+    this.bar.appendChild(this.fill);
+
+    this.label = document.createElement('p');
+    this.label.className = 'password-meter__label';
+    this.label.setAttribute('aria-live', 'polite');
+
+    this.list = document.createElement('ul');
+    this.list.className = 'password-meter__rules';
+    this.items = {};
+    this.policy.getRules().forEach(rule => {
+      const item = document.createElement('li');
+      item.className = 'password-meter__rule';
+      item.textContent = rule.label;
+      this.list.appendChild(item);
+      this.items[rule.id] = item;
+    });
+
+    this.container.append(this.bar, this.label, this.list);
+    this.input.insertAdjacentElement('afterend', this.container);
+
+    const describedBy = (this.input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(id)) describedBy.push(id);
+    this.input.setAttribute('aria-describedby', describedBy.join(' '));
+  }
+
+  /**
+   * update() - Re-evaluates the current value
+   * @returns {Object} - Evaluation result
+   */
+  update() {
+    const value = this.input.value;
+    const result = this.policy.evaluate(value, this.getContext());
+
+    this.container.dataset.score = value ? String(result.score) : '';
+    this.fill.style.width = value ? `${(result.score + 1) * 20}%` : '0';
+    this.label.textContent = value ? `Passwortstärke: ${result.label}` : '';
+
+    result.rules.forEach(rule => {
+      const item = this.items[rule.id];
+      if (!item) return;
+      item.classList.toggle('password-meter__rule--passed', rule.passed);
+      item.setAttribute('aria-label', `${rule.label}: ${rule.passed ? 'erfüllt' : 'nicht erfüllt'}`);
+    });
+
+    return result;
+  }
+}
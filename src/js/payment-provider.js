@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Payment Provider - Adapter for plan payments
+ *
+ * The checkout talks to a payment provider through one small promise-based
+ * interface, so a real PSP (SEPA direct debit, card, …) can be plugged in
+ * without touching the wizard:
+ *
+ *   charge({ plan, billingCycle, amount, currency, iban, holder, email, reference })
+ *     → { paymentId, status: 'succeeded', mandateReference }
+ *
+ * `amount` is the gross amount in cents. Failures reject with a
+ * PaymentError carrying a stable `code` (see PAYMENT_ERROR_MESSAGES).
+ *
+ * Providers (`KERNWERK_CONFIG.payment.provider`):
+ * - 'fake': Local stand-in that never moves money (default). Test IBANs:
+ *           DE35 3704 0044 0532 0130 99 is declined,
+ *           DE68 3704 0044 0000 0000 00 fails with a network error,
+ *           every other valid IBAN succeeds.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * Default user-facing messages per payment error code
+ * @type {Object<string, string>}
+ */
+const PAYMENT_ERROR_MESSAGES = {
+  payment_declined: 'Die Zahlung wurde abgelehnt. Bitte prüfen Sie Ihre Bankverbindung.',
+  invalid_details: 'Die Zahlungsdaten sind ungültig',
+  network_error: 'Der Zahlungsanbieter ist nicht erreichbar. Bitte versuchen Sie es später erneut.',
+  provider_error: 'Bei der Zahlung ist ein Fehler aufgetreten. Bitte versuchen Sie es erneut.'
+};
+
+/**
+ * PaymentError - Error type for all provider failures
+ *
+ * @class PaymentError
+ * @extends Error
+ */
+class PaymentError extends Error {
+  /**
+   * @constructor
+   * @param {string} code - Stable error code (see PAYMENT_ERROR_MESSAGES)
+   * @param {string} [message] - Human readable message, defaults per code
+   * @param {Object} [details={}] - Extra data (field, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message || PAYMENT_ERROR_MESSAGES[code] || PAYMENT_ERROR_MESSAGES.provider_error);
+    this.name = 'PaymentError';
+    this.code = code || 'provider_error';
+    this.details = details;
+  }
+}
+
+/**
+ * FakePaymentProvider - Local stand-in for a payment service
+ *
+ * Validates like a real provider would and answers after a short delay,
+ * but never contacts anyone. Payment IDs start with `pay_`.
+ *
+ * @class FakePaymentProvider
+ */
+class FakePaymentProvider {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.delay=800] - Simulated processing time in ms
+   */
+  constructor(options = {}) {
+    this.delay = options.delay ?? 800;
+    this.declinedIbans = ['DE35370400440532013099'];
+    this.unreachableIbans = ['DE68370400440000000000'];
+  }
+
+  /**
+   * wait() - Simulated processing time
+   * @returns {Promise<void>}
+   */
+  wait() {
+    return new Promise(resolve => setTimeout(resolve, this.delay));
+  }
+
+  /**
+   * randomId() - Random identifier with a prefix
+   * @param {string} prefix
+   * @returns {string}
+   */
+  randomId(prefix) {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return `${prefix}_${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * charge() - Collects a payment (see interface above)
+   * @param {Object} payment
+   * @returns {Promise<{paymentId: string, status: string, mandateReference: string}>}
+   * @throws {PaymentError}
+   */
+  async charge(payment = {}) {
+    await this.wait();
+
+    const iban = Billing.normalizeIban(payment.iban);
+    if (!Billing.isValidIban(iban)) {
+      throw new PaymentError('invalid_details', 'Die IBAN ist ungültig', { field: 'iban' });
+    }
+    if (!Number.isInteger(payment.amount) || payment.amount <= 0) {
+      throw new PaymentError('invalid_details', 'Ungültiger Betrag');
+    }
+    if (this.unreachableIbans.includes(iban)) {
+      throw new PaymentError('network_error');
+    }
+    if (this.declinedIbans.includes(iban)) {
+      throw new PaymentError('payment_declined', undefined, { field: 'iban' });
+    }
+
+    const paymentId = this.randomId('pay');
+    console.info(`[FakePaymentProvider] ${payment.plan}: ${Billing.formatAmount(payment.amount, { currency: payment.currency })} → ${paymentId}`);
+    return {
+      paymentId,
+      status: 'succeeded',
+      mandateReference: this.randomId('mandate').toUpperCase()
+    };
+  }
+}
+
+/**
+ * createPaymentProvider() - Builds the provider selected in the config
+ * @param {Object} [config={}] - `payment` section of KERNWERK_CONFIG
+ * @returns {FakePaymentProvider}
+ */
+function createPaymentProvider(config = {}) {
+  if (config.provider && config.provider !== 'fake') {
+    console.warn(`Unknown payment provider "${config.provider}", using the fake provider`);
+  }
+  return new FakePaymentProvider(config.fake || {});
+}
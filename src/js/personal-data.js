@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Personal Data - Export and wipe of locally stored data
+ *
+ * Self-service for the data the site keeps in the browser. Every module
+ * stores its state under a `kernwerk_` key, so export and deletion work
+ * on that prefix instead of a hard-coded list of keys.
+ *
+ * Features:
+ * - Collects all `kernwerk_*` entries from localStorage and sessionStorage
+ * - Secrets (tokens, password hashes, 2FA keys) are replaced by a placeholder
+ * - Data of other accounts remembered on this device is left out
+ * - Downloads the result as a JSON file
+ * - Wipes the user's `kernwerk_*` entries and IndexedDB databases (e.g. the
+ *   outbox of unsent contact requests). Shared entries only lose the
+ *   user's part, so other accounts on this device stay signed in.
+ *
+ * Usage:
+ *   const data = PersonalData.collect(authManager.getUser());
+ *   PersonalData.download(data);
+ *   PersonalData.wipe(authManager.getUser());
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+const PersonalData = {
+  /**
+   * Prefix shared by all storage keys of the site
+   * @type {string}
+   */
+  STORAGE_PREFIX: 'kernwerk_',
+
+  /**
+   * Property names whose values are never exported
+   * @type {RegExp}
+   */
+  SECRET_PATTERN: /token$|verifier$|secret$|^passwordHash$|^recoveryCodes$/i,
+
+  /**
+   * Per-key adjustments. Returning undefined leaves the key out.
+   * @type {Object<string, Function>}
+   */
+  sanitizers: {
+    // Other remembered accounts may belong to other people
+    kernwerk_accounts: () => undefined,
+
+    // Demo backend: only the own account, no other users
+    kernwerk_mock_backend: (value, user) => {
+      const account = value?.accounts?.[user?.email];
+      if (!account) return undefined;
+      const { reset, ...ownAccount } = account;
+      const sessions = Object.values(value.sessions || {}).filter(session => session.email === user.email);
+      return { account: ownAccount, sessions };
+    },
+
+    // Per-email maps: only the own address
+    kernwerk_login_throttle: (value, user) => PersonalData.ownEntry(value, user),
+    kernwerk_verify_cooldown: (value, user) => PersonalData.ownEntry(value, user),
+    kernwerk_hotkeys: (value, user) => PersonalData.ownEntry(value, user)
+  },
+
+  /**
+   * Per-key reductions for wipe() on entries shared by several accounts.
+   * They return the value without the user's data; undefined removes the key.
+   * @type {Object<string, Function>}
+   */
+  scopers: {
+    kernwerk_accounts: (value, user) => {
+      const others = (Array.isArray(value) ? value : []).filter(entry => !PersonalData.isOwn(entry?.user?.email, user));
+      return others.length ? others : undefined;
+    },
+
+    // Demo backend: drop the own account, its sessions and pending requests
+    kernwerk_mock_backend: (value, user) => {
+      if (!value || typeof value !== 'object') return undefined;
+      const withoutOwn = map => Object.fromEntries(
+        Object.entries(map || {}).filter(([, entry]) => !PersonalData.isOwn(entry?.email, user))
+      );
+      return {
+        ...value,
+        accounts: PersonalData.withoutOwnEntry(value.accounts, user) || {},
+        sessions: withoutOwn(value.sessions),
+        mfaChallenges: withoutOwn(value.mfaChallenges),
+        resetRequests: PersonalData.withoutOwnEntry(value.resetRequests, user) || {}
+      };
+    },
+
+    kernwerk_login_throttle: (value, user) => PersonalData.withoutOwnEntry(value, user),
+    kernwerk_verify_cooldown: (value, user) => PersonalData.withoutOwnEntry(value, user),
+    kernwerk_hotkeys: (value, user) => PersonalData.withoutOwnEntry(value, user)
+  },
+
+  /**
+   * isOwn() - Whether an email address is the user's (case-insensitive)
+   * @param {string} email
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  isOwn(email, user) {
+    return Boolean(email && user?.email) && String(email).toLowerCase() === String(user.email).toLowerCase();
+  },
+
+  /**
+   * ownEntry() - Reduce a map keyed by email to the user's own entry
+   * @param {Object} value
+   * @param {Object} user
+   * @returns {Object|undefined}
+   */
+  ownEntry(value, user) {
+    const key = Object.keys(value || {}).find(entry => PersonalData.isOwn(entry, user));
+    return key ? { [key]: value[key] } : undefined;
+  },
+
+  /**
+   * withoutOwnEntry() - Remove the user's own entry from a map keyed by email
+   * @param {Object} value
+   * @param {Object} user
+   * @returns {Object|undefined} - undefined if nothing else is left
+   */
+  withoutOwnEntry(value, user) {
+    const keys = Object.keys(value || {}).filter(entry => !PersonalData.isOwn(entry, user));
+    return keys.length ? Object.fromEntries(keys.map(key => [key, value[key]])) : undefined;
+  },
+
+  /**
+   * storageKeys() - All keys of a storage that belong to the site
+   * @param {Storage} storage
+   * @returns {string[]}
+   */
+  storageKeys(storage) {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(PersonalData.STORAGE_PREFIX)) keys.push(key);
+    }
+    return keys;
+  },
+
+  /**
+   * redact() - Deep copy with secret values replaced
+   * @param {*} value
+   * @returns {*}
+   */
+  redact(value) {
+    if (Array.isArray(value)) return value.map(item => PersonalData.redact(item));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = PersonalData.SECRET_PATTERN.test(key) && value[key]
+        ? '[entfernt]'
+        : PersonalData.redact(value[key]);
+    });
+    return copy;
+  },
+
+  /**
+   * collect() - Builds the export for the given user
+   * @param {Object|null} user - Active user from AuthManager
+   * @returns {Object} - { exportedAt, account, localStorage, sessionStorage }
+   */
+  collect(user) {
+    const result = {
+      exportedAt: new Date().toISOString(),
+      account: user?.email || null,
+      localStorage: {},
+      sessionStorage: {}
+    };
+
+    [['localStorage', window.localStorage], ['sessionStorage', window.sessionStorage]].forEach(([area, storage]) => {
+      if (!storage) return;
+      PersonalData.storageKeys(storage).forEach(key => {
+        const raw = storage.getItem(key);
+        let value;
+        try {
+          value = JSON.parse(raw);
+        } catch (e) {
+          value = raw;
+        }
+
+        const sanitize = PersonalData.sanitizers[key];
+        const sanitized = sanitize ? sanitize(value, user) : value;
+        if (sanitized !== undefined) result[area][key] = PersonalData.redact(sanitized);
+      });
+    });
+
+    return result;
+  },
+
+  /**
+   * download() - Saves the export as a JSON file
+   * @param {Object} data - Result of collect()
+   * @param {string} [filename] - Defaults to kernwerk-daten-YYYY-MM-DD.json
+   */
+  download(data, filename) {
+    const name = filename || `kernwerk-daten-${new Date().toISOString().slice(0, 10)}.json`;
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * wipe() - Removes the user's `kernwerk_*` entries from both storages
+   * Shared entries (see scopers) keep the data of other accounts; all other
+   * keys are removed. Without a user everything is removed. IndexedDB
+   * databases are deleted in the background (wipeDatabases()).
+   * @param {Object|null} [user] - Active user from AuthManager
+   * @returns {string[]} - Removed or reduced keys
+   */
+  wipe(user) {
+    const removed = [];
+    [window.localStorage, window.sessionStorage].forEach(storage => {
+      if (!storage) return;
+      PersonalData.storageKeys(storage).forEach(key => {
+        const scope = user && PersonalData.scopers[key];
+        let rest;
+        if (scope) {
+          try {
+            rest = scope(JSON.parse(storage.getItem(key)), user);
+          } catch (e) {
+            rest = undefined;
+          }
+        }
+
+        if (rest === undefined) {
+          storage.removeItem(key);
+        } else {
+          storage.setItem(key, JSON.stringify(rest));
+        }
+        removed.push(key);
+      });
+    });
+    PersonalData.wipeDatabases().catch(e => console.warn('IndexedDB could not be wiped:', e));
+    return removed;
+  },
+
+  /**
+   * wipeDatabases() - Deletes every `kernwerk_*` IndexedDB database
+   * Needs indexedDB.databases(); older browsers keep their databases.
+   * @returns {Promise<string[]>} - Deleted database names
+   */
+  async wipeDatabases() {
+    if (typeof indexedDB === 'undefined' || !indexedDB.databases) return [];
+
+    const names = (await indexedDB.databases())
+      .map(db => db.name)
+      .filter(name => name && name.startsWith(PersonalData.STORAGE_PREFIX));
+
+    await Promise.all(names.map(name => new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      // Another tab still has it open; it is deleted once that tab closes
+      request.onblocked = () => resolve();
+    })));
+    return names;
+  }
+};
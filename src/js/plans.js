@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Plans - Data-driven pricing cards
+ *
+ * Renders the plans section from `src/data/plans.json`, so prices,
+ * features and button labels change without touching index.html.
+ *
+ * Features:
+ * - Monthly / yearly switch; the yearly discount is calculated from the
+ *   two prices and shown on the switch and on each card
+ * - Prices formatted with Intl.NumberFormat for the page locale
+ *   (`<html lang>`) and the currency of the data file
+ * - Card buttons: `data-plan` starts the checkout (checkout.js),
+ *   `data-plan-inquiry` is for plans sold through sales
+ * - One "Zum Plan …" command per plan in the command palette
+ *
+ * Data format (prices are net amounts in cents, `price: null` = on request):
+ *   {
+ *     "currency": "EUR",
+ *     "plans": [{
+ *       "id": "professional", "tag": "Teams", "name": "Professional",
+ *       "description": "…", "features": ["…"],
+ *       "price": { "monthly": 2900, "yearly": 29000 },
+ *       "cta": { "label": "{price} – Demo sichern", "action": "checkout" }
+ *     }]
+ *   }
+ * `{price}` in a label is replaced by the price of the selected period.
+ *
+ * Settings (`KERNWERK_CONFIG.plans`): `url` of the data file, `locale`
+ * to override the page language.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * PlansSection Class - Loads the plan data and renders the cards
+ *
+ * @class PlansSection
+ */
+class PlansSection {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {string} [options.url='src/data/plans.json'] - Plan data, relative to the page
+   * @param {string} [options.locale] - Number format locale (default: `<html lang>`)
+   */
+  constructor(options = {}) {
+    this.grid = document.getElementById('plans-grid');
+    this.cycleSwitch = document.getElementById('plans-cycle');
+    this.status = document.getElementById('plans-status');
+
+    // Resolved now: the router may change the page path later
+    this.url = new URL(options.url || 'src/data/plans.json', document.baseURI).href;
+    this.locale = options.locale || document.documentElement.lang || navigator.language || 'de-DE';
+    this.currency = 'EUR';
+    this.plans = [];
+    this.billingCycle = 'monthly';
+
+    // Resolves once the data is loaded (or failed to load)
+    this.ready = this.grid ? this.init() : Promise.resolve();
+  }
+
+  /**
+   * Wire up the switch and render the plans
+   *
+   * @method init
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.cycleSwitch?.addEventListener('change', (e) => {
+      if (e.target.name === 'plans-cycle') this.setBillingCycle(e.target.value);
+    });
+
+    try {
+      const data = await this.load();
+      this.currency = data.currency || this.currency;
+      this.plans = Array.isArray(data.plans) ? data.plans : [];
+      this.render();
+      this.registerCommands();
+    } catch (e) {
+      console.error('Plans could not be loaded:', e);
+      if (this.status) this.status.textContent = 'Die Pläne konnten nicht geladen werden. Bitte laden Sie die Seite neu.';
+    }
+  }
+
+  /**
+   * Fetch the plan data
+   *
+   * @method load
+   * @returns {Promise<Object>}
+   * @throws {Error} - Network error or non-2xx response
+   */
+  async load() {
+    const response = await fetch(this.url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * "Zum Plan …" entries in the command palette (command-palette.js)
+   *
+   * @method registerCommands
+   * @returns {void}
+   */
+  registerCommands() {
+    this.plans.forEach(plan => {
+      try {
+        window.commandPalette?.register({
+          id: `plan:${plan.id}`,
+          title: `Zum Plan „${plan.name}“`,
+          group: 'Pläne',
+          keywords: [plan.tag || '', 'preis'],
+          run: () => {
+            // Cards are re-rendered on every switch, so look the card up now
+            const card = Array.from(this.grid.children).find(child => child.dataset.planId === plan.id);
+            if (card) window.commandPalette.jumpTo(card, card.querySelector('.plans-grid__cta'));
+          }
+        });
+      } catch (e) {
+        console.warn('Plan command not registered:', e.message);
+      }
+    });
+  }
+
+  /**
+   * Plan by id
+   *
+   * @method getPlan
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getPlan(id) {
+    return this.plans.find(plan => plan.id === id) || null;
+  }
+
+  /**
+   * Net price of a plan for a billing period in cents (null = on request)
+   *
+   * @method getPrice
+   * @param {string} id
+   * @param {string} [cycle=this.billingCycle] - 'monthly' | 'yearly'
+   * @returns {number|null}
+   */
+  getPrice(id, cycle = this.billingCycle) {
+    const price = this.getPlan(id)?.price;
+    return price && Number.isInteger(price[cycle]) ? price[cycle] : null;
+  }
+
+  /**
+   * Yearly saving compared to twelve monthly payments
+   *
+   * @method getYearlyDiscount
+   * @param {Object} plan
+   * @returns {number} - Share between 0 and 1 (0 = no discount)
+   */
+  getYearlyDiscount(plan) {
+    const { monthly, yearly } = plan?.price || {};
+    if (!monthly || !Number.isInteger(yearly)) return 0;
+    return Math.max(0, 1 - yearly / (monthly * 12));
+  }
+
+  /**
+   * Format a net amount for display
+   * Whole amounts are shown without decimals (29 € instead of 29,00 €).
+   *
+   * @method formatPrice
+   * @param {number} cents
+   * @returns {string}
+   */
+  formatPrice(cents) {
+    return new Intl.NumberFormat(this.locale, {
+      style: 'currency',
+      currency: this.currency,
+      minimumFractionDigits: cents % 100 === 0 ? 0 : 2,
+      maximumFractionDigits: 2
+    }).format(cents / 100);
+  }
+
+  /**
+   * Format a percentage (0.17 → "17 %")
+   *
+   * @method formatPercent
+   * @param {number} share
+   * @returns {string}
+   */
+  formatPercent(share) {
+    return new Intl.NumberFormat(this.locale, { style: 'percent', maximumFractionDigits: 0 }).format(share);
+  }
+
+  /**
+   * Switch between monthly and yearly prices
+   *
+   * @method setBillingCycle
+   * @param {string} cycle - 'monthly' | 'yearly'
+   * @returns {void}
+   */
+  setBillingCycle(cycle) {
+    if (!['monthly', 'yearly'].includes(cycle) || cycle === this.billingCycle) return;
+    this.billingCycle = cycle;
+
+    const input = this.cycleSwitch?.querySelector(`input[value="${cycle}"]`);
+    if (input) input.checked = true;
+
+    this.render();
+  }
+
+  /**
+   * Render the switch, the cards and the counter
+   *
+   * @method render
+   * @returns {void}
+   */
+  render() {
+    const count = document.getElementById('plans-count');
+    if (count) count.textContent = String(this.plans.length);
+
+    // The switch only makes sense if some plan has a yearly price
+    const discounts = this.plans.map(plan => this.getYearlyDiscount(plan));
+    const best = Math.max(0, ...discounts);
+    const hasYearly = this.plans.some(plan => plan.price?.monthly > 0);
+    if (this.cycleSwitch) this.cycleSwitch.hidden = !hasYearly;
+
+    const badge = document.getElementById('plans-cycle-discount');
+    if (badge) {
+      const uniform = discounts.filter(Boolean).every(share => share === best);
+      badge.textContent = best > 0 ? `${uniform ? '' : 'bis zu '}−${this.formatPercent(best)}` : '';
+      badge.hidden = best === 0;
+    }
+
+    const note = document.getElementById('plans-note');
+    if (note) note.hidden = !hasYearly;
+
+    this.grid.replaceChildren(...this.plans.map((plan, index) => this.renderCard(plan, index)));
+  }
+
+  /**
+   * Build one pricing card
+   *
+   * @method renderCard
+   * @param {Object} plan
+   * @param {number} index - Position (card modifier for the grid layout)
+   * @returns {HTMLElement}
+   */
+  renderCard(plan, index) {
+    const card = this.createElement('div', `plans-grid__card plans-grid__card--${index + 1}`);
+    card.dataset.planId = plan.id;
+
+    card.append(this.createElement('div', 'text-smallcaps tag', plan.tag || plan.name));
+
+    const content = this.createElement('div', 'plans-grid__content');
+    content.append(
+      this.createElement('h3', 'plans-grid__title', plan.name),
+      this.renderPrice(plan),
+      this.createElement('p', 'plans-grid__desc', plan.description || '')
+    );
+
+    const features = this.createElement('ul', 'plans-grid__features');
+    (plan.features || []).forEach(feature => {
+      features.append(this.createElement('li', 'plans-grid__feature', feature));
+    });
+    content.append(features);
+    card.append(content);
+
+    const cta = this.createElement('a', 'buttonMd plans-grid__cta', this.getCtaLabel(plan));
+    cta.href = '#plans';
+    if (plan.cta?.action === 'inquiry') {
+      cta.dataset.planInquiry = plan.id;
+    } else {
+      cta.dataset.plan = plan.id;
+    }
+    card.append(cta);
+
+    return card;
+  }
+
+  /**
+   * Price line of a card for the selected period
+   *
+   * @method renderPrice
+   * @param {Object} plan
+   * @returns {HTMLElement}
+   */
+  renderPrice(plan) {
+    const wrapper = this.createElement('div', 'plans-grid__price');
+    const amount = this.getPrice(plan.id);
+
+    if (amount === null) {
+      wrapper.append(this.createElement('p', 'plans-grid__amount', 'Preis auf Anfrage'));
+      return wrapper;
+    }
+    if (amount === 0) {
+      wrapper.append(this.createElement('p', 'plans-grid__amount', 'Kostenlos'));
+      return wrapper;
+    }
+
+    const yearly = this.billingCycle === 'yearly';
+    const line = this.createElement('p', 'plans-grid__amount', this.formatPrice(amount));
+    line.append(this.createElement('span', 'plans-grid__period', yearly ? ' / Jahr' : ' / Monat'));
+    wrapper.append(line);
+
+    const discount = this.getYearlyDiscount(plan);
+    if (yearly) {
+      const perMonth = `entspricht ${this.formatPrice(Math.round(amount / 12))} / Monat`;
+      const saving = discount > 0
+        ? ` · Sie sparen ${this.formatPrice(plan.price.monthly * 12 - amount)} (${this.formatPercent(discount)})`
+        : '';
+      wrapper.append(this.createElement('p', 'plans-grid__saving', perMonth + saving));
+    } else if (discount > 0) {
+      wrapper.append(this.createElement('p', 'plans-grid__saving', `Jährlich ${this.formatPercent(discount)} günstiger`));
+    }
+    return wrapper;
+  }
+
+  /**
+   * Button label with `{price}` filled in
+   *
+   * @method getCtaLabel
+   * @param {Object} plan
+   * @returns {string}
+   */
+  getCtaLabel(plan) {
+    const label = plan.cta?.label || 'Plan wählen';
+    if (!label.includes('{price}')) return label;
+
+    const amount = this.getPrice(plan.id) || 0;
+    const period = this.billingCycle === 'yearly' ? 'Jahr' : 'Monat';
+    return label.replace('{price}', `${this.formatPrice(amount)}/${period}`);
+  }
+
+  /**
+   * Create an element with class and text
+   *
+   * @method createElement
+   * @param {string} tag
+   * @param {string} className
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+/**
+ * IIFE - Initialize the plans section after DOM is ready
+ * The instance is exposed as window.plans.
+ */
+(function initPlans() {
+  const initFn = () => {
+    try {
+      window.plans = new PlansSection(window.KERNWERK_CONFIG?.plans);
+    } catch (e) {
+      console.error('Plans initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
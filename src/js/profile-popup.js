@@ -4,10 +4,32 @@
  * ============================================
  * 
  * Zeigt Benutzer-Profil mit:
- * - Avatar mit Initialen
+ * - Avatar (hochgeladenes Bild oder Initialen, siehe avatar.js)
  * - Name und E-Mail
  * - Bio/Beschreibung
- * - Registrierungsdatum
+ * - Registrierungsdatum und letzte Anmeldung
+ * - Plan und Rollen (siehe AuthManager.checkAccess())
+ *
+ * Bearbeitungsmodus für Name, Bio und Profilbild mit
+ * Inline-Validierung (form-validator.js); gespeichert wird über
+ * AuthManager.updateProfile(). Hochgeladene Bilder werden im Browser
+ * quadratisch zugeschnitten und verkleinert (AvatarCropper).
+ *
+ * Kontowechsel: Liste aller gemerkten Konten mit Wechseln/Abmelden,
+ * "Weiteres Konto hinzufügen" und "Von allen Konten abmelden".
+ *
+ * Zwei-Faktor-Authentifizierung: Einrichtung per QR-Code (qr-code.js,
+ * totp.js), Bestätigung mit dem ersten Code, einmalige Anzeige der
+ * Wiederherstellungscodes; Deaktivieren und neue Codes nur mit gültigem Code.
+ *
+ * Datenschutz: "Meine Daten exportieren" (JSON-Download) und
+ * "Konto löschen" mit Bestätigung per E-Mail-Eingabe (personal-data.js).
+ *
+ * Außerdem: Avatar-Badge am PROFIL-Button der Navigation.
+ *
+ * Dialog-Verhalten (ESC, Fokusfalle, Scroll-Sperre, Fokus-Rückgabe)
+ * übernimmt der gemeinsame DialogManager (dialog-manager.js); die URL
+ * /profile öffnet das Popup direkt (router.js).
  */
 
 class ProfilePopup {
@@ -24,6 +46,14 @@ class ProfilePopup {
 
       this.overlay = this.popup.querySelector('.auth-modal__overlay');
       this.closeBtn = this.popup.querySelector('.auth-modal__close');
+      this.view = document.getElementById('profile-view');
+      this.editForm = document.getElementById('profile-edit-form');
+      this.editBtn = document.getElementById('profile-edit-button');
+      this.cancelBtn = document.getElementById('profile-edit-cancel');
+      this.bioCounter = document.getElementById('profile-bio-counter');
+      this.bioMaxLength = 280;
+      this.avatarSize = 128;                 // Ausgabegröße des Profilbilds in px
+      this.pendingAvatar = undefined;        // undefined = unverändert, null = entfernt
 
       this.init();
     } catch (e) {
@@ -42,11 +72,11 @@ class ProfilePopup {
       // Overlay click to close
       this.overlay?.addEventListener('click', () => this.close());
       
-      // ESC key to close
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.popup?.classList.contains('active')) {
-          this.close();
-        }
+      // ESC, Fokusfalle und Scroll-Sperre über den gemeinsamen DialogManager
+      window.dialogManager?.register(this.popup, {
+        panel: '.auth-modal__content',
+        labelledBy: 'popup-name',
+        onRequestClose: () => this.close()
       });
 
       // Profile button from nav
@@ -58,6 +88,36 @@ class ProfilePopup {
         });
       }
 
+      // Schließen, wenn der Benutzer abgemeldet wird (auch aus anderem Tab),
+      // sonst Anzeige aktualisieren (z.B. Profil in anderem Tab geändert)
+      document.addEventListener('auth:change', (e) => {
+        this.updateNavBadge(e.detail?.user);
+        if (!this.popup?.classList.contains('active')) return;
+        if (!e.detail?.user) {
+          this.close();
+        } else {
+          this.render(e.detail.user);
+          // Kontowechsel: nicht im Formular des vorherigen Kontos bleiben
+          if (this.editForm && !this.editForm.hidden && e.detail.user.email !== this.editingEmail) {
+            this.showEdit(false);
+          }
+          if (this.mfaEmail && e.detail.user.email !== this.mfaEmail) {
+            this.showMfaPanel(null);
+          }
+        }
+      });
+
+      // "Pläne ansehen" schließt das Popup und scrollt zu den Plänen
+      document.getElementById('profile-plan-change')?.addEventListener('click', () => {
+        window.authManager?.showPlans();
+      });
+
+      this.setupEditForm();
+      this.setupAccountSwitcher();
+      this.setupMfa();
+      this.setupPersonalData();
+      this.updateNavBadge(window.authManager?.getUser());
+
       console.log('ProfilePopup initialized');
     } catch (e) {
       console.error('ProfilePopup init error:', e);
@@ -67,7 +127,7 @@ class ProfilePopup {
   /**
    * open() - Öffnet das Profil-Popup
    * - Füllt Benutzer-Daten
-   * - Berechnet Avatar-Initialen
+   * - Startet immer in der Ansicht (nicht im Bearbeitungsmodus)
    * - Zeigt Popup an
    */
   open() {
@@ -77,42 +137,15 @@ class ProfilePopup {
         return;
       }
 
-      const user = window.authManager.getUser();
-      
-      // Fülle Benutzer-Daten
-      const nameEl = document.getElementById('popup-name');
-      const emailEl = document.getElementById('popup-email');
-      const dateEl = document.getElementById('popup-date');
-      const avatarEl = document.getElementById('popup-avatar');
-      const bioEl = document.getElementById('popup-bio');
-
-      if (nameEl) nameEl.textContent = user.name || 'Benutzer';
-      if (emailEl) emailEl.textContent = user.email || '—';
-      
-      // Avatar mit Initialen
-      if (avatarEl && user.name) {
-        avatarEl.textContent = this.getInitials(user.name);
-      }
-
-      // Bio
-      if (bioEl) {
-        bioEl.textContent = user.bio || `Willkommen auf KERNWERK SYSTEMS! Ein kognitives Entlastungssystem für handlungsfähiges Arbeiten.`;
-      }
-      
-      // Registrierungsdatum
-      if (dateEl && user.loginTime) {
-        const date = new Date(user.loginTime);
-        const dateStr = date.toLocaleDateString('de-DE', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        });
-        dateEl.textContent = dateStr;
-      }
+      this.render(window.authManager.getUser());
+      this.showEdit(false);
+      this.showDeleteForm(false);
+      this.showMfaPanel(null);
 
       // Zeige Popup
       this.popup.classList.add('active');
-      document.body.style.overflow = 'hidden';
+      window.dialogManager?.open(this.popup);
+      window.router?.sync();
 
       console.log('Profile popup opened');
     } catch (e) {
@@ -120,31 +153,707 @@ class ProfilePopup {
     }
   }
 
+  /**
+   * render() - Füllt die Ansicht mit den Benutzerdaten
+   * @param {Object} user - Benutzer aus dem AuthManager
+   */
+  render(user) {
+    const nameEl = document.getElementById('popup-name');
+    const emailEl = document.getElementById('popup-email');
+    const dateEl = document.getElementById('popup-date');
+    const lastLoginEl = document.getElementById('popup-last-login');
+    const bioEl = document.getElementById('popup-bio');
+
+    if (nameEl) nameEl.textContent = user.name || 'Benutzer';
+    if (emailEl) emailEl.textContent = user.email || '—';
+
+    this.renderAvatar(user);
+
+    // Bio
+    if (bioEl) {
+      bioEl.textContent = user.bio || `Willkommen auf KERNWERK SYSTEMS! Ein kognitives Entlastungssystem für handlungsfähiges Arbeiten.`;
+    }
+
+    // Registrierungsdatum (vom Server) und letzte Anmeldung (lokal)
+    if (dateEl) dateEl.textContent = this.formatDate(user.createdAt);
+    if (lastLoginEl) lastLoginEl.textContent = this.formatDate(user.lastLoginAt, true);
+
+    // Plan und Rollen
+    const auth = window.authManager;
+    const planEl = document.getElementById('popup-plan');
+    const rolesEl = document.getElementById('popup-roles');
+    if (planEl) planEl.textContent = auth?.planLabels[user.plan] || user.plan || '—';
+    if (rolesEl) {
+      rolesEl.textContent = (user.roles || []).map(role => auth?.roleLabels[role] || role).join(', ') || '—';
+    }
+
+    // SSO-Profile werden beim Identitätsanbieter gepflegt
+    const isSso = user.provider === 'oidc';
+    if (this.editBtn) this.editBtn.hidden = isSso;
+    const ssoHint = document.getElementById('profile-sso-hint');
+    if (ssoHint) ssoHint.hidden = !isSso;
+
+    this.renderMfa(user);
+    this.renderAccounts();
+  }
+
+  /**
+   * setupAccountSwitcher() - Events der Kontenliste
+   */
+  setupAccountSwitcher() {
+    this.accountsList = document.getElementById('profile-accounts-list');
+
+    document.getElementById('profile-account-add')?.addEventListener('click', () => {
+      this.close();
+      window.authModal?.open('login');
+    });
+
+    document.getElementById('profile-logout-all')?.addEventListener('click', () => {
+      window.authManager?.logoutAll();
+    });
+
+    // Ein Listener für alle Einträge (Liste wird neu gerendert)
+    this.accountsList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-account-action]');
+      if (!button) return;
+      const { accountAction, email } = button.dataset;
+      if (accountAction === 'switch') this.switchAccount(email);
+      if (accountAction === 'logout') window.authManager?.logout(email);
+    });
+  }
+
+  /**
+   * renderAccounts() - Füllt die Kontenliste (aktives Konto zuerst)
+   */
+  renderAccounts() {
+    if (!this.accountsList || !window.authManager) return;
+
+    const accounts = window.authManager.getAccounts();
+    this.accountsList.textContent = '';
+
+    accounts.forEach(account => {
+      const item = document.createElement('li');
+      item.className = 'profile-accounts__item' + (account.active ? ' profile-accounts__item--active' : '');
+
+      const avatar = document.createElement('span');
+      avatar.className = 'nav-avatar profile-accounts__avatar';
+      avatar.setAttribute('aria-hidden', 'true');
+      Avatar.render(avatar, account);
+
+      const info = document.createElement('span');
+      info.className = 'profile-accounts__info';
+      const name = document.createElement('strong');
+      name.textContent = account.name;
+      const email = document.createElement('span');
+      email.className = 'profile-accounts__email';
+      email.textContent = account.active ? `${account.email} · aktiv` : account.email;
+      info.append(name, email);
+
+      item.append(avatar, info);
+
+      if (!account.active) {
+        item.appendChild(this.createAccountButton('switch', account, 'Wechseln', `Zu ${account.name} wechseln`));
+      }
+      item.appendChild(this.createAccountButton('logout', account, 'Abmelden', `${account.name} abmelden`));
+      this.accountsList.appendChild(item);
+    });
+
+    const logoutAll = document.getElementById('profile-logout-all');
+    if (logoutAll) logoutAll.hidden = accounts.length < 2;
+  }
+
+  /**
+   * setupMfa() - Events für Einrichtung, Deaktivierung und Wiederherstellungscodes
+   */
+  setupMfa() {
+    this.mfaSection = document.getElementById('profile-mfa');
+    this.mfaSetupForm = document.getElementById('profile-mfa-setup-form');
+    this.mfaConfirmForm = document.getElementById('profile-mfa-confirm-form');
+    this.mfaCodes = document.getElementById('profile-mfa-codes');
+    if (!this.mfaSection || !this.mfaSetupForm || !this.mfaConfirmForm) return;
+
+    const { required, custom } = FormValidator.rules;
+    this.mfaSetupValidator = new FormValidator(this.mfaSetupForm, {
+      'profile-mfa-setup-code': [
+        required('Bitte geben Sie den Code aus der App ein'),
+        custom(value => (/^\d{6}$/.test(value.replace(/\s/g, '')) ? null : 'Der Code besteht aus 6 Ziffern'))
+      ]
+    });
+    this.mfaConfirmValidator = new FormValidator(this.mfaConfirmForm, {
+      'profile-mfa-confirm-code': [required('Bitte geben Sie einen Code ein')]
+    });
+
+    document.getElementById('profile-mfa-enable')?.addEventListener('click', () => this.startMfaSetup());
+    document.getElementById('profile-mfa-disable')?.addEventListener('click', () => this.showMfaConfirm('disable'));
+    document.getElementById('profile-mfa-regenerate')?.addEventListener('click', () => this.showMfaConfirm('regenerate'));
+    document.getElementById('profile-mfa-codes-download')?.addEventListener('click', () => this.downloadRecoveryCodes());
+    this.mfaSection.querySelectorAll('[data-mfa-cancel]').forEach(button => {
+      button.addEventListener('click', () => this.showMfaPanel(null));
+    });
+
+    this.mfaSetupForm.addEventListener('submit', (e) => this.handleMfaSetupSubmit(e));
+    this.mfaConfirmForm.addEventListener('submit', (e) => this.handleMfaConfirmSubmit(e));
+  }
+
+  /**
+   * renderMfa() - Status und passende Aktionen (nicht für SSO-Konten)
+   * @param {Object} user
+   */
+  renderMfa(user) {
+    if (!this.mfaSection) return;
+
+    // SSO: der zweite Faktor liegt beim Identitätsanbieter
+    this.mfaSection.hidden = user.provider === 'oidc';
+
+    const status = document.getElementById('profile-mfa-status');
+    if (status) {
+      if (user.mfaEnabled) {
+        status.textContent = 'Aktiv – bei der Anmeldung wird zusätzlich ein Code aus Ihrer Authenticator-App abgefragt.';
+      } else if (!user.emailVerified) {
+        status.textContent = 'Verfügbar, sobald Ihre E-Mail-Adresse bestätigt ist.';
+      } else {
+        status.textContent = 'Nicht aktiv. Schützen Sie Ihr Konto zusätzlich mit Codes aus einer Authenticator-App.';
+      }
+    }
+    document.getElementById('profile-mfa-enable').hidden = user.mfaEnabled;
+    document.getElementById('profile-mfa-regenerate').hidden = !user.mfaEnabled;
+    document.getElementById('profile-mfa-disable').hidden = !user.mfaEnabled;
+  }
+
+  /**
+   * showMfaPanel() - Zeigt höchstens eines der 2FA-Formulare
+   * @param {string|null} name - 'setup' | 'confirm' | 'codes' | null
+   */
+  showMfaPanel(name) {
+    if (!this.mfaSection) return;
+    if (this.mfaSetupForm) this.mfaSetupForm.hidden = name !== 'setup';
+    if (this.mfaConfirmForm) this.mfaConfirmForm.hidden = name !== 'confirm';
+    if (this.mfaCodes) this.mfaCodes.hidden = name !== 'codes';
+
+    this.mfaSetupValidator?.reset();
+    this.mfaConfirmValidator?.reset();
+    ['profile-mfa-setup-code', 'profile-mfa-confirm-code'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+
+    // Codes nicht länger als nötig im DOM lassen
+    if (name !== 'codes') {
+      this.recoveryCodes = null;
+      const list = document.getElementById('profile-mfa-codes-list');
+      if (list) list.textContent = '';
+    }
+    this.mfaEmail = name ? window.authManager?.getUser()?.email : null;
+  }
+
+  /**
+   * startMfaSetup() - Holt ein neues Geheimnis und zeigt es als QR-Code
+   */
+  async startMfaSetup() {
+    const button = document.getElementById('profile-mfa-enable');
+    if (button) button.disabled = true;
+    try {
+      const { secret, uri } = await window.authManager.startMfaSetup();
+
+      const qr = document.getElementById('profile-mfa-qr');
+      if (qr) {
+        qr.textContent = '';
+        qr.appendChild(QrCode.toSvg(QrCode.encode(uri), { label: 'QR-Code für die Authenticator-App' }));
+      }
+      const secretEl = document.getElementById('profile-mfa-secret');
+      if (secretEl) secretEl.textContent = secret.match(/.{1,4}/g).join(' ');
+
+      this.showMfaPanel('setup');
+      document.getElementById('profile-mfa-setup-code')?.focus();
+    } catch (e) {
+      console.error('MFA setup failed:', e);
+      window.notifications?.error(e?.message || 'Einrichtung konnte nicht gestartet werden');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * handleMfaSetupSubmit() - Aktiviert 2FA mit dem ersten Code aus der App
+   * @param {Event} e - Submit Event
+   */
+  async handleMfaSetupSubmit(e) {
+    e.preventDefault();
+    if (!this.mfaSetupValidator.validate()) return;
+
+    const submitBtn = this.mfaSetupForm.querySelector('button[type="submit"]');
+    const code = document.getElementById('profile-mfa-setup-code').value.trim();
+    submitBtn.disabled = true;
+    this.mfaSetupForm.setAttribute('aria-busy', 'true');
+    try {
+      const recoveryCodes = await window.authManager.enableMfa(code);
+      this.showRecoveryCodes(recoveryCodes);
+      window.notifications?.success('Zwei-Faktor-Authentifizierung ist aktiv');
+    } catch (err) {
+      console.error('MFA enable failed:', err);
+      this.mfaSetupValidator.setFieldError('profile-mfa-setup-code', err?.message || 'Der Code ist ungültig', { focus: true });
+    } finally {
+      submitBtn.disabled = false;
+      this.mfaSetupForm.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * showMfaConfirm() - Fragt vor Deaktivieren/neuen Codes einen gültigen Code ab
+   * @param {string} action - 'disable' | 'regenerate'
+   */
+  showMfaConfirm(action) {
+    this.mfaConfirmForm.dataset.action = action;
+    const hint = document.getElementById('profile-mfa-confirm-hint');
+    const submitBtn = document.getElementById('profile-mfa-confirm-submit');
+    if (action === 'disable') {
+      if (hint) hint.textContent = 'Nach dem Deaktivieren genügt wieder das Passwort für die Anmeldung.';
+      if (submitBtn) submitBtn.textContent = '2FA deaktivieren';
+    } else {
+      if (hint) hint.textContent = 'Alle bisherigen Wiederherstellungscodes werden ungültig.';
+      if (submitBtn) submitBtn.textContent = 'Neue Codes erzeugen';
+    }
+    this.showMfaPanel('confirm');
+    document.getElementById('profile-mfa-confirm-code')?.focus();
+  }
+
+  /**
+   * handleMfaConfirmSubmit() - Deaktiviert 2FA oder erzeugt neue Codes
+   * @param {Event} e - Submit Event
+   */
+  async handleMfaConfirmSubmit(e) {
+    e.preventDefault();
+    if (!this.mfaConfirmValidator.validate()) return;
+
+    const action = this.mfaConfirmForm.dataset.action;
+    const submitBtn = this.mfaConfirmForm.querySelector('button[type="submit"]');
+    const code = document.getElementById('profile-mfa-confirm-code').value.trim();
+    submitBtn.disabled = true;
+    this.mfaConfirmForm.setAttribute('aria-busy', 'true');
+    try {
+      if (action === 'disable') {
+        await window.authManager.disableMfa(code);
+        this.showMfaPanel(null);
+        window.notifications?.success('Zwei-Faktor-Authentifizierung wurde deaktiviert');
+      } else {
+        this.showRecoveryCodes(await window.authManager.regenerateRecoveryCodes(code));
+        window.notifications?.success('Neue Wiederherstellungscodes wurden erzeugt');
+      }
+    } catch (err) {
+      console.error('MFA confirm failed:', err);
+      this.mfaConfirmValidator.setFieldError('profile-mfa-confirm-code', err?.message || 'Der Code ist ungültig', { focus: true });
+    } finally {
+      submitBtn.disabled = false;
+      this.mfaConfirmForm.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * showRecoveryCodes() - Zeigt neue Wiederherstellungscodes einmalig an
+   * @param {string[]} codes
+   */
+  showRecoveryCodes(codes) {
+    this.showMfaPanel('codes');
+    this.recoveryCodes = codes;
+    const list = document.getElementById('profile-mfa-codes-list');
+    if (!list) return;
+    codes.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      list.appendChild(item);
+    });
+    document.getElementById('profile-mfa-codes-download')?.focus();
+  }
+
+  /**
+   * downloadRecoveryCodes() - Speichert die angezeigten Codes als Textdatei
+   */
+  downloadRecoveryCodes() {
+    if (!this.recoveryCodes) return;
+    const email = window.authManager?.getUser()?.email || '';
+    const text = [`KERNWERK SYSTEMS – Wiederherstellungscodes für ${email}`, '', ...this.recoveryCodes, ''].join('\n');
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'kernwerk-wiederherstellungscodes.txt';
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * setupPersonalData() - Export und Kontolöschung
+   */
+  setupPersonalData() {
+    this.deleteForm = document.getElementById('profile-delete-form');
+    this.deleteBtn = document.getElementById('profile-delete');
+
+    document.getElementById('profile-export')?.addEventListener('click', () => this.exportData());
+    this.deleteBtn?.addEventListener('click', () => this.showDeleteForm(this.deleteForm?.hidden));
+    document.getElementById('profile-delete-cancel')?.addEventListener('click', () => {
+      this.showDeleteForm(false);
+      this.deleteBtn?.focus();
+    });
+
+    if (!this.deleteForm) return;
+    const { required, custom } = FormValidator.rules;
+    this.deleteValidator = new FormValidator(this.deleteForm, {
+      'profile-delete-confirm': [
+        required('Bitte geben Sie Ihre E-Mail-Adresse ein'),
+        custom(value => {
+          const email = window.authManager?.getUser()?.email || '';
+          return value.toLowerCase() !== email.toLowerCase() ? 'Die E-Mail-Adresse stimmt nicht überein' : null;
+        })
+      ]
+    });
+    this.deleteForm.addEventListener('submit', (e) => this.handleDeleteSubmit(e));
+  }
+
+  /**
+   * exportData() - Lädt alle lokal gespeicherten Daten als JSON herunter
+   */
+  exportData() {
+    try {
+      PersonalData.download(PersonalData.collect(window.authManager?.getUser()));
+      window.notifications?.success('Export wurde heruntergeladen');
+    } catch (e) {
+      console.error('Data export failed:', e);
+      window.notifications?.error('Export fehlgeschlagen');
+    }
+  }
+
+  /**
+   * showDeleteForm() - Blendet die Löschbestätigung ein/aus
+   * @param {boolean} visible
+   */
+  showDeleteForm(visible) {
+    if (!this.deleteForm) return;
+    this.deleteForm.hidden = !visible;
+    this.deleteBtn?.setAttribute('aria-expanded', String(Boolean(visible)));
+    this.deleteValidator?.reset();
+
+    const input = document.getElementById('profile-delete-confirm');
+    if (input) input.value = '';
+    if (visible) input?.focus();
+  }
+
+  /**
+   * handleDeleteSubmit() - Löscht das Konto nach bestätigter Eingabe
+   * @param {Event} e - Submit Event
+   */
+  async handleDeleteSubmit(e) {
+    e.preventDefault();
+    if (!this.deleteValidator.validate()) return;
+
+    const submitBtn = this.deleteForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    this.deleteForm.setAttribute('aria-busy', 'true');
+    try {
+      const { deleted } = await window.authManager.deleteAccount();
+      // Bleibt ein weiteres Konto aktiv, schließt auth:change das Popup nicht
+      this.close();
+      window.notifications?.success(deleted
+        ? 'Ihr Konto und seine lokalen Daten wurden gelöscht'
+        : 'Die lokalen Daten Ihres Kontos wurden gelöscht. Für die Löschung beim Server wenden Sie sich bitte an den Support.',
+      { duration: 8000 });
+    } catch (err) {
+      console.error('Account deletion failed:', err);
+      this.deleteValidator.setFormError(err?.message || 'Konto konnte nicht gelöscht werden');
+    } finally {
+      submitBtn.disabled = false;
+      this.deleteForm.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * createAccountButton() - Aktionsbutton für einen Listeneintrag
+   * @param {string} action - 'switch' | 'logout'
+   * @param {Object} account - Benutzer
+   * @param {string} text - Sichtbarer Text
+   * @param {string} label - Zugänglicher Name
+   * @returns {HTMLButtonElement}
+   */
+  createAccountButton(action, account, text, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'profile-avatar-edit__button';
+    button.dataset.accountAction = action;
+    button.dataset.email = account.email;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    return button;
+  }
+
+  /**
+   * switchAccount() - Wechselt das aktive Konto
+   * @param {string} email - Zielkonto
+   */
+  async switchAccount(email) {
+    try {
+      const user = await window.authManager.switchAccount(email);
+      if (user) window.notifications?.success(`Angemeldet als ${user.name}`);
+    } catch (e) {
+      // Abgelaufene Sitzung: AuthManager hat bereits benachrichtigt
+      if (e?.code !== 'unauthorized') {
+        window.notifications?.error(e?.message || 'Kontowechsel fehlgeschlagen');
+      }
+    }
+  }
+
+  /**
+   * renderAvatar() - Zeigt das Profilbild oder die Initialen
+   * @param {Object} user
+   */
+  renderAvatar(user) {
+    Avatar.render(document.getElementById('popup-avatar'), user);
+  }
+
+  /**
+   * updateNavBadge() - Kleiner Avatar am PROFIL-Button
+   * @param {Object|null} user - Aktueller Benutzer
+   */
+  updateNavBadge(user) {
+    document.querySelectorAll('.nav-avatar').forEach(badge => {
+      if (user) {
+        Avatar.render(badge, user);
+      } else {
+        badge.textContent = '';
+        badge.style.backgroundColor = '';
+      }
+    });
+  }
+
+  /**
+   * formatDate() - Formatiert einen ISO-Zeitstempel für die Anzeige
+   * @param {string|null} value - ISO-Zeitstempel
+   * @param {boolean} [withTime=false] - Uhrzeit mit ausgeben
+   * @returns {string} - Datum oder '—'
+   */
+  formatDate(value, withTime = false) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return '—';
+
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    if (withTime) {
+      options.hour = '2-digit';
+      options.minute = '2-digit';
+    }
+    return date.toLocaleString('de-DE', options);
+  }
+
+  /**
+   * setupEditForm() - Validierung und Events des Bearbeitungsformulars
+   */
+  setupEditForm() {
+    if (!this.editForm) return;
+
+    const { required, minLength, custom } = FormValidator.rules;
+    this.validator = new FormValidator(this.editForm, {
+      'profile-name': [
+        required('Bitte geben Sie Ihren Namen ein'),
+        minLength(2, 'Der Name muss mindestens 2 Zeichen lang sein'),
+        custom(value => (value.length > 60 ? 'Der Name darf höchstens 60 Zeichen lang sein' : null))
+      ],
+      'profile-bio': [
+        custom(value => (value.length > this.bioMaxLength ? `Höchstens ${this.bioMaxLength} Zeichen` : null))
+      ],
+      'profile-avatar-file': []
+    });
+
+    this.cropperEl = document.getElementById('profile-avatar-cropper');
+    this.cropper = new AvatarCropper(this.cropperEl, { size: this.avatarSize });
+    // Canvas und Zoom vor den Buttons anzeigen
+    const cropActions = this.cropperEl?.querySelector('.profile-edit__actions');
+    if (cropActions) this.cropperEl.appendChild(cropActions);
+
+    document.getElementById('profile-avatar-file')?.addEventListener('change', (e) => this.handleAvatarFile(e));
+    document.getElementById('profile-avatar-remove')?.addEventListener('click', () => this.setPendingAvatar(null));
+    document.getElementById('profile-avatar-crop-apply')?.addEventListener('click', () => this.applyCrop());
+    document.getElementById('profile-avatar-crop-cancel')?.addEventListener('click', () => this.showCropper(false));
+
+    this.editBtn?.addEventListener('click', () => this.startEdit());
+    this.cancelBtn?.addEventListener('click', () => this.showEdit(false));
+    this.editForm.addEventListener('submit', (e) => this.handleEditSubmit(e));
+    document.getElementById('profile-bio')?.addEventListener('input', () => this.updateBioCounter());
+    document.getElementById('profile-name')?.addEventListener('input', () => this.renderAvatarPreview());
+  }
+
+  /**
+   * startEdit() - Füllt das Formular mit den aktuellen Werten und zeigt es an
+   */
+  startEdit() {
+    const user = window.authManager?.getUser();
+    if (!user || !this.editForm) return;
+
+    this.editingEmail = user.email;
+    document.getElementById('profile-name').value = user.name || '';
+    document.getElementById('profile-bio').value = user.bio || '';
+    this.pendingAvatar = undefined;
+    this.showCropper(false);
+    this.renderAvatarPreview();
+    this.updateBioCounter();
+    this.showEdit(true);
+    document.getElementById('profile-name')?.focus();
+  }
+
+  /**
+   * showEdit() - Wechselt zwischen Ansicht und Bearbeitungsmodus
+   * @param {boolean} editing
+   */
+  showEdit(editing) {
+    if (!this.editForm || !this.view) return;
+    this.editForm.hidden = !editing;
+    this.view.hidden = editing;
+    this.validator?.reset();
+    if (!editing && this.popup?.classList.contains('active')) {
+      this.editBtn?.focus();
+    }
+  }
+
+  /**
+   * updateBioCounter() - Zeigt die verbleibenden Zeichen der Bio
+   */
+  updateBioCounter() {
+    const bio = document.getElementById('profile-bio');
+    if (!bio || !this.bioCounter) return;
+    this.bioCounter.textContent = `${bio.value.length} / ${this.bioMaxLength}`;
+  }
+
+  /**
+   * handleAvatarFile() - Lädt die gewählte Datei in den Zuschneide-Dialog
+   * @param {Event} e - Change Event des Datei-Inputs
+   */
+  async handleAvatarFile(e) {
+    const input = e.target;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    this.validator.clearFieldError('profile-avatar-file');
+    try {
+      await this.cropper.load(file);
+      this.showCropper(true);
+      this.cropper.canvas.focus();
+    } catch (err) {
+      this.showCropper(false);
+      this.validator.setFieldError('profile-avatar-file', err.message);
+    } finally {
+      // Gleiche Datei erneut wählbar machen
+      input.value = '';
+    }
+  }
+
+  /**
+   * applyCrop() - Übernimmt den Ausschnitt als neues Profilbild (noch nicht gespeichert)
+   */
+  applyCrop() {
+    try {
+      this.setPendingAvatar(this.cropper.toDataURL());
+      this.showCropper(false);
+    } catch (err) {
+      this.validator.setFieldError('profile-avatar-file', err.message);
+    }
+  }
+
+  /**
+   * setPendingAvatar() - Merkt die Bildänderung bis zum Speichern vor
+   * @param {string|null} avatarUrl - Data-URL oder null (entfernen)
+   */
+  setPendingAvatar(avatarUrl) {
+    this.pendingAvatar = avatarUrl;
+    this.renderAvatarPreview();
+  }
+
+  /**
+   * renderAvatarPreview() - Vorschau im Formular (vorgemerktes oder aktuelles Bild)
+   */
+  renderAvatarPreview() {
+    const user = window.authManager?.getUser() || {};
+    const name = document.getElementById('profile-name')?.value.trim() || user.name;
+    const avatarUrl = this.pendingAvatar === undefined ? user.avatarUrl : this.pendingAvatar;
+    Avatar.render(document.getElementById('profile-avatar-preview'), { name, avatarUrl });
+
+    const removeBtn = document.getElementById('profile-avatar-remove');
+    if (removeBtn) removeBtn.hidden = !avatarUrl;
+  }
+
+  /**
+   * showCropper() - Blendet den Zuschneide-Bereich ein/aus
+   * @param {boolean} visible
+   */
+  showCropper(visible) {
+    if (!this.cropperEl) return;
+    this.cropperEl.hidden = !visible;
+    if (!visible) this.cropper.reset();
+  }
+
+  /**
+   * handleEditSubmit() - Validiert und speichert die Profiländerungen
+   * @param {Event} e - Submit Event
+   */
+  async handleEditSubmit(e) {
+    e.preventDefault();
+    if (!this.validator.validate()) return;
+
+    const submitBtn = this.editForm.querySelector('button[type="submit"]');
+    const changes = {
+      name: document.getElementById('profile-name').value.trim(),
+      bio: document.getElementById('profile-bio').value.trim()
+    };
+    if (this.pendingAvatar !== undefined) changes.avatarUrl = this.pendingAvatar;
+
+    submitBtn.disabled = true;
+    this.editForm.setAttribute('aria-busy', 'true');
+    try {
+      const user = await window.authManager.updateProfile(changes);
+      this.render(user);
+      this.showEdit(false);
+      window.notifications?.success('Profil gespeichert');
+    } catch (err) {
+      const fieldMap = { name: 'profile-name', bio: 'profile-bio', avatarUrl: 'profile-avatar-file' };
+      const fieldId = fieldMap[err?.details?.field];
+      if (fieldId) {
+        this.validator.setFieldError(fieldId, err.message, { focus: true });
+      } else {
+        this.validator.setFormError(err?.message || 'Profil konnte nicht gespeichert werden');
+      }
+    } finally {
+      submitBtn.disabled = false;
+      this.editForm.removeAttribute('aria-busy');
+    }
+  }
+
   /**
    * close() - Schließt das Profil-Popup
    */
   close() {
     try {
       this.popup?.classList.remove('active');
-      document.body.style.overflow = '';
+      window.dialogManager?.close(this.popup);
+      window.router?.sync();
       console.log('Profile popup closed');
     } catch (e) {
       console.warn('Error closing popup:', e);
     }
   }
 
+  /**
+   * isOpen() - Ob das Popup gerade angezeigt wird
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.popup?.classList.contains('active'));
+  }
+
   /**
    * getInitials() - Berechnet Avatar-Initialen aus Namen
    * @param {string} name - Benutzername
    * @returns {string} - Initialen oder Fallback
    */
   getInitials(name) {
-    if (!name) return '👤';
-    const parts = name.trim().split(' ');
-    if (parts.length === 1) {
-      return parts[0].charAt(0).toUpperCase();
-    }
-    return (parts[0].charAt(0) + parts[parts.length - 1].charAt(0)).toUpperCase();
+    return Avatar.getInitials(name);
   }
 }
 
@@ -0,0 +1,456 @@
+/**
+ * @fileoverview QR Code - Minimal encoder rendering to SVG
+ *
+ * Small, dependency-free QR code generator (ISO/IEC 18004) for the
+ * two-factor enrollment in the profile popup. It covers exactly what an
+ * otpauth:// URI needs, nothing more:
+ *
+ * - Byte mode (UTF-8)
+ * - Error correction level M (~15 % recovery)
+ * - Versions 1-10 (up to 213 bytes), smallest fitting version is chosen
+ * - All 8 masks evaluated, lowest penalty wins
+ *
+ * The result is an inline SVG (no canvas, no data URL), so it stays sharp
+ * at any size and needs no CSP exception.
+ *
+ * Usage:
+ *   const qr = QrCode.encode('otpauth://totp/...');
+ *   container.appendChild(QrCode.toSvg(qr, { label: 'QR-Code' }));
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+const QrCode = {
+  /**
+   * Block structure for error correction level M, per version (index 1-10):
+   * [ec codewords per block, [blocks, data codewords per block], ...]
+   * @type {Array}
+   */
+  BLOCKS_M: [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+  ],
+
+  /**
+   * Alignment pattern center coordinates per version
+   * @type {Array<number[]>}
+   */
+  ALIGNMENT: [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ],
+
+  MAX_VERSION: 10,
+
+  /**
+   * encode() - Builds the module matrix for a text
+   * @param {string} text
+   * @returns {{version: number, size: number, modules: boolean[][]}}
+   * @throws {Error} - If the text does not fit into version 10
+   */
+  encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+    let version = 1;
+    for (; version <= QrCode.MAX_VERSION; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= QrCode.dataCapacity(version) * 8) break;
+    }
+    if (version > QrCode.MAX_VERSION) {
+      throw new Error('Text is too long for a QR code up to version 10');
+    }
+
+    const codewords = QrCode.addErrorCorrection(QrCode.encodeData(bytes, version), version);
+    const size = version * 4 + 17;
+
+    // Function patterns first, then data, then the best mask
+    const base = QrCode.createMatrix(size);
+    QrCode.drawFunctionPatterns(base, version);
+    QrCode.drawCodewords(base, codewords);
+
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      const candidate = QrCode.cloneMatrix(base);
+      QrCode.applyMask(candidate, mask);
+      QrCode.drawFormatBits(candidate, mask);
+      const penalty = QrCode.penalty(candidate.modules);
+      if (!best || penalty < best.penalty) best = { matrix: candidate, penalty };
+    }
+
+    return { version, size, modules: best.matrix.modules };
+  },
+
+  /**
+   * dataCapacity() - Data codewords of a version at level M
+   * @param {number} version
+   * @returns {number}
+   */
+  dataCapacity(version) {
+    const [, ...groups] = QrCode.BLOCKS_M[version];
+    return groups.reduce((sum, [blocks, length]) => sum + blocks * length, 0);
+  },
+
+  /**
+   * encodeData() - Mode indicator, length, payload, terminator and padding
+   * @param {number[]} bytes
+   * @param {number} version
+   * @returns {number[]} - Data codewords
+   */
+  encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);                              // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacityBits = QrCode.dataCapacity(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  },
+
+  /**
+   * addErrorCorrection() - Splits into blocks, adds Reed-Solomon codewords, interleaves
+   * @param {number[]} data
+   * @param {number} version
+   * @returns {number[]} - Final codeword sequence
+   */
+  addErrorCorrection(data, version) {
+    const [ecLength, ...groups] = QrCode.BLOCKS_M[version];
+    const divisor = QrCode.rsDivisor(ecLength);
+
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, length]) => {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: block, ec: QrCode.rsRemainder(block, divisor) });
+      }
+    });
+
+    const result = [];
+    const maxData = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < maxData; i++) {
+      blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+  },
+
+  /**
+   * gfMultiply() - Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+
+  /**
+   * rsDivisor() - Generator polynomial of the given degree (leading 1 omitted)
+   * @param {number} degree
+   * @returns {number[]}
+   */
+  rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = QrCode.gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = QrCode.gfMultiply(root, 0x02);
+    }
+    return result;
+  },
+
+  /**
+   * rsRemainder() - Error correction codewords for a block
+   * @param {number[]} data
+   * @param {number[]} divisor
+   * @returns {number[]}
+   */
+  rsRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QrCode.gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  },
+
+  createMatrix(size) {
+    return {
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+  },
+
+  cloneMatrix(matrix) {
+    return {
+      size: matrix.size,
+      modules: matrix.modules.map(row => row.slice()),
+      reserved: matrix.reserved
+    };
+  },
+
+  /**
+   * setFunction() - Sets a module that is not part of the data area
+   */
+  setFunction(matrix, x, y, dark) {
+    matrix.modules[y][x] = dark;
+    matrix.reserved[y][x] = true;
+  },
+
+  /**
+   * drawFunctionPatterns() - Finder, timing, alignment, format/version areas
+   */
+  drawFunctionPatterns(matrix, version) {
+    const { size } = matrix;
+
+    for (let i = 0; i < size; i++) {
+      QrCode.setFunction(matrix, 6, i, i % 2 === 0);
+      QrCode.setFunction(matrix, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns incl. separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          QrCode.setFunction(matrix, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap finders
+    const positions = QrCode.ALIGNMENT[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            QrCode.setFunction(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format area (filled per mask later) and draw version info
+    QrCode.drawFormatBits(matrix, 0);
+    QrCode.drawVersion(matrix, version);
+  },
+
+  /**
+   * drawFormatBits() - Error correction level + mask, BCH(15,5) protected
+   */
+  drawFormatBits(matrix, mask) {
+    const { size } = matrix;
+    const data = (0b00 << 3) | mask;    // Level M = 00
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) QrCode.setFunction(matrix, 8, i, bit(i));
+    QrCode.setFunction(matrix, 8, 7, bit(6));
+    QrCode.setFunction(matrix, 8, 8, bit(7));
+    QrCode.setFunction(matrix, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) QrCode.setFunction(matrix, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) QrCode.setFunction(matrix, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) QrCode.setFunction(matrix, 8, size - 15 + i, bit(i));
+    QrCode.setFunction(matrix, 8, size - 8, true);  // Dark module
+  },
+
+  /**
+   * drawVersion() - Version information for versions >= 7, BCH(18,6) protected
+   */
+  drawVersion(matrix, version) {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = matrix.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      QrCode.setFunction(matrix, a, b, dark);
+      QrCode.setFunction(matrix, b, a, dark);
+    }
+  },
+
+  /**
+   * drawCodewords() - Places data in the zigzag order (two columns, bottom-up/top-down)
+   */
+  drawCodewords(matrix, codewords) {
+    const { size } = matrix;
+    let index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;  // Skip the vertical timing pattern
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (matrix.reserved[y][x] || index >= codewords.length * 8) continue;
+          matrix.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+          index++;
+        }
+      }
+    }
+  },
+
+  /**
+   * applyMask() - XORs one of the 8 standard mask patterns onto the data area
+   */
+  applyMask(matrix, mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = conditions[mask];
+
+    for (let y = 0; y < matrix.size; y++) {
+      for (let x = 0; x < matrix.size; x++) {
+        if (!matrix.reserved[y][x] && invert(x, y)) {
+          matrix.modules[y][x] = !matrix.modules[y][x];
+        }
+      }
+    }
+  },
+
+  /**
+   * penalty() - Mask evaluation score (rules N1-N4), lower is better
+   * @param {boolean[][]} modules
+   * @returns {number}
+   */
+  penalty(modules) {
+    const size = modules.length;
+    const finderLike = [true, false, true, true, true, false, true];
+    let score = 0;
+    let dark = 0;
+
+    const scanLine = (get) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(i) === get(i - 1)) {
+          run++;
+        } else {
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+      }
+      // Finder-like pattern with 4 light modules on either side
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((value, k) => get(i + k) === value)) continue;
+        const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+        const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+        if (lightBefore || lightAfter) score += 40;
+      }
+    };
+
+    for (let i = 0; i < size; i++) {
+      scanLine(x => modules[i][x]);
+      scanLine(y => modules[y][i]);
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return score;
+  },
+
+  /**
+   * toSvg() - Renders the matrix as an accessible inline SVG
+   * @param {{size: number, modules: boolean[][]}} qr - Result of encode()
+   * @param {Object} [options={}]
+   * @param {number} [options.border=4] - Quiet zone in modules
+   * @param {string} [options.label='QR-Code'] - Accessible name
+   * @returns {SVGSVGElement}
+   */
+  toSvg(qr, options = {}) {
+    const border = options.border ?? 4;
+    const extent = qr.size + border * 2;
+    const ns = 'http://www.w3.org/2000/svg';
+
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', options.label || 'QR-Code');
+    svg.setAttribute('shape-rendering', 'crispEdges');
+
+    const background = document.createElementNS(ns, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#ffffff');
+
+    let d = '';
+    qr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) d += `M${x + border},${y + border}h1v1h-1z`;
+      });
+    });
+    const path = document.createElementNS(ns, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill', '#000000');
+
+    svg.append(background, path);
+    return svg;
+  }
+};
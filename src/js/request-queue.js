@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Request Queue - IndexedDB outbox for form submissions
+ *
+ * Keeps requests that could not be delivered (offline, timeout, server
+ * error) and sends them again later, so nothing the user typed is lost.
+ *
+ * Features:
+ * - send(): one JSON POST with timeout, classified as sent / retry / rejected
+ * - Failed requests are stored in IndexedDB (`kernwerk_outbox`)
+ * - Retries with exponential back-off, when the browser comes back online
+ *   and when the page becomes visible again
+ * - Gives up after `maxAttempts`; the request is handed back in the event
+ * - Every request carries an `Idempotency-Key`, so a server can ignore
+ *   duplicates (e.g. two open tabs retrying the same entry)
+ *
+ * Events (on document, `detail: { entry, result }`):
+ * - `outbox:sent`   - A queued request was delivered
+ * - `outbox:failed` - A queued request was dropped (rejected or too many attempts)
+ *
+ * Usage:
+ *   const result = await requestQueue.send({ url, body, id });
+ *   if (result.status === 'retry') await requestQueue.add({ kind: 'contact', url, body, id });
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * RequestQueue Class - Delivery with persistent retry
+ *
+ * @class RequestQueue
+ */
+class RequestQueue {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {string} [options.dbName='kernwerk_outbox'] - IndexedDB database
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   * @param {number} [options.retryDelay=30000] - First retry after this many ms
+   * @param {number} [options.maxRetryDelay=3600000] - Upper limit of the back-off
+   * @param {number} [options.maxAttempts=8] - Attempts before a request is dropped
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'kernwerk_outbox';
+    this.storeName = 'requests';
+    this.timeout = options.timeout ?? 10000;
+    this.retryDelay = options.retryDelay ?? 30000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 3600000;
+    this.maxAttempts = options.maxAttempts ?? 8;
+
+    this.dbPromise = null;
+    this.flushing = null;
+    this.timer = null;
+
+    window.addEventListener('online', () => this.flush({ force: true }));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.flush();
+    });
+  }
+
+  /**
+   * Whether requests can be stored in this browser
+   *
+   * @method isSupported
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create) the database once
+   *
+   * @method open
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.isSupported()) {
+          reject(new Error('IndexedDB not available'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a deletion (PersonalData.wipe) or upgrade in another context go ahead
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB blocked'));
+      });
+      // A failed open may work on the next try (e.g. after a blocked upgrade)
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one operation on the object store
+   *
+   * @method transaction
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} - Result of the request
+   */
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Random id for requests and idempotency keys
+   *
+   * @method createId
+   * @returns {string}
+   */
+  createId() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Send a JSON POST request once
+   *
+   * Result status:
+   * - 'sent':     delivered (2xx)
+   * - 'retry':    offline, timeout, 408, 429 or 5xx - worth trying again
+   * - 'rejected': any other 4xx - the data itself was not accepted
+   *
+   * @method send
+   * @param {Object} request
+   * @param {string} request.url
+   * @param {Object} request.body
+   * @param {string} request.id - Sent as Idempotency-Key
+   * @returns {Promise<{status: string, httpStatus: number|null, data: Object}>}
+   */
+  async send({ url, body, id }) {
+    if (navigator.onLine === false) return { status: 'retry', httpStatus: null, data: {} };
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'Idempotency-Key': id },
+        body: JSON.stringify(body),
+        credentials: 'same-origin',
+        signal: controller?.signal
+      });
+    } catch (e) {
+      return { status: 'retry', httpStatus: null, data: {} };
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    let data = {};
+    try {
+      data = response.status === 204 ? {} : await response.json();
+    } catch (e) {
+      data = {};
+    }
+
+    if (response.ok) return { status: 'sent', httpStatus: response.status, data };
+    const retry = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { status: retry ? 'retry' : 'rejected', httpStatus: response.status, data };
+  }
+
+  /**
+   * Store a request for later delivery
+   *
+   * @method add
+   * @param {Object} entry
+   * @param {string} entry.kind - What the request is, e.g. 'contact'
+   * @param {string} entry.url
+   * @param {Object} entry.body
+   * @param {string} [entry.id] - Reuse the id of a first attempt
+   * @returns {Promise<Object>} - Stored entry
+   * @throws {Error} - IndexedDB unavailable or full
+   */
+  async add({ kind, url, body, id }) {
+    const now = Date.now();
+    const entry = {
+      id: id || this.createId(),
+      kind,
+      url,
+      body,
+      createdAt: new Date(now).toISOString(),
+      // The first attempt already failed
+      attempts: 1,
+      nextAttemptAt: now + this.retryDelay
+    };
+    await this.transaction('readwrite', store => store.put(entry));
+    this.schedule();
+    return entry;
+  }
+
+  /**
+   * All stored requests
+   *
+   * @method getAll
+   * @returns {Promise<Object[]>}
+   */
+  async getAll() {
+    if (!this.isSupported()) return [];
+    return (await this.transaction('readonly', store => store.getAll())) || [];
+  }
+
+  /**
+   * Remove a stored request
+   *
+   * @method remove
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Try all requests that are due
+   *
+   * Runs at most once at a time. With `force` the back-off is ignored
+   * (e.g. after the browser reports to be online again).
+   *
+   * @method flush
+   * @param {Object} [options={}]
+   * @param {boolean} [options.force=false]
+   * @returns {Promise<void>}
+   */
+  flush({ force = false } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.deliverDue(force)
+        .catch(e => console.warn('Outbox could not be processed:', e))
+        .finally(() => {
+          this.flushing = null;
+          this.schedule();
+        });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Send every due request and record the outcome
+   *
+   * @method deliverDue
+   * @param {boolean} force
+   * @returns {Promise<void>}
+   */
+  async deliverDue(force) {
+    if (navigator.onLine === false) return;
+
+    const now = Date.now();
+    const entries = (await this.getAll()).filter(entry => force || entry.nextAttemptAt <= now);
+
+    for (const entry of entries) {
+      const result = await this.send(entry);
+
+      if (result.status === 'sent') {
+        await this.remove(entry.id);
+        this.dispatch('outbox:sent', entry, result);
+        continue;
+      }
+
+      entry.attempts += 1;
+      if (result.status === 'rejected' || entry.attempts >= this.maxAttempts) {
+        await this.remove(entry.id);
+        this.dispatch('outbox:failed', entry, result);
+        continue;
+      }
+
+      const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (entry.attempts - 1));
+      entry.nextAttemptAt = Date.now() + delay;
+      await this.transaction('readwrite', store => store.put(entry));
+      // Still offline or the server is down: the rest would fail as well
+      if (result.httpStatus === null) break;
+    }
+  }
+
+  /**
+   * Set a timer for the next due request
+   *
+   * @method schedule
+   * @returns {Promise<void>}
+   */
+  async schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let entries = [];
+    try {
+      entries = await this.getAll();
+    } catch (e) {
+      return;
+    }
+    if (!entries.length) return;
+
+    const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    const delay = Math.max(1000, next - Date.now());
+    this.timer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Report the outcome of a queued request
+   *
+   * @method dispatch
+   * @param {string} type - 'outbox:sent' | 'outbox:failed'
+   * @param {Object} entry
+   * @param {Object} result - Result of send()
+   * @returns {void}
+   */
+  dispatch(type, entry, result) {
+    document.dispatchEvent(new CustomEvent(type, { detail: { entry, result } }));
+  }
+}
+
+/**
+ * IIFE - Create the queue and retry what is left from earlier visits
+ * The instance is exposed as window.requestQueue.
+ */
+(function initRequestQueue() {
+  try {
+    window.requestQueue = new RequestQueue(window.KERNWERK_CONFIG?.outbox);
+  } catch (e) {
+    console.error('Request queue initialization failed:', e);
+    return;
+  }
+
+  // After the page has loaded, so listeners for the events are in place
+  const flush = () => window.requestQueue.flush({ force: true });
+  if (document.readyState === 'complete') {
+    flush();
+  } else {
+    window.addEventListener('load', flush);
+  }
+})();
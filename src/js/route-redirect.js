@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Route Redirect - Deep-link shim for static hosting
+ *
+ * GitHub Pages has no rewrite rules: a direct hit on /login finds no
+ * file and gets 404.html. This script (loaded only by 404.html) sends
+ * known routes to the start page as `/#/login`, where the router
+ * (router.js) opens the dialog and restores the real path. Unknown
+ * paths stay on the 404 page.
+ *
+ * Keep ROUTES in sync with Router.routes.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+(function redirectRoute() {
+  const ROUTES = ['/login', '/atomize', '/profile', '/logout'];
+  const path = window.location.pathname.replace(/\/+$/, '') || '/';
+
+  if (ROUTES.includes(path)) {
+    window.location.replace(`/${window.location.search}#${path}`);
+  }
+})();
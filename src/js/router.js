@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Router - Deep links for the site's dialogs
+ *
+ * Maps URLs to UI state and back, so the nav paths can be shared,
+ * bookmarked and navigated with back/forward:
+ * - /login    → login modal
+ * - /atomize  → login modal, register tab
+ * - /profile  → profile popup (login first when signed out)
+ * - /logout   → signs out, then returns to the start page
+ *
+ * Modes (`KERNWERK_CONFIG.router.mode`):
+ * - 'history': real paths via the History API (default)
+ * - 'hash':    `#/login` style URLs for hosts without a 404 fallback
+ *              (used automatically for file:// pages)
+ *
+ * Static hosting: GitHub Pages answers /login with 404.html, which sends
+ * the browser to `/#/login` (route-redirect.js). A `#/…` route is always
+ * accepted on load; in history mode it is then swapped for the real path.
+ *
+ * The components stay in charge of their own UI. They call
+ * `router.sync()` after opening, closing or switching tabs, and the
+ * router writes the matching URL; on load and on back/forward it calls
+ * the components to show the state of the URL.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * Router Class - URL ↔ dialog state
+ *
+ * @class Router
+ */
+class Router {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {string} [options.mode='history'] - 'history' | 'hash'
+   */
+  constructor(options = {}) {
+    this.mode = window.location.protocol === 'file:' ? 'hash' : (options.mode || 'history');
+    this.applying = false;
+
+    // Route table; enter() shows the state of the URL
+    this.routes = {
+      '/login': { enter: () => this.openAuthModal('login') },
+      '/atomize': { enter: () => this.openAuthModal('register') },
+      '/profile': { enter: () => this.openProfile() },
+      '/logout': { enter: () => this.logout() }
+    };
+
+    // Start page; a page that is not a route itself (e.g. /index.html) stays as it is
+    const path = window.location.pathname;
+    this.homePath = this.routes[path] ? '/' : path;
+
+    this.init();
+  }
+
+  /**
+   * Listen for back/forward and show the initial URL
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    window.addEventListener('popstate', () => this.apply(this.getPath()));
+
+    const path = this.getPath();
+    // Redirect from 404.html or a hash link in history mode: use the real path
+    if (this.mode === 'history' && this.readHash()) {
+      this.write(path, { replace: true });
+    }
+    // The start page needs nothing; other modules may already show a dialog
+    if (path !== '/') this.apply(path);
+  }
+
+  /**
+   * Route of a `#/…` hash, or null
+   *
+   * @method readHash
+   * @returns {string|null}
+   */
+  readHash() {
+    const match = window.location.hash.match(/^#(\/[^?#]*)/);
+    return match && this.routes[match[1]] ? match[1] : null;
+  }
+
+  /**
+   * Route path of the current URL ('/' for the start page)
+   *
+   * @method getPath
+   * @returns {string}
+   */
+  getPath() {
+    const fromHash = this.readHash();
+    if (fromHash) return fromHash;
+    if (this.mode === 'history' && this.routes[window.location.pathname]) {
+      return window.location.pathname;
+    }
+    return '/';
+  }
+
+  /**
+   * Build the URL for a route path
+   *
+   * @method toUrl
+   * @param {string} path - Route path or '/'
+   * @returns {string}
+   */
+  toUrl(path) {
+    const search = window.location.search;
+    if (this.mode === 'hash') {
+      return window.location.pathname + search + (path === '/' ? '' : `#${path}`);
+    }
+    return (path === '/' ? this.homePath : path) + search;
+  }
+
+  /**
+   * Write a route to the address bar
+   *
+   * @method write
+   * @param {string} path
+   * @param {Object} [options={}]
+   * @param {boolean} [options.replace=false] - Replace instead of adding a history entry
+   * @returns {void}
+   */
+  write(path, { replace = false } = {}) {
+    const url = this.toUrl(path);
+    if (replace) {
+      // Keep whether this entry was pushed by the router
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState({ kernwerkRoute: path }, '', url);
+    }
+  }
+
+  /**
+   * Route path that matches the currently visible dialogs
+   *
+   * @method currentUiPath
+   * @returns {string}
+   */
+  currentUiPath() {
+    const authModal = window.authModal;
+    if (authModal?.isOpen()) {
+      return authModal.activeTab === 'register' ? '/atomize' : '/login';
+    }
+    if (window.profilePopup?.isOpen()) return '/profile';
+    return '/';
+  }
+
+  /**
+   * Update the URL after the UI changed
+   *
+   * Opening from the start page adds a history entry, so Back closes
+   * the dialog again. Switching between dialogs replaces the entry.
+   * Closing goes back to the entry the dialog was opened from, or
+   * replaces the URL when the page was loaded with the route.
+   *
+   * @method sync
+   * @returns {void}
+   */
+  sync() {
+    if (this.applying) return;
+
+    const current = this.getPath();
+    const next = this.currentUiPath();
+    if (next === current) return;
+
+    if (next === '/') {
+      if (window.history.state?.kernwerkRoute) {
+        window.history.back();
+      } else {
+        this.write('/', { replace: true });
+      }
+    } else {
+      this.write(next, { replace: current !== '/' });
+    }
+  }
+
+  /**
+   * Show the state of a route path
+   *
+   * @method apply
+   * @param {string} path
+   * @returns {Promise<void>}
+   */
+  async apply(path) {
+    this.applying = true;
+    try {
+      const route = this.routes[path];
+      if (!route) {
+        window.authModal?.close();
+        window.profilePopup?.close();
+        return;
+      }
+      await route.enter();
+    } catch (e) {
+      console.warn('Route could not be shown:', path, e);
+    } finally {
+      this.applying = false;
+    }
+    // enter() may have ended somewhere else (e.g. login instead of profile)
+    const shown = this.currentUiPath();
+    if (shown !== this.getPath()) this.write(shown, { replace: true });
+  }
+
+  /**
+   * Open the login modal on a tab
+   *
+   * @method openAuthModal
+   * @param {string} tab - 'login' | 'register'
+   * @returns {void}
+   */
+  openAuthModal(tab) {
+    window.profilePopup?.close();
+    if (window.authModal?.isOpen() && window.authModal.activeTab === tab) return;
+    window.authModal?.open(tab);
+  }
+
+  /**
+   * Open the profile popup, or the login when signed out
+   *
+   * @method openProfile
+   * @returns {void}
+   */
+  openProfile() {
+    if (!window.authManager?.isLoggedIn()) {
+      window.notifications?.info('Bitte melden Sie sich an, um Ihr Profil zu öffnen.');
+      this.openAuthModal('login');
+      return;
+    }
+    window.authModal?.close();
+    if (!window.profilePopup?.isOpen()) window.profilePopup?.open();
+  }
+
+  /**
+   * Sign out (if signed in) and show the start page
+   *
+   * @method logout
+   * @returns {void}
+   */
+  logout() {
+    window.authModal?.close();
+    window.profilePopup?.close();
+    if (window.authManager?.isLoggedIn()) window.authManager.logout();
+  }
+}
+
+/**
+ * IIFE - Initialize the router after the dialog components
+ * The instance is exposed as window.router.
+ */
+(function initRouter() {
+  const initFn = () => {
+    try {
+      window.router = new Router(window.KERNWERK_CONFIG?.router);
+    } catch (e) {
+      console.error('Router initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Verification Banner - Email confirmation for new accounts
+ *
+ * Newly registered accounts are "pending verification" until the link
+ * from the confirmation mail is opened (see AuthManager.verifyEmail()).
+ * This component covers everything the user sees of that state.
+ *
+ * Features:
+ * - Banner for unverified users with "Link erneut senden"
+ * - Resend cooldown with countdown, persisted per email in localStorage
+ *   (`kernwerk_verify_cooldown`), so a reload does not reset it
+ * - Handles the verification link on page load (`/?verify=<token>`) and
+ *   removes the token from the address bar
+ * - Gated features: elements with `data-requires-verification="<Name>"`
+ *   show a message instead of running while the address is unconfirmed
+ * - Demo mode: the mock backend's link is offered in a toast
+ *
+ * Usage:
+ *   <button data-requires-verification="Die Zwei-Faktor-Authentifizierung">…</button>
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+/**
+ * VerificationBanner Class - Pending-verification UI and link handler
+ *
+ * @class VerificationBanner
+ */
+class VerificationBanner {
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.cooldown=60] - Seconds between resend requests
+   */
+  constructor(options = {}) {
+    this.banner = document.getElementById('verify-banner');
+    this.text = document.getElementById('verify-banner-text');
+    this.resendBtn = document.getElementById('verify-banner-resend');
+    this.cooldownKey = 'kernwerk_verify_cooldown';
+    this.cooldown = options.cooldown || 60;
+    this.tokenParam = 'verify';
+    this.cooldownTimer = null;
+    this.init();
+  }
+
+  /**
+   * Register listeners, render the current state and handle a link token
+   *
+   * @method init
+   * @returns {void}
+   */
+  init() {
+    document.addEventListener('auth:change', (e) => this.render(e.detail?.user));
+    document.addEventListener('auth:verification-sent', (e) => this.handleSent(e.detail || {}));
+    this.resendBtn?.addEventListener('click', () => this.resend());
+
+    // Capture phase, so the gated feature's own handler never runs
+    document.addEventListener('click', (e) => this.guard(e), true);
+
+    this.render(window.authManager?.getUser());
+    this.handleVerificationLink();
+  }
+
+  /**
+   * Show or hide the banner and mark gated elements
+   *
+   * @method render
+   * @param {Object|null} user - Active user from AuthManager
+   * @returns {void}
+   */
+  render(user) {
+    const pending = Boolean(user && !user.emailVerified);
+
+    if (this.banner) this.banner.hidden = !pending;
+    if (this.text && pending) {
+      this.text.textContent = `Bitte bestätigen Sie Ihre E-Mail-Adresse ${user.email} über den Link, den wir Ihnen geschickt haben.`;
+    }
+
+    document.querySelectorAll('[data-requires-verification]').forEach(element => {
+      if (pending) {
+        element.setAttribute('aria-disabled', 'true');
+      } else {
+        element.removeAttribute('aria-disabled');
+      }
+    });
+
+    this.applyCooldown();
+  }
+
+  /**
+   * Block gated features for unverified users with an explanation
+   *
+   * @method guard
+   * @param {MouseEvent} e - Click event (capture phase)
+   * @returns {void}
+   */
+  guard(e) {
+    const target = e.target instanceof Element ? e.target.closest('[data-requires-verification]') : null;
+    const auth = window.authManager;
+    if (!target || !auth?.isLoggedIn() || auth.isEmailVerified()) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const feature = target.dataset.requiresVerification || 'Diese Funktion';
+    const canResend = this.getRemaining(auth.getUser().email) === 0;
+    window.notifications?.warning(`${feature} ist erst nach Bestätigung Ihrer E-Mail-Adresse verfügbar.`, {
+      duration: 6000,
+      action: canResend ? { label: 'Link erneut senden', onClick: () => this.resend() } : undefined
+    });
+  }
+
+  /**
+   * Request a new verification mail for the active account
+   *
+   * @method resend
+   * @returns {Promise<void>}
+   */
+  async resend() {
+    const auth = window.authManager;
+    const email = auth?.getUser()?.email;
+    if (!email || this.getRemaining(email) > 0) return;
+
+    if (this.resendBtn) this.resendBtn.disabled = true;
+    try {
+      const result = await auth.resendVerification();
+      if (!result?.debugToken) {
+        window.notifications?.success(`Wir haben einen neuen Bestätigungslink an ${email} gesendet`);
+      }
+    } catch (e) {
+      console.error('Verification resend failed:', e);
+      if (e?.code === 'rate_limited') {
+        this.startCooldown(email, e.details?.retryAfter || this.cooldown);
+        window.notifications?.error(e.message);
+      } else if (e?.code === 'already_verified') {
+        // Confirmed in another browser: reload the profile
+        await auth.fetchProfile().catch(() => null);
+        window.notifications?.info(e.message);
+      } else {
+        window.notifications?.error(e?.message || 'Der Link konnte nicht gesendet werden');
+      }
+    } finally {
+      this.applyCooldown();
+    }
+  }
+
+  /**
+   * React to a sent verification mail (registration or resend)
+   *
+   * @method handleSent
+   * @param {Object} detail - { email, expiresIn, debugToken? }
+   * @returns {void}
+   */
+  handleSent(detail) {
+    if (detail.email) this.startCooldown(detail.email, this.cooldown);
+
+    // Mock backend: no mail delivery, so offer the link directly
+    if (detail.debugToken) {
+      window.notifications?.info('Demo-Modus: Ihr Bestätigungslink ist bereit.', {
+        duration: 0,
+        action: { label: 'Link öffnen', onClick: () => this.verify(detail.debugToken) }
+      });
+    }
+  }
+
+  /**
+   * Read the token from the URL on page load and redeem it
+   *
+   * @method handleVerificationLink
+   * @returns {Promise<void>}
+   */
+  async handleVerificationLink() {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(this.tokenParam);
+    if (!token) return;
+
+    // Keep the token out of history and bookmarks
+    url.searchParams.delete(this.tokenParam);
+    window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+
+    await this.verify(token);
+  }
+
+  /**
+   * Confirm an email address with a link token
+   *
+   * @method verify
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<boolean>} Whether the address was confirmed
+   */
+  async verify(token) {
+    const auth = window.authManager;
+    if (!auth) return false;
+
+    try {
+      const user = await auth.verifyEmail(token);
+      this.clearCooldown(user.email);
+      window.notifications?.success(auth.getUser()?.email === user.email
+        ? 'Ihre E-Mail-Adresse wurde bestätigt'
+        : `Die E-Mail-Adresse ${user.email} wurde bestätigt. Sie können sich jetzt anmelden.`);
+      return true;
+    } catch (e) {
+      console.error('Email verification failed:', e);
+      window.notifications?.error(e?.message || 'Die E-Mail-Adresse konnte nicht bestätigt werden', { duration: 8000 });
+      return false;
+    }
+  }
+
+  /**
+   * Read the persisted cooldowns ({ email: timestamp })
+   *
+   * @method loadCooldowns
+   * @returns {Object<string, number>}
+   */
+  loadCooldowns() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.cooldownKey) || '{}');
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist cooldowns, dropping expired entries
+   *
+   * @method saveCooldowns
+   * @param {Object<string, number>} cooldowns
+   * @returns {void}
+   */
+  saveCooldowns(cooldowns) {
+    const now = Date.now();
+    const active = Object.fromEntries(Object.entries(cooldowns).filter(([, until]) => until > now));
+    if (Object.keys(active).length) {
+      localStorage.setItem(this.cooldownKey, JSON.stringify(active));
+    } else {
+      localStorage.removeItem(this.cooldownKey);
+    }
+  }
+
+  /**
+   * Seconds until the next resend is allowed
+   *
+   * @method getRemaining
+   * @param {string} email
+   * @returns {number}
+   */
+  getRemaining(email) {
+    const until = this.loadCooldowns()[email] || 0;
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+  }
+
+  /**
+   * Start the resend cooldown for an address
+   *
+   * @method startCooldown
+   * @param {string} email
+   * @param {number} seconds
+   * @returns {void}
+   */
+  startCooldown(email, seconds) {
+    const cooldowns = this.loadCooldowns();
+    cooldowns[email] = Date.now() + seconds * 1000;
+    this.saveCooldowns(cooldowns);
+    this.applyCooldown();
+  }
+
+  /**
+   * Remove the cooldown of a confirmed address
+   *
+   * @method clearCooldown
+   * @param {string} email
+   * @returns {void}
+   */
+  clearCooldown(email) {
+    const cooldowns = this.loadCooldowns();
+    delete cooldowns[email];
+    this.saveCooldowns(cooldowns);
+  }
+
+  /**
+   * Reflect the cooldown on the resend button, ticking every second
+   *
+   * @method applyCooldown
+   * @returns {void}
+   */
+  applyCooldown() {
+    const email = window.authManager?.getUser()?.email;
+    const remaining = email ? this.getRemaining(email) : 0;
+
+    if (this.resendBtn) {
+      this.resendBtn.disabled = remaining > 0;
+      this.resendBtn.textContent = remaining > 0
+        ? `Erneut senden in ${this.formatDuration(remaining)}`
+        : 'Link erneut senden';
+    }
+
+    if (remaining > 0 && !this.banner?.hidden) {
+      if (!this.cooldownTimer) {
+        this.cooldownTimer = setInterval(() => this.applyCooldown(), 1000);
+      }
+    } else {
+      clearInterval(this.cooldownTimer);
+      this.cooldownTimer = null;
+    }
+  }
+
+  /**
+   * Format seconds as m:ss
+   *
+   * @method formatDuration
+   * @param {number} seconds
+   * @returns {string}
+   */
+  formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+}
+
+/**
+ * IIFE - Initialize VerificationBanner when DOM is ready
+ * The instance is exposed as window.verificationBanner.
+ */
+(function initVerificationBanner() {
+  const initFn = () => {
+    try {
+      window.verificationBanner = new VerificationBanner();
+    } catch (e) {
+      console.error('VerificationBanner initialization failed:', e);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFn);
+  } else {
+    initFn();
+  }
+})();
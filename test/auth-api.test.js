@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Mock backend tests - account lookups by email address
+ *
+ * Runs the mock backend from src/js/auth-api.js in a sandbox, the same way
+ * tools/mock-server.js loads it. `npm test` or `node --test`.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function loadScripts() {
+  const source = ['src/js/totp.js', 'src/js/auth-api.js']
+    .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n;\n');
+  const context = vm.createContext({
+    window: {},
+    console,
+    crypto: globalThis.crypto || require('crypto').webcrypto,
+    TextEncoder,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout
+  });
+  // The sandbox has its own Object.prototype, pollution would show up there
+  return vm.runInContext(`${source}\n;({ MockAuthAdapter, ObjectPrototype: Object.prototype });`, context, { filename: 'auth-api.js' });
+}
+
+const { MockAuthAdapter, ObjectPrototype } = loadScripts();
+
+/**
+ * Adapter with an in-memory storage that survives between calls
+ * @returns {MockAuthAdapter}
+ */
+function createAdapter() {
+  const data = new Map();
+  const storage = {
+    getItem: key => data.get(key) ?? null,
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+  return new MockAuthAdapter({ delay: 0, storage });
+}
+
+const PROTOTYPE_KEYS = ['__proto__', 'constructor', 'toString', 'hasOwnProperty'];
+
+test('login with prototype keys fails without touching Object.prototype', async () => {
+  const adapter = createAdapter();
+  for (const email of PROTOTYPE_KEYS) {
+    for (let i = 0; i < 6; i++) {
+      await assert.rejects(adapter.login({ email, password: 'falsch' }), { code: 'invalid_credentials' });
+    }
+  }
+  assert.equal(Object.hasOwn(ObjectPrototype, 'failedAttempts'), false);
+  assert.equal(Object.hasOwn(ObjectPrototype, 'lockedUntil'), false);
+});
+
+test('register rejects prototype keys as invalid instead of taken', async () => {
+  const adapter = createAdapter();
+  for (const email of PROTOTYPE_KEYS) {
+    await assert.rejects(
+      adapter.register({ name: 'Test', email, password: 'geheim123' }),
+      { code: 'validation_failed', status: 422 }
+    );
+  }
+});
+
+test('register still finds existing accounts regardless of case', async () => {
+  const adapter = createAdapter();
+  await assert.rejects(
+    adapter.register({ name: 'Test', email: 'Demo@Kernwerk-Systems.de', password: 'geheim123' }),
+    { code: 'email_taken' }
+  );
+
+  const { user } = await adapter.register({ name: 'Neu', email: 'Neu@example.com', password: 'geheim123' });
+  assert.equal(user.email, 'neu@example.com');
+  const { user: loggedIn } = await adapter.login({ email: 'neu@example.com', password: 'geheim123' });
+  assert.equal(loggedIn.name, 'Neu');
+});
+
+test('password reset ignores prototype keys', async () => {
+  const adapter = createAdapter();
+  for (const email of PROTOTYPE_KEYS) {
+    await assert.rejects(adapter.requestPasswordReset({ email }), { code: 'validation_failed' });
+    await assert.rejects(adapter.confirmPasswordReset({ email, token: '000000', password: 'neu12345' }));
+  }
+  assert.equal(Object.hasOwn(ObjectPrototype, 'reset'), false);
+});
+
+test('MFA challenges and sessions ignore prototype tokens', async () => {
+  const adapter = createAdapter();
+  await assert.rejects(adapter.verifyMfa({ mfaToken: '__proto__', code: '000000' }), { code: 'mfa_expired' });
+  await assert.rejects(adapter.fetchProfile({ accessToken: '__proto__' }), { code: 'unauthorized' });
+  assert.equal(Object.hasOwn(ObjectPrototype, 'attempts'), false);
+});
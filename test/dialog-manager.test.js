@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Dialog manager tests - Escape handling and IME composition
+ *
+ * Runs src/js/dialog-manager.js in a fresh jsdom window per test and
+ * dispatches real keydown events to the manager's document listener.
+ * `npm test` or `node --test`.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.resolve(__dirname, '../src/js/dialog-manager.js'), 'utf8');
+
+const MARKUP = `
+  <button id="opener" type="button">Öffnen</button>
+  <div id="first" class="auth-modal"><div class="panel"><input id="first-input" type="text"></div></div>
+  <div id="second" class="auth-modal"><div class="panel"><input id="second-input" type="text"></div></div>
+`;
+
+/**
+ * Fresh page with the manager and two registered dialogs that log close requests
+ *
+ * @returns {{window: Window, document: Document, manager: Object, closed: string[], openDialog: Function, press: Function}}
+ */
+function setup() {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${MARKUP}</body>`, {
+    url: 'http://localhost/',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+  window.eval(SOURCE);
+
+  const manager = window.dialogManager;
+  const document = window.document;
+  const closed = [];
+  ['first', 'second'].forEach(id => {
+    const element = document.getElementById(id);
+    manager.register(element, {
+      panel: '.panel',
+      label: id,
+      onRequestClose: () => {
+        closed.push(id);
+        element.classList.remove('active');
+        manager.close(element);
+      }
+    });
+  });
+
+  const openDialog = id => {
+    const element = document.getElementById(id);
+    element.classList.add('active');
+    manager.open(element);
+  };
+
+  /**
+   * Dispatch a keydown on an element (default: focused element)
+   * @returns {KeyboardEvent}
+   */
+  const press = (key, init = {}, target = document.activeElement || document.body) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  return { window, document, manager, closed, openDialog, press };
+}
+
+test('Escape closes only the top dialog', () => {
+  const { document, manager, closed, openDialog, press } = setup();
+  openDialog('first');
+  openDialog('second');
+
+  const event = press('Escape', {}, document.getElementById('second-input'));
+  assert.equal(event.defaultPrevented, true);
+  assert.deepEqual(closed, ['second']);
+  assert.equal(manager.top(), document.getElementById('first'));
+
+  press('Escape', {}, document.getElementById('first-input'));
+  assert.deepEqual(closed, ['second', 'first']);
+  assert.equal(manager.top(), null);
+});
+
+test('Escape during IME composition keeps the dialog open', () => {
+  const { document, manager, closed, openDialog, press } = setup();
+  openDialog('first');
+  const input = document.getElementById('first-input');
+
+  const composing = press('Escape', { isComposing: true }, input);
+  const processKey = press('Escape', { keyCode: 229 }, input);
+  assert.equal(composing.defaultPrevented, false, 'the input method gets the key');
+  assert.equal(processKey.defaultPrevented, false);
+  assert.deepEqual(closed, []);
+  assert.equal(manager.isOpen(document.getElementById('first')), true);
+
+  press('Escape', {}, input);
+  assert.deepEqual(closed, ['first']);
+});
+
+test('Tab during IME composition is not trapped', () => {
+  const { document, openDialog, press } = setup();
+  openDialog('first');
+
+  const event = press('Tab', { isComposing: true }, document.getElementById('first-input'));
+  assert.equal(event.defaultPrevented, false);
+});
+
+test('already handled Escape is ignored', () => {
+  const { document, closed, openDialog, press } = setup();
+  openDialog('first');
+  const input = document.getElementById('first-input');
+  input.addEventListener('keydown', e => e.preventDefault(), { once: true });
+
+  press('Escape', {}, input);
+  assert.deepEqual(closed, []);
+});
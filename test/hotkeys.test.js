@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Hotkey tests - typing targets, IME, modifiers, AltGr, allowInInputs
+ *
+ * Runs src/js/hotkeys.js in a fresh jsdom window per test and dispatches
+ * real keydown events, so the registry's own document listener decides.
+ * `npm test` or `node --test`.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.resolve(__dirname, '../src/js/hotkeys.js'), 'utf8');
+
+const MARKUP = `
+  <input id="text" type="text">
+  <input id="checkbox" type="checkbox">
+  <textarea id="textarea"></textarea>
+  <select id="select"><option>A</option></select>
+  <div id="editable" contenteditable="true"><p id="paragraph">Text</p></div>
+  <div id="not-editable" contenteditable="false">Fest</div>
+  <div id="textbox" role="textbox" tabindex="0"></div>
+  <button id="button" type="button">Button</button>
+`;
+
+/**
+ * Fresh page with the registry and a log of fired binding ids
+ *
+ * @param {Object} [options]
+ * @param {string} [options.platform='Win32']
+ * @returns {{window: Window, document: Document, hotkeys: Object, fired: string[], bind: Function, press: Function}}
+ */
+function setup({ platform = 'Win32' } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${MARKUP}</body>`, {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    beforeParse(window) {
+      Object.defineProperty(window.navigator, 'platform', { value: platform });
+    }
+  });
+  const { window } = dom;
+  window.eval(SOURCE);
+
+  const hotkeys = window.hotkeys;
+  const fired = [];
+  const bind = (id, keys, options = {}) => hotkeys.register({ id, keys, action: () => fired.push(id), ...options });
+
+  /**
+   * Dispatch a keydown on an element (default: body)
+   * @returns {KeyboardEvent}
+   */
+  const press = (key, init = {}, target = window.document.body) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  return { window, document: window.document, hotkeys, fired, bind, press };
+}
+
+test('plain bindings fire outside of text fields', () => {
+  const { document, fired, bind, press } = setup();
+  bind('test.j', 'j');
+
+  press('j');
+  press('j', {}, document.getElementById('button'));
+  press('j', {}, document.getElementById('checkbox'));
+  press('j', {}, document.getElementById('not-editable'));
+  assert.deepEqual(fired, ['test.j', 'test.j', 'test.j', 'test.j']);
+});
+
+test('typing targets do not fire plain bindings', () => {
+  const { document, fired, bind, press } = setup();
+  bind('test.j', 'j');
+
+  ['text', 'textarea', 'select', 'editable', 'paragraph', 'textbox'].forEach(id => {
+    const event = press('j', {}, document.getElementById(id));
+    assert.equal(event.defaultPrevented, false, `#${id} keeps the key`);
+  });
+  assert.deepEqual(fired, []);
+});
+
+test('isTypingTarget() covers inputs, selects, contenteditable and ARIA text boxes', () => {
+  const { document, hotkeys } = setup();
+  const is = id => hotkeys.isTypingTarget(document.getElementById(id));
+
+  assert.equal(is('text'), true);
+  assert.equal(is('textarea'), true);
+  assert.equal(is('select'), true);
+  assert.equal(is('editable'), true);
+  assert.equal(is('paragraph'), true, 'child of a contenteditable region');
+  assert.equal(is('textbox'), true);
+  assert.equal(is('checkbox'), false);
+  assert.equal(is('button'), false);
+  assert.equal(is('not-editable'), false);
+  assert.equal(hotkeys.isTypingTarget(null), false);
+});
+
+test('keys pressed during IME composition never fire', () => {
+  const { fired, bind, press } = setup();
+  bind('test.j', 'j');
+  bind('test.combo', 'mod+j', { allowInInputs: true });
+
+  press('j', { isComposing: true });
+  press('j', { keyCode: 229 });
+  press('Process', { keyCode: 229 });
+  press('j', { ctrlKey: true, isComposing: true });
+  assert.deepEqual(fired, []);
+
+  press('j');
+  assert.deepEqual(fired, ['test.j']);
+});
+
+test('composition interrupts a pending sequence', () => {
+  const { fired, bind, press } = setup();
+  bind('test.seq', 'g p');
+
+  press('g');
+  press('p', { isComposing: true });
+  press('p');
+  assert.deepEqual(fired, []);
+
+  press('g');
+  press('p');
+  assert.deepEqual(fired, ['test.seq']);
+});
+
+test('Ctrl, Alt or Meta with a letter do not fire the plain binding', () => {
+  const { fired, bind, press } = setup();
+  bind('test.l', 'l');
+
+  press('l', { ctrlKey: true });
+  press('l', { altKey: true });
+  press('l', { metaKey: true });
+  press('l', { ctrlKey: true, shiftKey: true });
+  assert.deepEqual(fired, []);
+
+  bind('test.ctrl', 'ctrl+l');
+  press('l', { ctrlKey: true });
+  assert.deepEqual(fired, ['test.ctrl']);
+});
+
+test('mod means Ctrl outside macOS and ⌘ on macOS', () => {
+  const pc = setup();
+  pc.bind('test.mod', 'mod+j');
+  pc.press('j', { metaKey: true });
+  pc.press('j', { ctrlKey: true });
+  assert.deepEqual(pc.fired, ['test.mod']);
+
+  const mac = setup({ platform: 'MacIntel' });
+  mac.bind('test.mod', 'mod+j');
+  mac.press('j', { ctrlKey: true });
+  mac.press('j', { metaKey: true });
+  assert.deepEqual(mac.fired, ['test.mod']);
+});
+
+test('AltGr characters count as the plain character', () => {
+  const { window, hotkeys, fired, bind } = setup();
+  bind('test.at', '@');
+  bind('test.euro', '€');
+
+  // Windows reports AltGr as Ctrl+Alt; getModifierState('AltGraph') tells them apart
+  const altGr = (key, code) => {
+    const event = new window.KeyboardEvent('keydown', { key, code, ctrlKey: true, altKey: true, bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'getModifierState', { value: name => name === 'AltGraph' });
+    return event;
+  };
+
+  assert.equal(hotkeys.eventToChord(altGr('@', 'KeyQ')), '@');
+  window.document.body.dispatchEvent(altGr('@', 'KeyQ'));
+  window.document.body.dispatchEvent(altGr('€', 'KeyE'));
+  assert.deepEqual(fired, ['test.at', 'test.euro']);
+});
+
+test('real Ctrl+Alt combos still need both modifiers', () => {
+  const { hotkeys, window } = setup();
+  const event = new window.KeyboardEvent('keydown', { key: 'q', code: 'KeyQ', ctrlKey: true, altKey: true });
+  assert.equal(hotkeys.eventToChord(event), 'ctrl+alt+q');
+});
+
+test('allowInInputs bindings fire in text fields, others do not', () => {
+  const { document, fired, bind, press } = setup();
+  bind('test.submit', 'mod+enter', { allowInInputs: true });
+  bind('test.f2', 'f2', { allowInInputs: true });
+  bind('test.other', 'mod+j');
+
+  ['text', 'textarea', 'editable', 'select'].forEach(id => {
+    const target = document.getElementById(id);
+    const event = press('Enter', { ctrlKey: true }, target);
+    assert.equal(event.defaultPrevented, true, `#${id}`);
+    press('j', { ctrlKey: true }, target);
+  });
+  press('F2', {}, document.getElementById('textarea'));
+
+  assert.deepEqual(fired, ['test.submit', 'test.submit', 'test.submit', 'test.submit', 'test.f2']);
+});
+
+test('allowInInputs bindings cannot be rebound to plain keys', () => {
+  const { window, hotkeys, bind } = setup();
+  bind('test.submit', 'mod+enter', { allowInInputs: true });
+  bind('test.plain', 'j');
+
+  assert.equal(hotkeys.validate('test.submit', 's')?.code, 'typing');
+  assert.equal(hotkeys.validate('test.submit', 'shift+s')?.code, 'typing');
+  assert.equal(hotkeys.validate('test.submit', 'g p')?.code, 'typing');
+  assert.equal(hotkeys.validate('test.submit', 'alt+s'), null);
+  assert.equal(hotkeys.validate('test.submit', 'f2'), null);
+  assert.equal(hotkeys.validate('test.plain', 's'), null);
+  assert.throws(() => hotkeys.rebind('test.submit', 's'), /typing/);
+
+  // Stored plain keys (e.g. from an older version) are ignored
+  window.localStorage.setItem('kernwerk_hotkeys', JSON.stringify({ guest: { 'test.submit': 's' } }));
+  hotkeys.applyOverrides();
+  assert.equal(hotkeys.get('test.submit').sequence.join(' '), 'ctrl+enter');
+  assert.equal(hotkeys.isCustom(hotkeys.get('test.submit')), false);
+});
+
+test('on macOS allowInInputs bindings need ⌃ or ⌘, Option types characters', () => {
+  const { hotkeys, bind } = setup({ platform: 'MacIntel' });
+  bind('test.submit', 'mod+enter', { allowInInputs: true });
+
+  assert.equal(hotkeys.validate('test.submit', 'alt+s')?.code, 'typing');
+  assert.equal(hotkeys.validate('test.submit', 'alt+shift+s')?.code, 'typing');
+  assert.equal(hotkeys.validate('test.submit', 'mod+e'), null);
+  assert.equal(hotkeys.validate('test.submit', 'ctrl+e'), null);
+  assert.equal(hotkeys.validate('test.submit', 'meta+alt+s'), null);
+  assert.equal(hotkeys.validate('test.submit', 'f2'), null);
+});
+
+test('typing in a field breaks a pending sequence', () => {
+  const { document, fired, bind, press } = setup();
+  bind('test.seq', 'g p');
+
+  press('g');
+  press('p', {}, document.getElementById('text'));
+  press('p');
+  assert.deepEqual(fired, []);
+});
+
+test('key repeat and already handled events are ignored', () => {
+  const { window, fired, bind, press } = setup();
+  bind('test.j', 'j');
+
+  press('j', { repeat: true });
+  const handled = new window.KeyboardEvent('keydown', { key: 'j', bubbles: true, cancelable: true });
+  window.document.body.addEventListener('keydown', e => e.preventDefault(), { once: true });
+  window.document.body.dispatchEvent(handled);
+  assert.deepEqual(fired, []);
+});
+
+test('events from a shadow root use the real target', () => {
+  const { document, fired, bind, press } = setup();
+  bind('test.j', 'j');
+
+  const host = document.createElement('div');
+  document.body.append(host);
+  const input = document.createElement('input');
+  host.attachShadow({ mode: 'open' }).append(input);
+
+  press('j', { composed: true }, input);
+  assert.deepEqual(fired, []);
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview TOTP tests - RFC 6238 vectors, clock-skew window and replay
+ *
+ * Runs src/js/totp.js and the mock backend from src/js/auth-api.js in a
+ * sandbox, the same way tools/mock-server.js loads them. Offline, no
+ * dependencies: `npm test` or `node --test`.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function loadScripts() {
+  const source = ['src/js/totp.js', 'src/js/auth-api.js']
+    .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n;\n');
+  const context = vm.createContext({
+    window: {},
+    console,
+    crypto: globalThis.crypto || require('crypto').webcrypto,
+    TextEncoder,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout
+  });
+  return vm.runInContext(`${source}\n;({ Totp, MockAuthAdapter });`, context, { filename: 'auth-api.js' });
+}
+
+const { Totp, MockAuthAdapter } = loadScripts();
+
+/**
+ * RFC 6238, Appendix B: seeds per algorithm and expected 8-digit codes
+ */
+const SEEDS = {
+  'SHA-1': '12345678901234567890',
+  'SHA-256': '12345678901234567890123456789012',
+  'SHA-512': '1234567890123456789012345678901234567890123456789012345678901234'
+};
+const VECTORS = [
+  { time: 59, 'SHA-1': '94287082', 'SHA-256': '46119246', 'SHA-512': '90693936' },
+  { time: 1111111109, 'SHA-1': '07081804', 'SHA-256': '68084774', 'SHA-512': '25091201' },
+  { time: 1111111111, 'SHA-1': '14050471', 'SHA-256': '67062674', 'SHA-512': '99943326' },
+  { time: 1234567890, 'SHA-1': '89005924', 'SHA-256': '91819424', 'SHA-512': '93441116' },
+  { time: 2000000000, 'SHA-1': '69279037', 'SHA-256': '90698825', 'SHA-512': '38618901' },
+  { time: 20000000000, 'SHA-1': '65353130', 'SHA-256': '77737706', 'SHA-512': '47863826' }
+];
+
+const secretFor = algorithm => Totp.base32Encode(new TextEncoder().encode(SEEDS[algorithm]));
+
+for (const algorithm of Object.keys(SEEDS)) {
+  test(`RFC 6238 vectors (${algorithm})`, async () => {
+    const secret = secretFor(algorithm);
+    for (const vector of VECTORS) {
+      const code = await Totp.generate(secret, { time: vector.time * 1000, digits: 8, algorithm });
+      assert.equal(code, vector[algorithm], `T = ${vector.time}`);
+    }
+  });
+}
+
+test('base32 round trip ignores case, spaces and padding', () => {
+  const secret = secretFor('SHA-1');
+  assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  const spaced = secret.toLowerCase().replace(/(.{4})/g, '$1 ') + '====';
+  assert.deepEqual(Array.from(Totp.base32Decode(spaced)), Array.from(new TextEncoder().encode(SEEDS['SHA-1'])));
+  assert.throws(() => Totp.base32Decode('ABC1'), /Invalid base32 character/);
+});
+
+test('verify() accepts ± window steps and returns the matching step', async () => {
+  const secret = secretFor('SHA-1');
+  const time = 1234567890 * 1000;
+  const step = Totp.counterAt(time);
+
+  for (const offset of [-1, 0, 1]) {
+    const code = await Totp.hotp(secret, step + offset);
+    assert.equal(await Totp.verify(code, secret, { time }), step + offset, `offset ${offset}`);
+  }
+  for (const offset of [-2, 2]) {
+    const code = await Totp.hotp(secret, step + offset);
+    assert.equal(await Totp.verify(code, secret, { time }), null, `offset ${offset}`);
+  }
+
+  const previous = await Totp.hotp(secret, step - 1);
+  assert.equal(await Totp.verify(previous, secret, { time, window: 0 }), null);
+});
+
+test('verify() rejects malformed input and ignores spaces', async () => {
+  const secret = secretFor('SHA-1');
+  const time = 59 * 1000;
+  assert.equal(await Totp.verify('', secret, { time }), null);
+  assert.equal(await Totp.verify('12345', secret, { time }), null);
+  assert.equal(await Totp.verify('28708a', secret, { time }), null);
+  assert.equal(await Totp.verify('287 082', secret, { time }), Totp.counterAt(time));
+});
+
+test('mock backend accepts each time step and recovery code only once', async () => {
+  const storage = { getItem: () => null, setItem() {}, removeItem() {} };
+  const adapter = new MockAuthAdapter({ delay: 0, storage });
+  const secret = Totp.generateSecret();
+  const account = { mfa: { enabled: true, secret } };
+  const [recovery] = await adapter.issueRecoveryCodes(account);
+
+  const code = await Totp.generate(secret);
+  assert.equal(await adapter.checkSecondFactor(account, code), true);
+  assert.equal(await adapter.checkSecondFactor(account, code), false, 'replayed TOTP code');
+
+  // An older step inside the window is refused once a newer one was used
+  const older = await Totp.hotp(secret, Totp.counterAt(Date.now()) - 1);
+  assert.equal(await adapter.checkSecondFactor(account, older), false, 'older step');
+
+  assert.equal(await adapter.checkSecondFactor(account, recovery.toUpperCase()), true);
+  assert.equal(await adapter.checkSecondFactor(account, recovery), false, 'replayed recovery code');
+});
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Mock OpenID Connect Identity Provider
+ *
+ * Minimal OIDC provider for local SSO testing, mounted by
+ * tools/mock-server.js under /idp on the same origin as the site.
+ * No real IdP or account is needed.
+ *
+ * Supports:
+ * - Discovery:  GET  /idp/.well-known/openid-configuration
+ * - JWKS:       GET  /idp/jwks
+ * - Authorize:  GET  /idp/authorize  (HTML page to pick a test identity)
+ *               POST /idp/authorize  (redirects back with code or error)
+ * - Token:      POST /idp/token      (authorization_code with PKCE S256,
+ *                                     refresh_token with rotation)
+ *
+ * ID tokens are RS256-signed with a key pair generated at startup.
+ * Codes are single-use and expire after 60 seconds. Only redirect URIs on
+ * the server's own origin are accepted.
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Test identities offered on the authorize page
+ */
+const IDENTITIES = [
+  { sub: 'idp-erika', name: 'Erika Enterprise', email: 'erika@enterprise.example', email_verified: true },
+  { sub: 'idp-max', name: 'Max Admin', email: 'max.admin@enterprise.example' },
+  { sub: 'idp-noemail', name: 'Ohne E-Mail' }
+];
+
+const ACCESS_TOKEN_TTL = 15 * 60;
+const CODE_TTL = 60 * 1000;
+
+function base64Url(input) {
+  return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * readForm() - Reads an application/x-www-form-urlencoded body
+ * @returns {Promise<URLSearchParams>}
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 64 * 1024) req.destroy();
+    });
+    req.on('end', () => resolve(new URLSearchParams(raw)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * createMockIdp() - Builds the provider
+ * @param {Object} [options={}]
+ * @param {string} [options.basePath='/idp'] - Mount path
+ * @param {string} [options.clientId='kernwerk-web'] - Only accepted client
+ * @returns {{ basePath: string, handle: Function }}
+ */
+function createMockIdp(options = {}) {
+  const basePath = options.basePath || '/idp';
+  const clientId = options.clientId || 'kernwerk-web';
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = Object.assign(publicKey.export({ format: 'jwk' }), { kid, alg: 'RS256', use: 'sig' });
+
+  const codes = new Map();          // code → authorization request + identity
+  const refreshTokens = new Map();  // refresh token → { identity }
+
+  function issuerFor(req) {
+    return `http://${req.headers.host || 'localhost'}${basePath}`;
+  }
+
+  function signJwt(payload) {
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+    const body = base64Url(JSON.stringify(payload));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey);
+    return `${header}.${body}.${base64Url(signature)}`;
+  }
+
+  function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+  }
+
+  function sendOAuthError(res, status, error, description) {
+    sendJson(res, status, { error, error_description: description });
+  }
+
+  function redirect(res, url) {
+    res.writeHead(302, { Location: url });
+    res.end();
+  }
+
+  /**
+   * validateAuthorizeParams() - Checks an authorization request
+   * @returns {string|null} - Error description or null
+   */
+  function validateAuthorizeParams(req, params) {
+    if (params.get('client_id') !== clientId) return 'Unknown client_id';
+    let redirectUri;
+    try {
+      redirectUri = new URL(params.get('redirect_uri'));
+    } catch (e) {
+      return 'Invalid redirect_uri';
+    }
+    if (redirectUri.host !== req.headers.host) return 'redirect_uri must be on this origin';
+    if (params.get('response_type') !== 'code') return 'Only response_type=code is supported';
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) return 'PKCE (S256) is required';
+    if (!params.get('state')) return 'state is required';
+    return null;
+  }
+
+  function renderAuthorizePage(res, params) {
+    const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name) || '')}">`)
+      .join('\n      ');
+    const buttons = IDENTITIES
+      .map(identity => `<button name="identity" value="${identity.sub}">${escapeHtml(identity.name)}${identity.email ? ` &lt;${escapeHtml(identity.email)}&gt;` : ''}</button>`)
+      .join('\n      ');
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(`<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="utf-8"><title>Mock IdP – Anmeldung</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+  <h1>Mock Identity Provider</h1>
+  <p>Als Testidentität anmelden:</p>
+  <form method="post" action="${basePath}/authorize" style="display: grid; gap: 8px;">
+      ${hidden}
+      ${buttons}
+      <button name="identity" value="">Abbrechen</button>
+  </form>
+</body>
+</html>`);
+  }
+
+  async function authorize(req, res, url) {
+    const params = req.method === 'POST' ? await readForm(req) : url.searchParams;
+    const error = validateAuthorizeParams(req, params);
+    if (error) {
+      // Never redirect to an unvalidated redirect_uri
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Invalid authorization request: ${error}`);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      renderAuthorizePage(res, params);
+      return;
+    }
+
+    const target = new URL(params.get('redirect_uri'));
+    target.searchParams.set('state', params.get('state'));
+
+    const identity = IDENTITIES.find(item => item.sub === params.get('identity'));
+    if (!identity) {
+      target.searchParams.set('error', 'access_denied');
+      redirect(res, target.toString());
+      return;
+    }
+
+    const code = randomToken('code');
+    codes.set(code, {
+      identity,
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      expiresAt: Date.now() + CODE_TTL
+    });
+    target.searchParams.set('code', code);
+    redirect(res, target.toString());
+  }
+
+  function issueTokens(req, identity, nonce) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = Object.assign({
+      iss: issuerFor(req),
+      aud: clientId,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL
+    }, identity);
+    if (nonce) claims.nonce = nonce;
+
+    const refreshToken = randomToken('idp_rt');
+    refreshTokens.set(refreshToken, { identity });
+    return {
+      token_type: 'Bearer',
+      access_token: randomToken('idp_at'),
+      id_token: signJwt(claims),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL
+    };
+  }
+
+  async function token(req, res) {
+    const params = await readForm(req);
+    if (params.get('client_id') !== clientId) {
+      sendOAuthError(res, 401, 'invalid_client', 'Unknown client_id');
+      return;
+    }
+
+    if (params.get('grant_type') === 'authorization_code') {
+      const entry = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+
+      const verifier = params.get('code_verifier') || '';
+      const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+      if (!entry || entry.expiresAt < Date.now()) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Code is invalid or expired');
+      } else if (entry.redirectUri !== params.get('redirect_uri')) {
+        sendOAuthError(res, 400, 'invalid_grant', 'redirect_uri mismatch');
+      } else if (challenge !== entry.codeChallenge) {
+        sendOAuthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+      } else {
+        sendJson(res, 200, issueTokens(req, entry.identity, entry.nonce));
+      }
+      return;
+    }
+
+    if (params.get('grant_type') === 'refresh_token') {
+      const entry = refreshTokens.get(params.get('refresh_token'));
+      refreshTokens.delete(params.get('refresh_token'));
+      if (!entry) {
+        sendOAuthError(res, 400, 'invalid_grant', 'Refresh token is invalid');
+      } else {
+        sendJson(res, 200, issueTokens(req, entry.identity, null));
+      }
+      return;
+    }
+
+    sendOAuthError(res, 400, 'unsupported_grant_type', 'Unsupported grant_type');
+  }
+
+  /**
+   * handle() - Dispatches a request below basePath
+   */
+  async function handle(req, res, url) {
+    const route = `${req.method} ${url.pathname.slice(basePath.length)}`;
+    try {
+      switch (route) {
+        case 'GET /.well-known/openid-configuration': {
+          const issuer = issuerFor(req);
+          sendJson(res, 200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            grant_types_supported: ['authorization_code', 'refresh_token'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            scopes_supported: ['openid', 'profile', 'email', 'offline_access']
+          });
+          break;
+        }
+        case 'GET /jwks':
+          sendJson(res, 200, { keys: [jwk] });
+          break;
+        case 'GET /authorize':
+        case 'POST /authorize':
+          await authorize(req, res, url);
+          break;
+        case 'POST /token':
+          await token(req, res);
+          break;
+        default:
+          sendJson(res, 404, { error: 'not_found' });
+      }
+    } catch (e) {
+      console.error('Mock IdP error:', e);
+      sendOAuthError(res, 500, 'server_error', 'Internal error');
+    }
+  }
+
+  return { basePath, handle };
+}
+
+module.exports = { createMockIdp, IDENTITIES };
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Local Stub Server
+ *
+ * Serves the static site and a JSON auth API on the same origin, so the
+ * page can be tested with `KERNWERK_CONFIG.auth.adapter = 'http'` without
+ * touching the Content-Security-Policy (connect-src 'self').
+ *
+ * When serving src/js/config.js the server prepends an override that
+ * switches the page to the 'http' adapter (and enables the account
+ * deletion endpoint, the contact form endpoint and SSO), so no file
+ * needs editing.
+ *
+ * A mock OpenID Connect provider (tools/mock-idp.js) is mounted under
+ * /idp for testing "Mit SSO anmelden".
+ *
+ * The API is a thin HTTP wrapper around MockAuthAdapter from
+ * src/js/auth-api.js, so browser mock and stub server behave identically.
+ * State is kept in memory and reset on restart.
+ *
+ * Usage:
+ *   node tools/mock-server.js            # http://localhost:8000
+ *   PORT=9000 node tools/mock-server.js
+ *
+ * No dependencies besides Node.js (>= 18).
+ *
+ * @version 1.0.0
+ * @author Development Team
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockIdp } = require('./mock-idp');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8000;
+const API_PREFIX = '/api';
+
+/**
+ * Config override injected in front of src/js/config.js
+ */
+const CONFIG_OVERRIDE = `window.KERNWERK_CONFIG = ${JSON.stringify({
+  auth: { adapter: 'http', baseUrl: API_PREFIX, endpoints: { accountDelete: '/auth/me' } },
+  contact: { endpoint: `${API_PREFIX}/contact` }
+})};
+window.KERNWERK_CONFIG.auth.oidc = { issuer: window.location.origin + '/idp', clientId: 'kernwerk-web' };\n`;
+
+/**
+ * Top-level entries that make up the published site. Everything else in
+ * the repository (.git, node_modules, tools, test, ...) is not served.
+ */
+const PUBLIC_ENTRIES = new Set(['', 'index.html', '404.html', 'robots.txt', 'sitemap.xml', 'src']);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * MemoryStorage - Minimal Storage shim for MockAuthAdapter
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * loadAuthApi() - Evaluates src/js/auth-api.js (and its TOTP helper) in a sandbox
+ * @returns {{ MockAuthAdapter: Function, AuthApiError: Function }}
+ */
+function loadAuthApi() {
+  const source = ['src/js/totp.js', 'src/js/auth-api.js']
+    .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n;\n');
+  const context = vm.createContext({
+    window: {},
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout
+  });
+  return vm.runInContext(`${source}\n;({ MockAuthAdapter, AuthApiError });`, context, {
+    filename: 'auth-api.js'
+  });
+}
+
+const { MockAuthAdapter, AuthApiError } = loadAuthApi();
+const adapter = new MockAuthAdapter({ storage: new MemoryStorage(), delay: 0 });
+const idp = createMockIdp({ basePath: '/idp', clientId: 'kernwerk-web' });
+
+/**
+ * Received inquiries by Idempotency-Key (a retried request is stored once)
+ */
+const inquiries = new Map();
+
+/**
+ * receiveInquiry() - Validates and stores a contact form submission
+ * Set CONTACT_FAIL=1 to answer with 503 and test the offline queue.
+ */
+function receiveInquiry(body, key) {
+  if (process.env.CONTACT_FAIL === '1') {
+    throw new AuthApiError('server_error', 'Contact service unavailable', { status: 503 });
+  }
+  if (key && inquiries.has(key)) return inquiries.get(key);
+
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const invalid = (field, message) => new AuthApiError('validation_failed', message, { status: 422, field });
+
+  if (!['sales', 'demo', 'general'].includes(body.topic)) throw invalid('topic', 'Unbekanntes Anliegen');
+  if (!text(body.name)) throw invalid('name', 'Bitte geben Sie Ihren Namen ein');
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(body.email))) throw invalid('email', 'Bitte geben Sie eine gültige E-Mail ein');
+  if (!text(body.company)) throw invalid('company', 'Bitte geben Sie Ihr Unternehmen an');
+  if (body.topic !== 'general') {
+    if (!Number.isInteger(body.seats) || body.seats < 1) throw invalid('seats', 'Ungültige Anzahl Nutzer');
+    if (!text(body.region)) throw invalid('region', 'Bitte wählen Sie eine Region');
+  }
+  if (text(body.message).length < 20 || text(body.message).length > 2000) {
+    throw invalid('message', 'Die Nachricht muss zwischen 20 und 2000 Zeichen lang sein');
+  }
+
+  const result = { id: `inq_${inquiries.size + 1}`, receivedAt: new Date().toISOString() };
+  inquiries.set(key || result.id, result);
+  console.log(`Inquiry ${result.id} (${body.topic}) from ${text(body.company)}`);
+  return result;
+}
+
+/**
+ * Route table: "METHOD /path" → handler(body, session, req)
+ */
+const routes = {
+  'POST /auth/login': body => adapter.login(body),
+  'POST /auth/register': body => adapter.register(body),
+  'POST /auth/logout': (body, session) => adapter.logout(session),
+  'POST /auth/refresh': body => adapter.refresh({ refreshToken: body.refreshToken }),
+  'GET /auth/me': (body, session) => adapter.fetchProfile(session),
+  'PATCH /auth/me': (body, session) => adapter.updateProfile(session, body),
+  'DELETE /auth/me': (body, session) => adapter.deleteAccount(session),
+  'POST /auth/verify-email': body => adapter.verifyEmail(body),
+  'POST /auth/verify-email/resend': (body, session) => adapter.resendVerification(session),
+  'POST /auth/password-reset': body => adapter.requestPasswordReset(body),
+  'POST /auth/password-reset/confirm': body => adapter.confirmPasswordReset(body),
+  'POST /auth/mfa/verify': body => adapter.verifyMfa(body),
+  'POST /auth/mfa/setup': (body, session) => adapter.startMfaSetup(session),
+  'POST /auth/mfa/enable': (body, session) => adapter.enableMfa(session, body),
+  'POST /auth/mfa/disable': (body, session) => adapter.disableMfa(session, body),
+  'POST /auth/mfa/recovery-codes': (body, session) => adapter.regenerateRecoveryCodes(session, body),
+  'POST /auth/me/plan': (body, session) => adapter.changePlan(session, body),
+  'POST /contact': (body, session, req) => receiveInquiry(body, req.headers['idempotency-key'])
+};
+
+/**
+ * sendJson() - Writes a JSON response
+ */
+function sendJson(res, status, data) {
+  const payload = data === undefined ? '' : JSON.stringify(data);
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(payload);
+}
+
+/**
+ * readBody() - Reads and parses a JSON request body
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 5 * 1024 * 1024) {
+        reject(new AuthApiError('validation_failed', 'Request body too large', { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        reject(new AuthApiError('validation_failed', 'Invalid JSON', { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * handleApi() - Dispatches an /api request to the mock adapter
+ */
+async function handleApi(req, res, pathname) {
+  const route = routes[`${req.method} ${pathname.slice(API_PREFIX.length)}`];
+  if (!route) {
+    sendJson(res, 404, { error: { code: 'not_found', message: 'Unknown endpoint' } });
+    return;
+  }
+
+  const auth = req.headers.authorization || '';
+  const session = auth.startsWith('Bearer ') ? { accessToken: auth.slice(7) } : null;
+
+  try {
+    const body = req.method === 'GET' ? {} : await readBody(req);
+    const result = await route(body, session, req);
+    if (result === undefined) {
+      res.writeHead(204);
+      res.end();
+    } else {
+      sendJson(res, 200, result);
+    }
+  } catch (e) {
+    if (e instanceof AuthApiError) {
+      const { status, ...details } = e.details;
+      sendJson(res, e.status || 400, { error: { code: e.code, message: e.message, details } });
+    } else {
+      console.error('Stub server error:', e);
+      sendJson(res, 500, { error: { code: 'server_error', message: 'Internal error' } });
+    }
+  }
+}
+
+/**
+ * isPublicPath() - Whether a path below ROOT belongs to the published site
+ * @param {string} filePath - Normalized absolute path
+ * @returns {boolean}
+ */
+function isPublicPath(filePath) {
+  const segments = path.relative(ROOT, filePath).split(path.sep);
+  return PUBLIC_ENTRIES.has(segments[0]) && !segments.some(segment => segment.startsWith('.'));
+}
+
+/**
+ * serveStatic() - Serves the public site files from the repository root
+ */
+function serveStatic(req, res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    // Malformed escape such as /%E0
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  let filePath = path.normalize(path.join(ROOT, decoded));
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  if (!isPublicPath(filePath)) {
+    res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] });
+    res.end('Not found');
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      // Like GitHub Pages: unknown paths get 404.html (deep-link redirect for routes)
+      fs.readFile(path.join(ROOT, '404.html'), (notFoundErr, page) => {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES[notFoundErr ? '.txt' : '.html'] });
+        res.end(notFoundErr ? 'Not found' : page);
+      });
+      return;
+    }
+    if (filePath === path.join(ROOT, 'src/js/config.js')) {
+      content = Buffer.concat([Buffer.from(CONFIG_OVERRIDE), content]);
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  let url;
+  try {
+    url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  } catch (e) {
+    // Malformed Host header or request target
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  const { pathname } = url;
+  console.log(`${req.method} ${pathname}`);
+
+  if (pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`)) {
+    handleApi(req, res, pathname);
+  } else if (pathname.startsWith(`${idp.basePath}/`)) {
+    idp.handle(req, res, url);
+  } else {
+    serveStatic(req, res, pathname);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`KERNWERK stub server running at http://localhost:${PORT}`);
+  console.log(`Auth API: http://localhost:${PORT}${API_PREFIX}/auth/*`);
+  console.log(`Mock IdP: http://localhost:${PORT}${idp.basePath}/.well-known/openid-configuration`);
+});